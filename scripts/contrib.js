@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+// scripts/contrib.js
+//
+// Single entry point for every contribution animation:
+//
+//   node scripts/contrib.js --style stars --user Chirag314 --out output/tetris.svg
+//   node scripts/contrib.js --style minesweeper --theme github-light --input fixtures/weeks.sample.json
+//   node scripts/contrib.js --style tetris --theme ./my-theme.json
+//   node scripts/contrib.js --style tetris --mode simulate
+//   node scripts/contrib.js --style tetris --pieces pentominoes
+//   node scripts/contrib.js --style stars --theme auto --dark-theme dracula
+//   node scripts/contrib.js --style snake --theme github-light
+//   node scripts/contrib.js --style life --generations 60 --edges wrap
+//   node scripts/contrib.js --style heatmap --layout ring
+//   node scripts/contrib.js --style snake --out output/snake.gif --fps 15 --width 600
+//   node scripts/contrib.js --style stars --snapshot --out output/stars-still.svg
+//   node scripts/contrib.js --style tetris --animation css
+//   node scripts/contrib.js --style tetris --optimize --max-bytes 500000 --over-budget reduce
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+
+import { loadWeeks } from "./lib/data-source.js";
+import { exportAnimation, FORMATS, formatFromPath } from "./lib/export.js";
+import {
+  ANIMATION_BACKENDS,
+  BUCKETINGS,
+  LAYOUTS,
+  PIECE_SETS,
+  renderContributionSvg,
+  resolveLayout,
+  resolveMode,
+  resolvePieceSet,
+  resolveStyle,
+  resolveTheme,
+  STYLES,
+  THEMES,
+} from "./lib/render.js";
+import { DEFAULT_GENERATIONS, EDGES, MAX_GENERATIONS } from "./lib/life.js";
+import { readPieceSetFile } from "./lib/piece-sets.js";
+import { readThemeFile } from "./lib/themes.js";
+
+// Styles that take --layout
+function layoutStyles() {
+  return Object.entries(STYLES)
+    .filter(([, renderer]) => renderer.LAYOUTS)
+    .map(([name]) => name)
+    .join(", ");
+}
+
+// "tetris: drop | simulate" lines for every style that has modes
+function modeHelp() {
+  return Object.entries(STYLES)
+    .filter(([, renderer]) => renderer.MODES)
+    .map(([name, renderer]) => `\n                            ${name}: ${renderer.MODES.join(" | ")} (default: ${renderer.MODES[0]})`)
+    .join("");
+}
+
+const USAGE = `Usage: node scripts/contrib.js [options]
+
+  -s, --style <name>        ${Object.keys(STYLES).join(" | ")} (default: tetris)
+  -m, --mode <name>         style-specific animation mode${modeHelp()}
+  -l, --layout <name>       ${LAYOUTS.join(" | ")} (default: grid)
+                            for ${layoutStyles()}
+  -u, --user <login>        GitHub login (default: $GITHUB_USERNAME)
+  -i, --input <file>        read weeks[].contributionDays[] JSON instead of the API ("-" = stdin)
+  -o, --out <file>          output path (default: output/<style>.<format extension>)
+  -f, --format <name>       ${FORMATS.join(" | ")} (default: from the --out extension, else svg);
+                            mp4 needs ffmpeg on the PATH
+      --fps <n>             gif/apng/mp4: frames per second (default: 12)
+      --loop <n>            gif/apng: times to play, 0 = forever (default: 0)
+      --width <px>          gif/apng/mp4: frame width, height to scale (default: the SVG's)
+      --duration <s>        gif/apng/mp4: seconds to capture (default: one loop)
+  -a, --animation <name>    ${ANIMATION_BACKENDS.join(" | ")}: SMIL elements or CSS @keyframes, same
+                            motion (default: smil; svg output only)
+      --snapshot            write only the still of the finished board (an animated
+                            SVG embeds it for prefers-reduced-motion anyway)
+      --optimize            shrink the markup: shared <use> templates, style classes,
+                            fewer decimals, no whitespace (svg output only)
+      --max-bytes <n>       fail if the SVG comes out bigger than this
+      --over-budget <how>   fail | reduce: over --max-bytes, give up or render fewer
+                            tetris runs until it fits (default: fail)
+  -t, --theme <name>        ${Object.keys(THEMES).join(" | ")},
+                            a theme .json file, or "auto" to follow the viewer's
+                            light/dark preference (default: github-dark)
+      --light-theme <name>  palette "auto" uses in light mode (default: github-light)
+      --dark-theme <name>   palette "auto" uses in dark mode (default: github-dark)
+  -p, --pieces <name>       tetris piece set: ${Object.keys(PIECE_SETS).join(" | ")},
+                            or a .json file of custom shapes (default: tetrominoes)
+      --generations <n>     life: generations to run, 1-${MAX_GENERATIONS} (default: ${DEFAULT_GENERATIONS})
+      --edges <name>        life: ${EDGES.join(" | ")} (default: bounded)
+  -b, --bucketing <name>    ${BUCKETINGS.join(" | ")} (default: fixed)
+  -h, --help                show this help
+`;
+
+function fail(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+let values;
+try {
+  ({ values } = parseArgs({
+    options: {
+      style: { type: "string", short: "s", default: "tetris" },
+      mode: { type: "string", short: "m" },
+      layout: { type: "string", short: "l" },
+      user: { type: "string", short: "u" },
+      input: { type: "string", short: "i" },
+      out: { type: "string", short: "o" },
+      format: { type: "string", short: "f" },
+      fps: { type: "string", default: "12" },
+      loop: { type: "string", default: "0" },
+      width: { type: "string" },
+      duration: { type: "string" },
+      animation: { type: "string", short: "a", default: "smil" },
+      snapshot: { type: "boolean" },
+      optimize: { type: "boolean" },
+      "max-bytes": { type: "string" },
+      "over-budget": { type: "string", default: "fail" },
+      theme: { type: "string", short: "t", default: "github-dark" },
+      "light-theme": { type: "string", default: "github-light" },
+      "dark-theme": { type: "string", default: "github-dark" },
+      pieces: { type: "string", short: "p", default: "tetrominoes" },
+      generations: { type: "string", default: String(DEFAULT_GENERATIONS) },
+      edges: { type: "string", default: "bounded" },
+      bucketing: { type: "string", short: "b", default: "fixed" },
+      help: { type: "boolean", short: "h" },
+    },
+  }));
+} catch (err) {
+  fail(err.message);
+}
+
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const loadTheme = (name) => (name.endsWith(".json") ? readThemeFile(name) : resolveTheme(name));
+
+let theme, lightTheme, darkTheme, pieceSet;
+try {
+  resolveStyle(values.style);
+  resolveMode(values.style, values.mode);
+  resolveLayout(values.style, values.layout);
+  theme = values.theme === "auto" ? "auto" : loadTheme(values.theme);
+  lightTheme = loadTheme(values["light-theme"]);
+  darkTheme = loadTheme(values["dark-theme"]);
+  pieceSet = values.pieces.endsWith(".json") ? readPieceSetFile(values.pieces) : resolvePieceSet(values.pieces);
+} catch (err) {
+  fail(err.message);
+}
+if (!BUCKETINGS.includes(values.bucketing)) fail(`Unknown bucketing "${values.bucketing}"`);
+if (!EDGES.includes(values.edges)) fail(`Unknown edges "${values.edges}"`);
+const generations = Number(values.generations);
+if (!/^\d+$/.test(values.generations) || generations < 1 || generations > MAX_GENERATIONS) {
+  fail(`--generations must be a whole number from 1 to ${MAX_GENERATIONS} (got "${values.generations}")`);
+}
+
+const format = values.format ?? (values.out ? formatFromPath(values.out) : "svg");
+if (!FORMATS.includes(format)) fail(`Unknown format "${format}"`);
+if (format !== "svg" && values.theme === "auto") fail(`--theme auto needs a viewer to pick light or dark; ${format} can't`);
+if (!ANIMATION_BACKENDS.includes(values.animation)) fail(`Unknown animation "${values.animation}"`);
+if (format !== "svg" && values.animation !== "smil") fail(`--animation only applies to svg output (got --format ${format})`);
+if (format !== "svg" && values.optimize) fail(`--optimize only applies to svg output (got --format ${format})`);
+if (!["fail", "reduce"].includes(values["over-budget"])) fail(`Unknown over-budget "${values["over-budget"]}" (expected fail, reduce)`);
+for (const name of ["fps", "loop", "width", "max-bytes"]) {
+  if (values[name] !== undefined && !/^\d+$/.test(values[name])) fail(`--${name} must be a whole number (got "${values[name]}")`);
+}
+if (Number(values.fps) < 1) fail("--fps must be at least 1");
+if (format === "gif" && Number(values.fps) > 50) fail("--fps can't go above 50 for gif (frame delays are whole centiseconds)");
+if (values.width !== undefined && Number(values.width) < 1) fail("--width must be at least 1");
+if (values.duration !== undefined && !(Number(values.duration) > 0)) {
+  fail(`--duration must be a positive number of seconds (got "${values.duration}")`);
+}
+
+const username = values.user ?? process.env.GITHUB_USERNAME ?? "";
+if (!username && !values.input) fail("GITHUB_USERNAME missing (or pass --user / --input)");
+
+// --------------------
+// Main
+// --------------------
+let weeks;
+try {
+  weeks = await loadWeeks({ input: values.input, username, token: process.env.GITHUB_TOKEN });
+} catch (err) {
+  // e.g. an unreadable --input or a failed GitHub request
+  console.error(err.message);
+  process.exit(1);
+}
+
+let svg, runs;
+try {
+  ({ svg, runs } = renderContributionSvg(weeks, {
+    style: values.style,
+    mode: values.mode,
+    layout: values.layout,
+    theme,
+    lightTheme,
+    darkTheme,
+    bucketing: values.bucketing,
+    pieceSet,
+    generations,
+    edges: values.edges,
+    user: username,
+    snapshot: values.snapshot,
+    animation: values.animation,
+    reducedMotion: format === "svg", // frame grabs would draw the still over the animation
+    optimize: values.optimize,
+    maxBytes: values["max-bytes"] && Number(values["max-bytes"]),
+    overBudget: values["over-budget"],
+  }));
+} catch (err) {
+  // e.g. over --max-bytes: nothing wrong with the arguments, so no usage text
+  console.error(err.message);
+  process.exit(1);
+}
+
+if (svg.includes("<<<<<<<") || svg.includes("=======") || svg.includes(">>>>>>>")) {
+  throw new Error("SVG contains merge markers!");
+}
+
+const EXTENSIONS = { svg: "svg", gif: "gif", apng: "png", mp4: "mp4" };
+const out = values.out ?? `output/${values.style}.${EXTENSIONS[format]}`;
+fs.mkdirSync(path.dirname(out), { recursive: true });
+if (format === "svg") {
+  fs.writeFileSync(out, svg, "utf-8");
+} else {
+  let file;
+  try {
+    file = await exportAnimation(svg, {
+      format,
+      fps: Number(values.fps),
+      loop: Number(values.loop),
+      width: values.width && Number(values.width),
+      duration: values.duration && Number(values.duration),
+      onFrame: process.stderr.isTTY ? (done, total) => process.stderr.write(`\rframe ${done}/${total}`) : undefined,
+    });
+  } catch (err) {
+    // e.g. ffmpeg missing or failing for mp4
+    if (process.stderr.isTTY) process.stderr.write("\n");
+    console.error(err.message);
+    process.exit(1);
+  }
+  if (process.stderr.isTTY) process.stderr.write("\n");
+  fs.writeFileSync(out, file);
+}
+
+const { DEFAULT_RUNS } = STYLES[values.style];
+const cut = runs < DEFAULT_RUNS ? ` (${runs} of ${DEFAULT_RUNS} runs, to fit --max-bytes)` : "";
+console.log(`Wrote ${out}${cut}`);
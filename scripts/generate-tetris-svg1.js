@@ -1,486 +0,0 @@
-// scripts/generate-tetris-svg.js
-import fs from "fs";
-import { Octokit } from "@octokit/rest";
-
-const username = process.env.GITHUB_USERNAME;
-const token = process.env.GITHUB_TOKEN;
-
-if (!username) throw new Error("GITHUB_USERNAME missing");
-
-const octokit = new Octokit({ auth: token });
-
-// --------------------
-// Fetch contribution weeks (keep week structure)
-// --------------------
-async function fetchContribWeeks() {
-  // Use explicit from/to so it matches “last year” window more closely
-  const to = new Date();
-  const from = new Date(to);
-  from.setUTCFullYear(to.getUTCFullYear() - 1);
-
-  const query = `
-    query($login:String!, $from:DateTime!, $to:DateTime!) {
-      user(login:$login) {
-        contributionsCollection(from: $from, to: $to) {
-          contributionCalendar {
-            weeks {
-              contributionDays {
-                date
-                contributionCount
-                weekday
-              }
-            }
-          }
-        }
-      }
-    }
-  `;
-
-  const res = await octokit.graphql(query, {
-    login: username,
-    from: from.toISOString(),
-    to: to.toISOString(),
-  });
-
-  return res.user.contributionsCollection.contributionCalendar.weeks;
-}
-
-// --------------------
-// Deterministic hashing / RNG
-// --------------------
-function hashString(s) {
-  let h = 2166136261;
-  for (let i = 0; i < s.length; i++) {
-    h ^= s.charCodeAt(i);
-    h = Math.imul(h, 16777619);
-  }
-  return h >>> 0;
-}
-
-function mulberry32(seed) {
-  let t = seed >>> 0;
-  return function () {
-    t += 0x6d2b79f5;
-    let r = Math.imul(t ^ (t >>> 15), 1 | t);
-    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
-    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-function clamp(n, a, b) {
-  return Math.max(a, Math.min(b, n));
-}
-
-// --------------------
-// Build an exact GitHub-like heatmap grid (last 52/53 weeks)
-// --------------------
-function monthAbbrev(dateStr) {
-  const m = new Date(dateStr + "T00:00:00Z").getUTCMonth(); // 0-11
-  return ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"][m];
-}
-function monthIndex(dateStr) {
-  return new Date(dateStr + "T00:00:00Z").getUTCMonth();
-}
-
-const MIN_WEEKS_BETWEEN_MONTH_LABELS = 4;
-
-function buildHeatmap(weeks) {
-  const W = Math.min(53, weeks.length);
-  const slice = weeks.slice(-W);
-  const H = 7;
-
-  const grid = Array.from({ length: H }, () => Array.from({ length: W }, () => 0));
-  const dates = Array.from({ length: H }, () => Array.from({ length: W }, () => null));
-
-  const monthStarts = [];
-  let lastMonth = null;
-  let lastLabeledX = -999;
-
-  const daysFlat = [];
-
-  for (let x = 0; x < W; x++) {
-    const days = slice[x].contributionDays;
-
-    const refDate = days?.[0]?.date ?? null;
-    if (refDate) {
-      const mi = monthIndex(refDate);
-
-      if (lastMonth === null) {
-        lastMonth = mi;
-        monthStarts.push({ x: 0, label: monthAbbrev(refDate) });
-        lastLabeledX = 0;
-      } else if (mi !== lastMonth) {
-        lastMonth = mi;
-        if (x - lastLabeledX >= MIN_WEEKS_BETWEEN_MONTH_LABELS) {
-          monthStarts.push({ x, label: monthAbbrev(refDate) });
-          lastLabeledX = x;
-        }
-      }
-    }
-
-    for (let y = 0; y < H; y++) {
-      const d = days?.[y];
-      const c = d?.contributionCount ?? 0;
-      const date = d?.date ?? null;
-
-      grid[y][x] = c;
-      dates[y][x] = date;
-      daysFlat.push({ date, contributionCount: c });
-    }
-  }
-
-  const totalYear = daysFlat.reduce((a, d) => a + (d.contributionCount ?? 0), 0);
-  const last7 = daysFlat.slice(-7).reduce((a, d) => a + (d.contributionCount ?? 0), 0);
-  const last30 = daysFlat.slice(-30).reduce((a, d) => a + (d.contributionCount ?? 0), 0);
-
-  const seed = hashString(`${username}:${totalYear}:${daysFlat[0]?.date ?? ""}`);
-
-  return { grid, dates, W, H, monthStarts, totalYear, last7, last30, seed };
-}
-
-// GitHub-like intensity buckets (0..4)
-function bucketLevel(count) {
-  if (count <= 0) return 0;
-  if (count <= 2) return 1;
-  if (count <= 5) return 2;
-  if (count <= 9) return 3;
-  return 4;
-}
-
-// GitHub-like greens on dark
-const LEVEL_COLOR = {
-  0: "#0b1224",
-  1: "#0e4429",
-  2: "#006d32",
-  3: "#26a641",
-  4: "#39d353",
-};
-
-// --------------------
-// SVG render: blank -> build rows bottom-to-top -> flash -> reset -> LOOP FOREVER
-// (No event-based SMIL; everything uses repeatCount="indefinite")
-// --------------------
-function renderSvg({ grid, W, H, monthStarts, totalYear, last7, last30, seed }) {
-  const cell = 12;
-  const gap = 2;
-
-  const leftLabelW = 34; // Mon/Wed/Fri
-  const topLabelH = 22;  // month labels
-  const pad = 16;
-  const hudH = 46;       // legend + stats
-
-  const wellW = W * (cell + gap) - gap;
-  const wellH = H * (cell + gap) - gap;
-
-  const width = pad * 2 + leftLabelW + wellW;
-  const height = pad * 2 + topLabelH + wellH + hudH;
-
-  const INTRINSIC_W = 900;
-  const INTRINSIC_H = Math.round((height / width) * INTRINSIC_W);
-
-  const gridX0 = pad + leftLabelW;
-  const gridY0 = pad + topLabelH;
-
-  // --- Timing model (per cycle) ---
-  const ROW_DUR = 0.75;        // seconds per row
-  const STAGGER = 0.02;        // spacing between blocks within the row
-  const FALL_DUR = 0.55;       // fall time for each 1×1 block
-  const FINISH_FLASH = 2.0;    // flash at end
-  const RESET_FADE = 0.35;     // quick fade to blank
-
-  const buildStart = 0.0;
-  const buildEnd = buildStart + H * ROW_DUR;
-  const finishStart = buildEnd + 0.2;
-  const finishEnd = finishStart + FINISH_FLASH;
-  const cycleDur = finishEnd + RESET_FADE;
-
-  const rng = mulberry32(seed);
-
-  const defs = `
-  <defs>
-    <filter id="neonGlow" x="-60%" y="-60%" width="220%" height="220%">
-      <feGaussianBlur stdDeviation="1.6" result="blur"/>
-      <feMerge>
-        <feMergeNode in="blur"/>
-        <feMergeNode in="SourceGraphic"/>
-      </feMerge>
-    </filter>
-
-    <linearGradient id="bgGrad" x1="0" y1="0" x2="1" y2="1">
-      <stop offset="0%" stop-color="#070a14"/>
-      <stop offset="100%" stop-color="#0b1020"/>
-    </linearGradient>
-  </defs>
-  `;
-
-  // --- Month labels ---
-  let monthLabels = "";
-  for (const m of monthStarts) {
-    const x = gridX0 + m.x * (cell + gap);
-    monthLabels += `
-      <text x="${x}" y="${pad + 14}"
-            fill="#9ca3af"
-            font-family="ui-sans-serif, system-ui"
-            font-size="11">
-        ${m.label}
-      </text>
-    `;
-  }
-
-  // --- Weekday labels ---
-  const dayLabel = (label, row) => {
-    const y = gridY0 + row * (cell + gap) + cell - 2;
-    return `
-      <text x="${pad + leftLabelW - 6}" y="${y}"
-            fill="#9ca3af"
-            font-family="ui-sans-serif, system-ui"
-            font-size="11"
-            text-anchor="end">
-        ${label}
-      </text>
-    `;
-  };
-  const weekdayLabels = `
-    ${dayLabel("Mon", 1)}
-    ${dayLabel("Wed", 3)}
-    ${dayLabel("Fri", 5)}
-  `;
-
-  // --- Base empty grid (always visible) ---
-  let baseGrid = "";
-  for (let y = 0; y < H; y++) {
-    for (let x = 0; x < W; x++) {
-      const px = gridX0 + x * (cell + gap);
-      const py = gridY0 + y * (cell + gap);
-      baseGrid += `
-        <rect x="${px}" y="${py}" width="${cell}" height="${cell}" rx="3"
-              fill="${LEVEL_COLOR[0]}" stroke="#0f172a" stroke-width="1" />
-      `;
-    }
-  }
-
-  // --- Helper: tile opacity timeline (loops on its own) ---
-  function tileOpacityAnim(tAppear, tDisappear) {
-    const eps = 0.0001;
-    const ta = Math.max(0, tAppear);
-    const td = Math.max(ta + eps, tDisappear);
-
-    const kt = [
-      0,
-      clamp(ta / cycleDur, 0, 1),
-      clamp((ta + eps) / cycleDur, 0, 1),
-      clamp(td / cycleDur, 0, 1),
-      1,
-    ].join(";");
-
-    return `
-      <animate attributeName="opacity"
-               begin="0s"
-               dur="${cycleDur}s"
-               repeatCount="indefinite"
-               values="0;0;1;1;0"
-               keyTimes="${kt}"
-               fill="remove" />
-    `.trim();
-  }
-
-  // --- Appearance time per cell (row build bottom->top) ---
-  const appearTime = Array.from({ length: H }, () => Array.from({ length: W }, () => null));
-
-  for (let y = H - 1; y >= 0; y--) {
-    const rowIndex = (H - 1) - y;       // 0..H-1
-    const rowStart = buildStart + rowIndex * ROW_DUR;
-
-    const xs = [];
-    for (let x = 0; x < W; x++) if (grid[y][x] > 0) xs.push(x);
-
-    for (let i = xs.length - 1; i > 0; i--) {
-      const j = Math.floor(rng() * (i + 1));
-      [xs[i], xs[j]] = [xs[j], xs[i]];
-    }
-
-    for (let k = 0; k < xs.length; k++) {
-      const x = xs[k];
-      const tFall = rowStart + k * STAGGER;
-      const tLand = tFall + FALL_DUR;
-      appearTime[y][x] = tLand;
-    }
-  }
-
-  // --- Contributed tiles layer (animated appear -> hold -> disappear) ---
-  let contribTiles = "";
-  const tDisappear = finishEnd;
-  for (let y = 0; y < H; y++) {
-    for (let x = 0; x < W; x++) {
-      if (grid[y][x] <= 0) continue;
-
-      const px = gridX0 + x * (cell + gap);
-      const py = gridY0 + y * (cell + gap);
-
-      const lvl = bucketLevel(grid[y][x]);
-      const fill = LEVEL_COLOR[lvl];
-
-      const tAppear = appearTime[y][x] ?? buildEnd;
-      contribTiles += `
-        <rect x="${px}" y="${py}" width="${cell}" height="${cell}" rx="3"
-              fill="${fill}" stroke="#0f172a" stroke-width="1"
-              opacity="0">
-          ${tileOpacityAnim(tAppear, tDisappear)}
-        </rect>
-      `;
-    }
-  }
-
-  // --- Falling blocks overlay (1×1 drops) ---
-  function fallingBlock({ x, y, fill, begin }) {
-    const px = gridX0 + x * (cell + gap);
-    const pyEnd = gridY0 + y * (cell + gap);
-
-    const yStart = gridY0 - 7 * (cell + gap);
-    const dyTrans = (pyEnd - yStart).toFixed(2);
-
-    // Convert begin window to keyTimes on a full-cycle looping animation
-    const eps = 0.0001;
-    const t0 = clamp(begin / cycleDur, 0, 1);
-    const t1 = clamp((begin + eps) / cycleDur, 0, 1);
-    const t2 = clamp((begin + FALL_DUR) / cycleDur, 0, 1);
-    const t3 = clamp((begin + FALL_DUR + eps) / cycleDur, 0, 1);
-
-    return `
-      <g opacity="0">
-        <animate attributeName="opacity"
-                 begin="0s"
-                 dur="${cycleDur}s"
-                 repeatCount="indefinite"
-                 values="0;0;1;0;0"
-                 keyTimes="0;${t0};${t1};${t2};1"
-                 fill="remove" />
-        <animateTransform attributeName="transform" type="translate"
-                          begin="0s"
-                          dur="${cycleDur}s"
-                          repeatCount="indefinite"
-                          values="0 0;0 0;0 ${dyTrans};0 ${dyTrans};0 0"
-                          keyTimes="0;${t0};${t2};${t3};1"
-                          fill="remove" />
-        <rect x="${px}" y="${yStart}" width="${cell}" height="${cell}" rx="3"
-              fill="${fill}" stroke="#0f172a" stroke-width="1"
-              filter="url(#neonGlow)" opacity="0.98" />
-      </g>
-    `.trim();
-  }
-
-  let drops = "";
-  for (let y = H - 1; y >= 0; y--) {
-    const rowIndex = (H - 1) - y;
-    const rowStart = buildStart + rowIndex * ROW_DUR;
-
-    const xs = [];
-    for (let x = 0; x < W; x++) if (grid[y][x] > 0) xs.push(x);
-
-    // per-row deterministic shuffle
-    const rowSeed = (seed + (y + 1) * 10007) >>> 0;
-    const rr = mulberry32(rowSeed);
-    for (let i = xs.length - 1; i > 0; i--) {
-      const j = Math.floor(rr() * (i + 1));
-      [xs[i], xs[j]] = [xs[j], xs[i]];
-    }
-
-    for (let k = 0; k < xs.length; k++) {
-      const x = xs[k];
-      const lvl = bucketLevel(grid[y][x]);
-      const fill = LEVEL_COLOR[lvl];
-      const tFall = rowStart + k * STAGGER;
-
-      drops += "\n" + fallingBlock({ x, y, fill, begin: tFall });
-    }
-  }
-
-  // --- Finish flash (loops) ---
-  const f0 = clamp(finishStart / cycleDur, 0, 1);
-  const f1 = clamp((finishStart + FINISH_FLASH * 0.15) / cycleDur, 0, 1);
-  const f2 = clamp((finishStart + FINISH_FLASH * 0.5) / cycleDur, 0, 1);
-  const f3 = clamp((finishStart + FINISH_FLASH * 0.85) / cycleDur, 0, 1);
-  const f4 = clamp((finishStart + FINISH_FLASH) / cycleDur, 0, 1);
-
-  const flash = `
-    <rect x="${gridX0}" y="${gridY0}" width="${wellW}" height="${wellH}" rx="10"
-          fill="#ffffff" opacity="0">
-      <animate attributeName="opacity"
-               begin="0s"
-               dur="${cycleDur}s"
-               repeatCount="indefinite"
-               values="0;0;0.18;0.28;0.18;0;0"
-               keyTimes="0;${f0};${f1};${f2};${f3};${f4};1"
-               fill="remove" />
-    </rect>
-  `;
-
-  // --- Legend + stats ---
-  const legendY = gridY0 + wellH + 26;
-  const legendXRight = gridX0 + wellW;
-
-  const legendSquares = [0, 1, 2, 3, 4].map((lvl, i) => {
-    const x = legendXRight - (5 - i) * (cell + 4) + 10;
-    return `<rect x="${x}" y="${legendY - 10}" width="${cell}" height="${cell}" rx="3"
-                  fill="${LEVEL_COLOR[lvl]}" stroke="#0f172a" stroke-width="1" />`;
-  }).join("\n");
-
-  const stats = `
-    <text x="${gridX0}" y="${legendY + 2}"
-          fill="#e5e7eb"
-          font-family="ui-sans-serif, system-ui"
-          font-size="11">
-      ${totalYear} contributions in the last year • 7d: ${last7} • 30d: ${last30}
-    </text>
-  `;
-
-  const legend = `
-    <text x="${legendXRight - 5 * (cell + 4) - 2}" y="${legendY + 2}"
-          fill="#9ca3af" font-family="ui-sans-serif, system-ui" font-size="11"
-          text-anchor="end">
-      Less
-    </text>
-    ${legendSquares}
-    <text x="${legendXRight + 2}" y="${legendY + 2}"
-          fill="#9ca3af" font-family="ui-sans-serif, system-ui" font-size="11">
-      More
-    </text>
-  `;
-
-  return `
-<svg xmlns="http://www.w3.org/2000/svg"
-     width="${INTRINSIC_W}" height="${INTRINSIC_H}"
-     viewBox="0 0 ${width} ${height}"
-     preserveAspectRatio="xMidYMid meet">
-  ${defs}
-  <rect x="0" y="0" width="${width}" height="${height}" fill="url(#bgGrad)"/>
-
-  ${monthLabels}
-  ${weekdayLabels}
-
-  ${baseGrid}
-  ${contribTiles}
-  ${drops}
-  ${flash}
-
-  ${stats}
-  ${legend}
-</svg>
-`.trim();
-}
-
-// --------------------
-// Main
-// --------------------
-const weeks = await fetchContribWeeks();
-const heatmap = buildHeatmap(weeks);
-const svg = renderSvg(heatmap);
-
-fs.mkdirSync("output", { recursive: true });
-fs.writeFileSync("output/tetris.svg", svg, "utf-8");
-
-if (svg.includes("<<<<<<<") || svg.includes("=======") || svg.includes(">>>>>>>")) {
-  throw new Error("SVG contains merge markers!");
-}
-
-console.log("Wrote output/tetris.svg");
@@ -0,0 +1,113 @@
+// scripts/lib/apng.js
+//
+// Animated PNG encoder. Frames go in one at a time as full RGBA images; each
+// is stored as just the rectangle that changed since the one before, and a
+// frame identical to the last one only lengthens its delay.
+import zlib from "zlib";
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+// Bounding box of the pixels that differ between two frames (null: none)
+export function changedRect(prev, next, width, height) {
+  if (!prev) return { x: 0, y: 0, w: width, h: height };
+  let [x0, y0, x1, y1] = [width, height, -1, -1];
+  const a = new Uint32Array(prev.buffer, prev.byteOffset, width * height);
+  const b = new Uint32Array(next.buffer, next.byteOffset, width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0, i = y * width; x < width; x++, i++) {
+      if (a[i] === b[i]) continue;
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (y < y0) y0 = y;
+      y1 = y;
+    }
+  }
+  return x1 < 0 ? null : { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+}
+
+// Zlib stream of one rectangle of a frame, every row with the Up filter
+function compressRect(rgba, width, { x, y, w, h }) {
+  const raw = Buffer.alloc(h * (w * 4 + 1));
+  for (let row = 0; row < h; row++) {
+    const out = row * (w * 4 + 1);
+    raw[out] = row ? 2 : 0;
+    const from = ((y + row) * width + x) * 4;
+    for (let i = 0; i < w * 4; i++) {
+      raw[out + 1 + i] = row ? (rgba[from + i] - rgba[from + i - width * 4]) & 0xff : rgba[from + i];
+    }
+  }
+  return zlib.deflateSync(raw, { level: 9 });
+}
+
+// width, height: px; fps: frames per second; loop: times to play (0 = forever).
+// Returns { add(rgba), finish() -> Buffer }.
+export function createApngEncoder({ width, height, fps, loop = 0 }) {
+  const frames = []; // { rect, data, ticks }
+  let prev = null;
+
+  return {
+    add(rgba) {
+      const rect = changedRect(prev, rgba, width, height);
+      if (!rect) {
+        frames[frames.length - 1].ticks++;
+        return;
+      }
+      frames.push({ rect, data: compressRect(rgba, width, rect), ticks: 1 });
+      prev = Uint8ClampedArray.from(rgba);
+    },
+
+    finish() {
+      const header = Buffer.alloc(13);
+      header.writeUInt32BE(width, 0);
+      header.writeUInt32BE(height, 4);
+      header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+
+      const actl = Buffer.alloc(8);
+      actl.writeUInt32BE(frames.length, 0);
+      actl.writeUInt32BE(loop, 4);
+
+      const out = [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), chunk("IHDR", header), chunk("acTL", actl)];
+      let seq = 0;
+      frames.forEach(({ rect, data, ticks }, i) => {
+        const fctl = Buffer.alloc(26);
+        fctl.writeUInt32BE(seq++, 0);
+        fctl.writeUInt32BE(rect.w, 4);
+        fctl.writeUInt32BE(rect.h, 8);
+        fctl.writeUInt32BE(rect.x, 12);
+        fctl.writeUInt32BE(rect.y, 16);
+        fctl.writeUInt16BE(ticks, 20);
+        fctl.writeUInt16BE(fps, 22);
+        fctl.set([0, 0], 24); // dispose: none, blend: source
+        out.push(chunk("fcTL", fctl));
+        if (i === 0) {
+          out.push(chunk("IDAT", data));
+        } else {
+          const seqBytes = Buffer.alloc(4);
+          seqBytes.writeUInt32BE(seq++, 0);
+          out.push(chunk("fdAT", Buffer.concat([seqBytes, data])));
+        }
+      });
+      out.push(chunk("IEND", Buffer.alloc(0)));
+      return Buffer.concat(out);
+    },
+  };
+}
@@ -0,0 +1,160 @@
+// scripts/lib/breakout.js
+//
+// Breakout over the contribution calendar: every contributed day is a brick
+// with as many hit points as its level, and a ball knocks them out, bounced
+// back up by a paddle along the bottom of the field.
+//
+// The simulation runs in grid units (one unit = one cell pitch) with a fixed
+// timestep, so a seed and a board always play out the same way:
+//
+//   - the field is W wide; bricks sit TOP units below the ceiling (so a ball
+//     that breaks through can rattle around behind them) and the paddle's top
+//     edge is FIELD units below the last brick row
+//   - the ball moves at a constant SPEED and reflects off walls and bricks
+//     (off a brick's side when it came from beside it, else off its top or
+//     bottom); a brick hit loses one hit point
+//   - the paddle never misses: it is wherever the ball comes down, placed so
+//     the ball leaves at the angle it wants (the further from the paddle's
+//     centre the ball lands, the steeper the angle, up to MAX_ANGLE)
+//
+// The game ends when the last brick breaks (or at MAX_TIME) and the ball has
+// come back down onto the paddle. Before every launch the paddle weighs up a
+// fan of angles by flying each one ahead on a copy of the board, and takes the
+// one that breaks the most: a careful player looking for the shot that gets
+// the ball rattling along behind the wall.
+
+export const TOP = 2.5;
+export const FIELD = 4;
+export const PADDLE_W = 5;
+export const BALL_R = 0.3;
+export const SPEED = 30; // units per second
+export const MAX_TIME = 90; // seconds of play before the game calls it
+
+const MAX_ANGLE = (60 * Math.PI) / 180;
+const DT = 1 / 120;
+const AIMS = 13; // launch angles the paddle weighs up
+const LOOKAHEAD = 6; // seconds of flight it looks ahead
+
+// levels: H×W (0 = no brick). Returns { bricks, path, contacts, hits, end,
+// cleared }:
+//   bricks    [{ x, y, hp }] in date order (x, y: grid cell, hp: starting points)
+//   path      [{ t, x, y }] ball centre at t=0 and at every change of direction
+//             (it moves in straight lines between)
+//   contacts  [{ t, x, paddle }] ball landing on the paddle (paddle = its centre)
+//   hits      [{ t, brick, hp }] brick index and the points it has left
+//   end       seconds until the ball is back on the paddle for good
+//   cleared   whether every brick broke
+export function playBreakout(levels, { rng = Math.random } = {}) {
+  const H = levels.length;
+  const W = levels[0]?.length ?? 0;
+  const floor = TOP + H + FIELD - BALL_R; // ball centre resting on the paddle
+
+  const bricks = [];
+  const at = levels.map((row) => row.map(() => -1));
+  for (let x = 0; x < W; x++) {
+    for (let y = 0; y < H; y++) {
+      if (levels[y][x] > 0) {
+        at[y][x] = bricks.length;
+        bricks.push({ x, y, hp: levels[y][x] });
+      }
+    }
+  }
+  const hp = bricks.map((b) => b.hp);
+
+  const path = [];
+  const contacts = [];
+  const hits = [];
+  const half = PADDLE_W / 2;
+  let pos = { x: W / 2, y: floor };
+  let t = 0;
+
+  // First standing brick the ball (at p) overlaps, as [index, cell x, cell y]
+  function overlap(p, points) {
+    const gy = p.y - TOP;
+    for (let y = Math.floor(gy - BALL_R); y <= Math.floor(gy + BALL_R); y++) {
+      for (let x = Math.floor(p.x - BALL_R); x <= Math.floor(p.x + BALL_R); x++) {
+        const i = at[y]?.[x] ?? -1;
+        if (i < 0 || points[i] <= 0) continue;
+        const nx = Math.max(x, Math.min(x + 1, p.x));
+        const ny = Math.max(y, Math.min(y + 1, gy));
+        if ((p.x - nx) ** 2 + (gy - ny) ** 2 < BALL_R * BALL_R) return [i, x, y];
+      }
+    }
+    return null;
+  }
+
+  // One flight from the paddle back down to it (or until `until`), knocking
+  // points off `points`. Returns { pos, t, hits } with the landing spot; with
+  // `record`, direction changes and hits go into path / hits.
+  function fly(from, vel, t0, points, until, record) {
+    let p = from;
+    let v = { ...vel };
+    let n = 0;
+    for (let s = 1; ; s++) {
+      const now = t0 + s * DT;
+      if (now > until) return { pos: p, t: now, hits: n, landed: false };
+      const prev = p;
+      const before = { ...v };
+      p = { x: p.x + v.x * DT, y: p.y + v.y * DT };
+
+      if (p.x < BALL_R) v.x = Math.abs(v.x);
+      if (p.x > W - BALL_R) v.x = -Math.abs(v.x);
+      if (p.y < BALL_R) v.y = Math.abs(v.y);
+
+      const hit = overlap(p, points);
+      if (hit) {
+        const [i, bx, by] = hit;
+        const gy = prev.y - TOP;
+        const beside = prev.x < bx || prev.x > bx + 1;
+        const level = gy >= by && gy <= by + 1;
+        if (beside) v.x = -v.x;
+        if (!beside || !level) v.y = -v.y;
+        p = prev;
+        points[i]--;
+        n++;
+        if (record) hits.push({ t: now, brick: i, hp: points[i] });
+      }
+
+      if (p.y >= floor && v.y > 0) {
+        p = { x: p.x, y: floor };
+        if (record) path.push({ t: now, x: p.x, y: p.y });
+        return { pos: p, t: now, hits: n, landed: true };
+      }
+      if (record && (v.x !== before.x || v.y !== before.y)) path.push({ t: now, x: p.x, y: p.y });
+    }
+  }
+
+  // Where the paddle has to be for the ball at x to leave at `angle`
+  const paddleFor = (x, angle) => Math.max(half, Math.min(W - half, x - (angle / MAX_ANGLE) * (half - BALL_R)));
+  const angleFrom = (x, paddle) => ((x - paddle) / (half - BALL_R)) * MAX_ANGLE;
+
+  // Try a fan of launch angles on a copy of the board and keep the one that
+  // scores the most hits before the ball comes down again (ties: seeded pick)
+  function aim(x, t0) {
+    let best = null;
+    for (let k = 0; k < AIMS; k++) {
+      const paddle = paddleFor(x, -MAX_ANGLE + (2 * MAX_ANGLE * k) / (AIMS - 1));
+      const angle = angleFrom(x, paddle);
+      const vel = { x: Math.sin(angle) * SPEED, y: -Math.cos(angle) * SPEED };
+      const { hits: n } = fly({ x, y: floor }, vel, t0, [...hp], t0 + LOOKAHEAD, false);
+      const score = n + rng() * 0.5;
+      if (!best || score > best.score) best = { paddle, vel, score };
+    }
+    return best;
+  }
+
+  // A flight always comes down (every brick it rattles against loses a point),
+  // but a game's length is the most one is allowed
+  path.push({ t, x: pos.x, y: pos.y });
+  let landed = true;
+  while (landed && hp.some((p) => p > 0) && t < MAX_TIME) {
+    const { paddle, vel } = aim(pos.x, t);
+    contacts.push({ t, x: pos.x, paddle });
+    const flight = fly(pos, vel, t, hp, t + MAX_TIME, true);
+    ({ pos, t, landed } = flight);
+  }
+  if (!landed) path.push({ t, x: pos.x, y: pos.y });
+  else if (t > 0) contacts.push({ t, x: pos.x, paddle: paddleFor(pos.x, 0) });
+
+  return { bricks, path, contacts, hits, end: t, cleared: hp.every((p) => p <= 0) };
+}
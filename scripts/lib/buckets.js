@@ -0,0 +1,94 @@
+// scripts/lib/buckets.js
+//
+// Intensity bucketing: contribution count -> level 0..4. Every renderer reads
+// the same `levels` grid so a day has the same shade in every image.
+//
+//   fixed     1–2, 3–5, 6–9, 10+ (the original thresholds)
+//   quartile  quartiles of the user's own non-zero days, like github.com
+//   log       log scale against the busiest day
+//   github    GitHub's own contributionLevel / color per day (quartile fallback)
+
+export const BUCKETINGS = ["fixed", "quartile", "log", "github"];
+
+// GitHub-like intensity buckets (0..4)
+export function bucketLevel(count) {
+  if (count <= 0) return 0;
+  if (count <= 2) return 1;
+  if (count <= 5) return 2;
+  if (count <= 9) return 3;
+  return 4;
+}
+
+// contributionCalendar colors, light + dark, NONE..FOURTH_QUARTILE
+const GITHUB_COLORS = [
+  ["#ebedf0", "#9be9a8", "#40c463", "#30a14e", "#216e39"],
+  ["#161b22", "#0e4429", "#006d32", "#26a641", "#39d353"],
+];
+
+const GITHUB_LEVELS = ["NONE", "FIRST_QUARTILE", "SECOND_QUARTILE", "THIRD_QUARTILE", "FOURTH_QUARTILE"];
+
+function githubLevel(day) {
+  const byName = GITHUB_LEVELS.indexOf(day?.contributionLevel);
+  if (byName >= 0) return byName;
+
+  const color = day?.color?.toLowerCase();
+  for (const palette of GITHUB_COLORS) {
+    const byColor = palette.indexOf(color);
+    if (byColor >= 0) return byColor;
+  }
+  return null;
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+function quartileBucketer(counts) {
+  const sorted = counts.filter((c) => c > 0).sort((a, b) => a - b);
+  if (!sorted.length) return () => 0;
+
+  const q1 = percentile(sorted, 0.25);
+  const q2 = percentile(sorted, 0.5);
+  const q3 = percentile(sorted, 0.75);
+
+  return (count) => {
+    if (count <= 0) return 0;
+    if (count <= q1) return 1;
+    if (count <= q2) return 2;
+    if (count <= q3) return 3;
+    return 4;
+  };
+}
+
+function logBucketer(counts) {
+  const max = Math.max(0, ...counts);
+  if (max <= 0) return () => 0;
+
+  return (count) => {
+    if (count <= 0) return 0;
+    return Math.min(4, Math.max(1, Math.ceil((4 * Math.log1p(count)) / Math.log1p(max))));
+  };
+}
+
+// days: H×W grid of contributionDays (null for padding cells).
+// Returns the matching H×W grid of levels.
+export function buildLevels(days, strategy = "fixed") {
+  if (!BUCKETINGS.includes(strategy)) {
+    throw new Error(`Unknown bucketing "${strategy}" (expected ${BUCKETINGS.join(", ")})`);
+  }
+
+  const counts = days.flat().map((d) => d?.contributionCount ?? 0);
+
+  let level = bucketLevel;
+  if (strategy === "log") level = logBucketer(counts);
+  if (strategy === "quartile" || strategy === "github") level = quartileBucketer(counts);
+
+  return days.map((row) =>
+    row.map((d) => {
+      const count = d?.contributionCount ?? 0;
+      if (strategy === "github") return githubLevel(d) ?? level(count);
+      return level(count);
+    })
+  );
+}
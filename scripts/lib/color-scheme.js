@@ -0,0 +1,39 @@
+// scripts/lib/color-scheme.js
+//
+// "auto" theme: one SVG that carries a light and a dark render of the same
+// animation and lets an embedded prefers-color-scheme stylesheet pick one, so a
+// README can use a single image URL in both GitHub modes.
+
+// Renders share ids (bgGrad, neonGlow, clock, …); namespace each copy.
+// (./reduced-motion.js stacks renders the same way.)
+export function prefixIds(svg, prefix) {
+  return svg
+    .replace(/\bid="([^"]+)"/g, `id="${prefix}$1"`)
+    .replace(/url\(#([^)]+)\)/g, `url(#${prefix}$1)`)
+    .replace(/href="#([^"]+)"/g, `href="#${prefix}$1"`)
+    .replace(/begin="([^"]*)"/g, (_, list) => `begin="${list.replace(/(^|;)(\s*)([A-Za-z_][\w-]*)\./g, `$1$2${prefix}$3.`)}"`);
+}
+
+export function splitSvg(svg) {
+  const open = svg.match(/<svg\b[^>]*>/);
+  const close = svg.lastIndexOf("</svg>");
+  if (!open || close < 0) throw new Error("Renderer output is not an <svg> document");
+  return { open: open[0], body: svg.slice(open.index + open[0].length, close) };
+}
+
+export function combineColorSchemes(lightSvg, darkSvg) {
+  const light = splitSvg(prefixIds(lightSvg, "l-"));
+  const dark = splitSvg(prefixIds(darkSvg, "d-"));
+
+  return `${light.open}
+  <style>
+    .scheme-dark { display: none; }
+    @media (prefers-color-scheme: dark) {
+      .scheme-light { display: none; }
+      .scheme-dark { display: inline; }
+    }
+  </style>
+  <g class="scheme-light">${light.body}</g>
+  <g class="scheme-dark">${dark.body}</g>
+</svg>`;
+}
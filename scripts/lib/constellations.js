@@ -0,0 +1,198 @@
+// scripts/lib/constellations.js
+//
+// Constellation figures for the stars "constellations" mode. Two things in a
+// year of contributions read as a figure:
+//
+//   streaks   runs of consecutive contributed days (at least MIN_STREAK long),
+//             joined day by day in date order and labelled "12-day streak"
+//   clusters  groups of touching high-intensity days (level 3+, at least
+//             MIN_CLUSTER of them) outside any streak figure, joined by their
+//             shortest spanning tree and labelled with the month they start in
+//
+// Figures are kept largest first while their label finds a free spot next to
+// them, up to MAX_FIGURES, so every figure on the sky has a readable name.
+
+export const MIN_STREAK = 7;
+export const MIN_CLUSTER = 4;
+export const MAX_FIGURES = 12;
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const LABEL_CHAR_W = 5.2; // at font-size 9
+const LABEL_H = 9;
+
+// Edges of a shortest spanning tree (Prim), in the order they join the tree
+function spanningTree(cells) {
+  const dist = ([ax, ay], [bx, by]) => Math.hypot(ax - bx, ay - by);
+  const inTree = new Set([0]);
+  const edges = [];
+  while (inTree.size < cells.length) {
+    let best = null;
+    for (const i of inTree) {
+      for (let j = 0; j < cells.length; j++) {
+        if (inTree.has(j)) continue;
+        const d = dist(cells[i], cells[j]);
+        if (!best || d < best.d) best = { i, j, d };
+      }
+    }
+    edges.push([best.i, best.j]);
+    inTree.add(best.j);
+  }
+  return edges;
+}
+
+// Runs of consecutive contributed days, each in date order as [[x, y], ...]
+export function streakRuns({ grid, dates, W, H }) {
+  const runs = [];
+  let run = [];
+  for (let x = 0; x < W; x++) {
+    for (let y = 0; y < H; y++) {
+      if (!dates[y][x]) continue;
+      if (grid[y][x] > 0) {
+        run.push([x, y]);
+      } else if (run.length) {
+        runs.push(run);
+        run = [];
+      }
+    }
+  }
+  if (run.length) runs.push(run);
+  return runs;
+}
+
+function streakFigures(heatmap) {
+  return streakRuns(heatmap)
+    .filter((run) => run.length >= MIN_STREAK)
+    .map((run) => ({
+      kind: "streak",
+      cells: run,
+      edges: run.slice(1).map((_, i) => [i, i + 1]),
+      label: `${run.length}-day streak`,
+    }));
+}
+
+function clusterFigures({ levels, dates, W, H }, taken) {
+  const seen = new Set(taken);
+  const figures = [];
+  for (let x = 0; x < W; x++) {
+    for (let y = 0; y < H; y++) {
+      if (levels[y][x] < 3 || seen.has(`${x},${y}`)) continue;
+
+      const cells = [];
+      const queue = [[x, y]];
+      seen.add(`${x},${y}`);
+      while (queue.length) {
+        const [cx, cy] = queue.pop();
+        cells.push([cx, cy]);
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = cx + dx;
+            const ny = cy + dy;
+            if (nx < 0 || nx >= W || ny < 0 || ny >= H || levels[ny][nx] < 3) continue;
+            if (seen.has(`${nx},${ny}`)) continue;
+            seen.add(`${nx},${ny}`);
+            queue.push([nx, ny]);
+          }
+        }
+      }
+      if (cells.length < MIN_CLUSTER) continue;
+
+      // Date order, so the figure (and its month) starts at its first day
+      cells.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+      const [fx, fy] = cells[0];
+      const month = new Date(`${dates[fy][fx]}T00:00:00Z`).getUTCMonth();
+      figures.push({ kind: "cluster", cells, edges: spanningTree(cells), label: MONTH_NAMES[month] });
+    }
+  }
+  return figures;
+}
+
+// heatmap: { grid, levels, dates, W, H }. `at(x, y)` maps a grid cell to its
+// [px, py] centre (in any layout); `bands` are baselines of free label rows
+// above and below the grid, used when the figure has no room next to it (a
+// week-long streak spans every row). On a radial board (`spokes`) up and down
+// mean nothing, so labels go past either end of one of the figure's spokes
+// instead. Labels stay between `minX` and `maxX` and keep off the `avoid`
+// boxes ({ x, y, w, h }: the layout's own labels). Returns figures { kind,
+// cells, edges, label, labelX, labelY } (edges index into cells; the label
+// position is the text's bottom-left).
+export function findConstellations(
+  heatmap,
+  { at, pitch, bands = [], spokes = false, minX = -Infinity, maxX = Infinity, avoid = [] }
+) {
+  const streaks = streakFigures(heatmap);
+  const taken = streaks.flatMap((f) => f.cells.map(([x, y]) => `${x},${y}`));
+  const candidates = [...streaks, ...clusterFigures(heatmap, taken)].sort((a, b) => b.cells.length - a.cells.length);
+
+  const { H } = heatmap;
+  const boxes = [...avoid];
+  const overlaps = (b) => boxes.some((o) => b.x < o.x + o.w && o.x < b.x + b.w && b.y < o.y + o.h && o.y < b.y + b.h);
+  const within = (x, w) => Math.max(minX, Math.min(x, maxX - w));
+
+  const figures = [];
+  for (const figure of candidates) {
+    if (figures.length >= MAX_FIGURES) break;
+    const w = figure.label.length * LABEL_CHAR_W;
+    const spot = (spokes ? spokeSpots : rowSpots)(figure, { at, pitch, H, w, bands })
+      .map(([x, y]) => ({ x: within(x, w), y, w, h: LABEL_H }))
+      .find((b) => !overlaps(b));
+    if (!spot) continue;
+
+    boxes.push(spot);
+    figures.push({ ...figure, labelX: spot.x, labelY: spot.y + LABEL_H });
+  }
+  return figures;
+}
+
+// Top-left corners to try on a grid: just above the figure, just below it,
+// then the bands
+function rowSpots({ cells }, { at, pitch, H, w, bands }) {
+  const ys = cells.map(([, y]) => y);
+  const centres = cells.map(([x, y]) => at(x, y));
+  const left = Math.min(...centres.map(([px]) => px)) - pitch / 2;
+  const spots = [];
+  if (Math.min(...ys) > 0) spots.push(Math.min(...centres.map(([, py]) => py)) - pitch / 2 + 1);
+  if (Math.max(...ys) < H - 1) spots.push(Math.max(...centres.map(([, py]) => py)) + pitch / 2 + LABEL_H - 1);
+  spots.push(...bands);
+  return spots.map((y) => [left, y - LABEL_H]);
+}
+
+// ...and on a radial board: past the outer end of each of the figure's
+// spokes, then the inner end, middle spoke first. The label is pushed along
+// the spoke until its box clears the end cell.
+function spokeSpots({ cells }, { at, pitch, w }) {
+  const ends = new Map(); // spoke -> [first row, last row]
+  for (const [x, y] of cells) {
+    const [lo, hi] = ends.get(x) ?? [y, y];
+    ends.set(x, [Math.min(lo, y), Math.max(hi, y)]);
+  }
+  const mid = cells[Math.floor(cells.length / 2)][0];
+  const order = [...ends.keys()].sort((a, b) => Math.abs(a - mid) - Math.abs(b - mid) || a - b);
+
+  const spots = [];
+  for (const x of order) {
+    const [lo, hi] = ends.get(x);
+    for (const [y, out] of [[hi, 1], [lo, -1]]) {
+      const [px, py] = at(x, y);
+      const [nx, ny] = at(x, y + out);
+      const len = Math.hypot(nx - px, ny - py);
+      const [ux, uy] = [(nx - px) / len, (ny - py) / len];
+      const reach = pitch / 2 + 1 + (Math.abs(ux) * w + Math.abs(uy) * LABEL_H) / 2;
+      spots.push([px + ux * reach - w / 2, py + uy * reach - LABEL_H / 2]);
+    }
+  }
+  return spots;
+}
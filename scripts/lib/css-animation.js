@@ -0,0 +1,187 @@
+// scripts/lib/css-animation.js
+//
+// CSS backend for the renderers' animation. A renderer's SMIL is the timeline
+// description; compiled by ./timeline.js it is written out again as @keyframes
+// rules and one animation class per element, with animation-delay carrying
+// when each element starts, so the same keyframes serve every element that
+// moves the same way. Motion is identical to the SMIL (every point where a
+// value bends or jumps becomes a keyframe, linear in between), but nothing
+// depends on SMIL support or on event-based begins like the tetris clock's.
+//
+//   const css = smilToCss(svg);
+import { parseSvg, serializeSvg } from "./svg-tree.js";
+import { compileTimeline } from "./timeline.js";
+
+export const ANIMATION_BACKENDS = ["smil", "css"];
+
+const ANIMATIONS = new Set(["animate", "set", "animateTransform", "animateMotion", "mpath"]);
+
+const plain = (value) => value;
+const px = (value) => `${value}px`;
+
+// Animated attributes CSS can drive, and how CSS spells their values
+const PROPERTIES = {
+  opacity: plain,
+  "fill-opacity": plain,
+  "stroke-opacity": plain,
+  fill: plain,
+  stroke: plain,
+  "stroke-width": px,
+  "stroke-dashoffset": px,
+  r: px,
+  cx: px,
+  cy: px,
+  x: px,
+  y: px,
+  width: px,
+  height: px,
+  rx: px,
+  ry: px,
+};
+
+// What an attribute is when the element doesn't set it
+const DEFAULTS = { opacity: "1", "fill-opacity": "1", "stroke-opacity": "1", fill: "#000", stroke: "none", "stroke-width": "1" };
+
+// SVG transform list -> CSS transform
+function cssTransform(list) {
+  const out = [];
+  for (const [, name, args] of list.matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+    const n = args.trim().split(/[\s,]+/).map(Number);
+    if (name === "translate") out.push(`translate(${n[0]}px, ${n[1] ?? 0}px)`);
+    else if (name === "scale") out.push(`scale(${n[0]}, ${n[1] ?? n[0]})`);
+    else if (name === "rotate" && n.length === 3) {
+      out.push(`translate(${n[1]}px, ${n[2]}px) rotate(${n[0]}deg) translate(${-n[1]}px, ${-n[2]}px)`);
+    } else if (name === "rotate") out.push(`rotate(${n[0]}deg)`);
+    else if (name === "skewX" || name === "skewY") out.push(`${name}(${n[0]}deg)`);
+    else if (name === "matrix") out.push(`matrix(${n.join(", ")})`);
+    else throw new Error(`Unsupported transform "${name}"`);
+  }
+  return out.length ? out.join(" ") : "none";
+}
+
+const round = (n) => Math.round(n * 1000) / 1000;
+const seconds = (s) => `${+s.toFixed(4)}s`;
+
+// A CSS value as its numbers and the text around them (#rrggbb: three numbers)
+const NUMBER = /-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+function parts(value) {
+  const hex = /^#([0-9a-f]{6})$/i.exec(value);
+  if (hex) return { shape: "#", nums: [0, 2, 4].map((i) => parseInt(hex[1].slice(i, i + 2), 16)), slack: 1 };
+  return { shape: value.replace(NUMBER, "#"), nums: (value.match(NUMBER) ?? []).map(Number), slack: 0.002 };
+}
+
+// Whether keyframe b lies on the straight run from a to c (so it can go)
+function onTheWay([ta, a], [tb, b], [tc, c]) {
+  const [pa, pb, pc] = [parts(a), parts(b), parts(c)];
+  if (pa.shape !== pb.shape || pb.shape !== pc.shape || tc === ta) return false;
+  const f = (tb - ta) / (tc - ta);
+  return pb.nums.every((n, i) => Math.abs(n - (pa.nums[i] + (pc.nums[i] - pa.nums[i]) * f)) <= pb.slack);
+}
+
+// [percent, value] keyframes of value(t) over [from, from + span), given the
+// times it changes course. A jump takes a hair either side of its time, and
+// keyframes on the straight line between their neighbours are left out.
+function keyframes(value, times, from, span, { hold = false } = {}) {
+  const hair = span * 1e-5;
+  // (to the microsecond first, so copies shifted in time come out identical)
+  const pct = (t) => Math.round((Math.round((t - from) * 1e6) / 1e6 / span) * 1e6) / 1e4;
+  const frames = [[0, value(from)]];
+  const add = (t, v) => {
+    const at = pct(t);
+    if (at > frames[frames.length - 1][0]) frames.push([at, v]);
+  };
+  for (const t of times) {
+    if (t <= from || t >= from + span) continue;
+    add(t - hair, value(t - hair));
+    add(t, value(t));
+    add(t + hair, value(t + hair)); // exactly at t, rounding can still give the old value
+  }
+  add(from + span - hair, value(from + span - hair));
+  frames.push([100, value(hold ? from + span : from + span - hair)]);
+
+  const out = [frames[0]];
+  for (let i = 1; i < frames.length - 1; i++) {
+    if (!onTheWay(out[out.length - 1], frames[i], frames[i + 1])) out.push(frames[i]);
+  }
+  out.push(frames[frames.length - 1]);
+  return out;
+}
+
+// svg: markup with SMIL animation. Returns the same picture with the
+// animation in a <style> of @keyframes and classes; throws on an animated
+// attribute CSS can't drive.
+export function smilToCss(svg) {
+  const doc = parseSvg(svg);
+  const timeline = compileTimeline(doc);
+  const rules = new Map(); // keyframes body -> name
+  const classes = new Map(); // animation list -> class
+  let css = "";
+
+  const keyframesName = (property, frames) => {
+    const body = frames.map(([at, v]) => `${at}%{${property}:${v}}`).join("");
+    if (!rules.has(body)) {
+      const name = `k${rules.size}`;
+      rules.set(body, name);
+      css += `@keyframes ${name}{${body}}\n`;
+    }
+    return rules.get(body);
+  };
+
+  // Animations for one CSS property fed by the given SMIL channels; `rest` is
+  // its value while no animation has a say
+  const animations = (node, property, names, value, rest) => {
+    const { start, period, times } = timeline.channel(node, ...names);
+    const out = [];
+    if (period === Infinity) {
+      // Plays once and holds its last value
+      if (start > 0) out.push(`${keyframesName(property, keyframes(value, times(0, start), 0, start, { hold: true }))} ${seconds(start)} linear 0s 1 forwards`);
+      return out;
+    }
+    if (start > 0) {
+      const intro = keyframes(value, times(0, start), 0, start);
+      if (intro.some(([, v]) => v !== rest)) out.push(`${keyframesName(property, intro)} ${seconds(start)} linear 0s 1`);
+    }
+    const loop = keyframes(value, times(start, start + period), start, period);
+    out.push(`${keyframesName(property, loop)} ${seconds(period)} linear ${seconds(start)} infinite`);
+    return out;
+  };
+
+  const convert = (node) => {
+    const moves = node.children.some((child) => child.tag === "animateMotion");
+    const list = [];
+    for (const name of timeline.attributesOf(node)) {
+      if (name === "transform") continue;
+      const spell = PROPERTIES[name];
+      if (!spell) throw new Error(`CSS animation can't drive the "${name}" attribute`);
+      const base = node.attrs[name] ?? DEFAULTS[name] ?? "0";
+      list.push(...animations(node, name, [name], (t) => spell(timeline.valueAt(node, name, t) ?? base), spell(base)));
+    }
+    if (moves || timeline.attributesOf(node).includes("transform")) {
+      // Motion goes ahead of the element's own (possibly animated) transform
+      const value = (t) => {
+        const motion = moves ? timeline.motionAt(node, t) : null;
+        const own = timeline.valueAt(node, "transform", t) ?? node.attrs.transform ?? "";
+        return cssTransform(`${motion ? `translate(${motion.map(round).join(" ")})` : ""} ${own}`);
+      };
+      list.push(...animations(node, "transform", ["transform", "#motion"], value, cssTransform(node.attrs.transform ?? "")));
+    }
+
+    if (list.length) {
+      const declaration = list.join(", ");
+      if (!classes.has(declaration)) {
+        const name = `a${classes.size}`;
+        classes.set(declaration, name);
+        css += `.${name}{animation:${declaration}}\n`;
+      }
+      node.attrs.class = [node.attrs.class, classes.get(declaration)].filter(Boolean).join(" ");
+    }
+
+    node.children = node.children.filter((child) => !ANIMATIONS.has(child.tag));
+    node.children.forEach(convert);
+  };
+  convert(doc.root);
+
+  if (!css) return svg;
+  doc.root.children.unshift({ tag: "style", attrs: {}, children: [], text: css, parent: doc.root });
+  return serializeSvg(doc.root);
+}
@@ -0,0 +1,98 @@
+// scripts/lib/data-source.js
+//
+// Where the contribution calendar comes from. Every renderer consumes the same
+// `weeks[].contributionDays[]` shape, either fetched live from the GitHub
+// GraphQL API or read from a JSON file / stdin:
+//
+//   node scripts/contrib.js --input fixtures/weeks.sample.json
+//   gh api graphql -f query=... | node scripts/contrib.js --input -
+import fs from "fs";
+
+// --------------------
+// GitHub GraphQL source
+// --------------------
+export async function fetchContribWeeks({ username, token, from, to } = {}) {
+  if (!username) throw new Error("GITHUB_USERNAME missing");
+
+  // Use explicit from/to so it matches “last year” window more closely
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end);
+  if (!from) start.setUTCFullYear(end.getUTCFullYear() - 1);
+
+  const query = `
+    query($login:String!, $from:DateTime!, $to:DateTime!) {
+      user(login:$login) {
+        contributionsCollection(from: $from, to: $to) {
+          contributionCalendar {
+            weeks {
+              contributionDays {
+                date
+                contributionCount
+                contributionLevel
+                color
+                weekday
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  // Loaded lazily so offline renders don't need the dependency installed
+  const { Octokit } = await import("@octokit/rest");
+  const octokit = new Octokit({ auth: token });
+
+  const res = await octokit.graphql(query, {
+    login: username,
+    from: start.toISOString(),
+    to: end.toISOString(),
+  });
+
+  return normalizeWeeks(res);
+}
+
+// --------------------
+// JSON file / stdin source
+// --------------------
+
+// Accepts a bare weeks array, `{ weeks }`, a `contributionCalendar` object, or a
+// raw GraphQL response (with or without the `data` envelope).
+export function normalizeWeeks(json) {
+  const collection = (json?.data ?? json)?.user?.contributionsCollection;
+  const weeks = Array.isArray(json)
+    ? json
+    : json?.weeks ?? json?.contributionCalendar?.weeks ?? collection?.contributionCalendar?.weeks;
+
+  if (!Array.isArray(weeks)) {
+    throw new Error("Contribution data must contain weeks[].contributionDays[]");
+  }
+  weeks.forEach((week, i) => {
+    if (!Array.isArray(week?.contributionDays)) {
+      throw new Error(`weeks[${i}].contributionDays is not an array`);
+    }
+  });
+
+  return weeks;
+}
+
+export function readWeeksFile(file) {
+  return normalizeWeeks(JSON.parse(fs.readFileSync(file, "utf-8")));
+}
+
+export async function readWeeksStdin(stream = process.stdin) {
+  let text = "";
+  stream.setEncoding("utf-8");
+  for await (const chunk of stream) text += chunk;
+  if (!text.trim()) throw new Error("No contribution data on stdin");
+  return normalizeWeeks(JSON.parse(text));
+}
+
+// --------------------
+// Source selection ("-" reads stdin)
+// --------------------
+export async function loadWeeks({ input, username, token, from, to } = {}) {
+  if (input === "-") return readWeeksStdin();
+  if (input) return readWeeksFile(input);
+  return fetchContribWeeks({ username, token, from, to });
+}
@@ -0,0 +1,105 @@
+// scripts/lib/export.js
+//
+// Video-ish exports of a rendered SVG for places that don't play SMIL (GitHub
+// READMEs, chat, email): the animation sampled at fixed frame times by
+// ./rasterize.js and encoded as GIF or APNG in pure JS, or as MP4 through a
+// local ffmpeg.
+//
+//   const gif = await exportAnimation(svg, { format: "gif", fps: 12, width: 600 });
+import { spawn } from "child_process";
+import { once } from "events";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { createApngEncoder } from "./apng.js";
+import { createGifEncoder } from "./gif.js";
+import { createRasterizer } from "./rasterize.js";
+
+export const FORMATS = ["svg", "gif", "apng", "mp4"];
+
+// Format an output path asks for by its extension (svg for anything unknown)
+export function formatFromPath(file) {
+  const ext = path.extname(file).toLowerCase();
+  return { ".gif": "gif", ".png": "apng", ".apng": "apng", ".mp4": "mp4" }[ext] ?? "svg";
+}
+
+// svg: markup from renderContributionSvg. Options:
+//   format    "gif" | "apng" | "mp4"
+//   fps       frames per second (default 12)
+//   loop      times to play, 0 = forever (GIF / APNG; MP4 has no loop flag)
+//   width     output px, height to scale (default: the SVG's own size)
+//   duration  seconds to capture (default: one loop of the animation)
+//   onFrame   (done, total) callback after each frame, for progress
+// Resolves to the encoded file as a Buffer.
+export async function exportAnimation(svg, { format, fps = 12, loop = 0, width, duration, onFrame } = {}) {
+  if (!FORMATS.includes(format) || format === "svg") {
+    throw new Error(`Unknown export format "${format}" (expected gif, apng, mp4)`);
+  }
+  const raster = createRasterizer(svg, { width });
+  const seconds = duration ?? raster.duration;
+  const total = Math.max(1, Math.round(seconds * fps));
+  const frames = (function* () {
+    for (let i = 0; i < total; i++) {
+      yield raster.frame(i / fps);
+      onFrame?.(i + 1, total);
+    }
+  })();
+
+  if (format === "mp4") return encodeMp4(frames, { width: raster.width, height: raster.height, fps });
+
+  const options = { width: raster.width, height: raster.height, fps, loop };
+  const encoder = format === "gif" ? createGifEncoder(options) : createApngEncoder(options);
+  for (const rgba of frames) encoder.add(rgba);
+  return encoder.finish();
+}
+
+// --------------------
+// MP4 (ffmpeg)
+// --------------------
+// H.264 wants even dimensions and no alpha: frames go to ffmpeg as RGB over
+// black, padded by a pixel where needed
+async function encodeMp4(frames, { width, height, fps }) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "contrib-"));
+  const file = path.join(dir, "out.mp4");
+  const ffmpeg = spawn(
+    "ffmpeg",
+    [
+      "-loglevel", "error", "-y",
+      "-f", "rawvideo", "-pix_fmt", "rgb24", "-s", `${width}x${height}`, "-r", String(fps), "-i", "-",
+      "-vf", "pad=ceil(iw/2)*2:ceil(ih/2)*2",
+      "-c:v", "libx264", "-pix_fmt", "yuv420p", "-movflags", "+faststart",
+      file,
+    ],
+    { stdio: ["pipe", "ignore", "pipe"] },
+  );
+  let stderr = "";
+  ffmpeg.stderr.on("data", (data) => (stderr += data));
+  const exited = new Promise((resolve, reject) => {
+    ffmpeg.on("error", (err) =>
+      reject(err.code === "ENOENT" ? new Error("MP4 export needs ffmpeg on the PATH (GIF and APNG don't)") : err),
+    );
+    ffmpeg.on("close", (code) => (code === 0 ? resolve() : reject(new Error(`ffmpeg failed (exit ${code}): ${stderr.trim()}`))));
+  });
+  exited.catch(() => {}); // awaited below; this only keeps an early exit from going unhandled
+  ffmpeg.stdin.on("error", () => {}); // a dead ffmpeg reports through `exited`
+
+  try {
+    await Promise.race([once(ffmpeg, "spawn"), exited]);
+    for (const rgba of frames) {
+      const rgb = Buffer.alloc(width * height * 3);
+      for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+        const a = rgba[i + 3] / 255;
+        rgb[j] = rgba[i] * a;
+        rgb[j + 1] = rgba[i + 1] * a;
+        rgb[j + 2] = rgba[i + 2] * a;
+      }
+      if (!ffmpeg.stdin.write(rgb)) await Promise.race([new Promise((resolve) => ffmpeg.stdin.once("drain", resolve)), exited]);
+    }
+    ffmpeg.stdin.end();
+    await exited;
+    return fs.readFileSync(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,161 @@
+// scripts/lib/game-hud.js
+//
+// Side panel for the tetris "game" mode: Hold slot, Next queue and
+// score / lines / level counters. SVG can't animate text content, so every
+// changing readout is a strip of all its values behind a one-slot clip window,
+// stepped with a discrete translate at the moment the value changes.
+import { LABEL_FONT } from "./labels.js";
+import { pieceColor, resolvePieceSet } from "./piece-sets.js";
+
+const NEXT_SLOTS = 5;
+
+// Slots fit the set's widest and tallest spawn orientation (4×2 at least)
+function layout(cell, set) {
+  const size = (shape, axis) => {
+    const values = shape.map((c) => c[axis]);
+    return Math.max(...values) - Math.min(...values) + 1;
+  };
+  const extent = (axis) => Math.max(...set.order.map((p) => size(set.shapes[p][0], axis)));
+  const mini = Math.max(3, Math.round(cell / 2));
+  const miniPitch = mini + 1;
+  const slotH = miniPitch * Math.max(2, extent(1)) + 6;
+  const boxW = miniPitch * Math.max(4, extent(0)) + 8;
+  const colGap = 14;
+  return { mini, miniPitch, slotH, boxW, colGap, leftW: boxW + 10, set };
+}
+
+export function gameHudWidth(cell, { pieceSet } = {}) {
+  const { leftW, colGap, boxW } = layout(cell, resolvePieceSet(pieceSet));
+  return leftW + colGap + boxW;
+}
+
+const fmt = (t) => t.toFixed(3);
+const span = (t) => `${fmt(t)}s;clock.repeatEvent+${fmt(t)}s`;
+
+// Spawn orientation, centred in a slot whose top-left is (x, y)
+function miniPiece(piece, x, y, { mini, miniPitch, slotH, boxW, set }, theme) {
+  const shape = set.shapes[piece][0];
+  const xs = shape.map(([dx]) => dx);
+  const ys = shape.map(([, dy]) => dy);
+  const w = (Math.max(...xs) - Math.min(...xs) + 1) * miniPitch - 1;
+  const h = (Math.max(...ys) - Math.min(...ys) + 1) * miniPitch - 1;
+  const x0 = x + (boxW - w) / 2 - Math.min(...xs) * miniPitch;
+  const y0 = y + (slotH - h) / 2 - Math.min(...ys) * miniPitch;
+
+  return shape
+    .map(
+      ([dx, dy]) =>
+        `<rect x="${(x0 + dx * miniPitch).toFixed(1)}" y="${(y0 + dy * miniPitch).toFixed(1)}" width="${mini}" height="${mini}" rx="1" fill="${pieceColor(set, piece, theme)}" />`
+    )
+    .join("");
+}
+
+// Discrete vertical steps: offsets[i] applies from times[i] (seconds from `start`)
+function stepper(offsets, times, start, dur) {
+  const keyTimes = times.map((t) => Math.min(1, Math.max(0, t / dur)).toFixed(5)).join(";");
+  return `<animateTransform attributeName="transform" type="translate" calcMode="discrete"
+             values="${offsets.map((o) => `0 ${o.toFixed(1)}`).join(";")}" keyTimes="${keyTimes}"
+             dur="${fmt(dur)}s" begin="${span(start)}" fill="freeze" />`;
+}
+
+// x, y: panel top-left. runs: [{ start, dealt, turns: [{ at, next, hold }] }],
+// one per animation run (queue and Hold reset each run). counters:
+// [{ at, score, lines, level }] cumulative over the whole loop. pieceSet:
+// the set the pieces are dealt from (default tetrominoes).
+export function renderGameHud({ x, y, cell, theme, runDur, totalDur, runs, counters, pieceSet }) {
+  const L = layout(cell, resolvePieceSet(pieceSet));
+  const { slotH, boxW, leftW, colGap } = L;
+  const nextX = x + leftW + colGap;
+  const boxY = y + 14;
+
+  const label = (text, lx, ly) =>
+    `<text x="${lx}" y="${ly}" fill="${theme.label}" font-family="${LABEL_FONT}" font-size="10">${text}</text>`;
+  const frame = (fx, fy, w, h) =>
+    `<rect x="${fx}" y="${fy}" width="${w}" height="${h}" rx="3" fill="none" stroke="${theme.border}" stroke-width="1" />`;
+
+  let defs = `
+    <clipPath id="hudNextClip"><rect x="${nextX}" y="${boxY}" width="${boxW}" height="${slotH * NEXT_SLOTS}" /></clipPath>`;
+  let out = `
+    ${label("HOLD", x, y + 10)}
+    ${frame(x, boxY, boxW, slotH)}
+    ${label("NEXT", nextX, y + 10)}
+    ${frame(nextX, boxY, boxW, slotH * NEXT_SLOTS)}`;
+
+  for (const run of runs) {
+    // Next: the run's whole deal as a strip, advanced as each piece spawns
+    const last = Math.max(0, ...run.turns.map((t) => t.next));
+    let strip = "";
+    for (let i = 0; i < Math.min(run.dealt.length, last + NEXT_SLOTS); i++) {
+      strip += miniPiece(run.dealt[i], nextX, boxY + i * slotH, L, theme);
+    }
+    const offsets = [0, ...run.turns.map((t) => -t.next * slotH)];
+    const times = [0, ...run.turns.map((t) => t.at - run.start)];
+
+    out += `
+    <g opacity="0" clip-path="url(#hudNextClip)">
+      <animate attributeName="opacity" values="1;1" dur="${fmt(runDur)}s" begin="${span(run.start)}" fill="remove" />
+      <g>
+        ${stepper(offsets, times, run.start, runDur)}
+        ${strip}
+      </g>
+    </g>`;
+
+    // Hold: one icon per stretch of time the slot keeps the same piece
+    const stretches = [];
+    for (const turn of run.turns) {
+      if (stretches[stretches.length - 1]?.piece !== turn.hold) stretches.push({ piece: turn.hold, from: turn.at });
+    }
+    stretches.forEach(({ piece, from }, i) => {
+      const until = stretches[i + 1]?.from ?? run.start + runDur;
+      if (!piece || until <= from) return;
+      out += `
+    <g opacity="0">
+      <animate attributeName="opacity" values="1;1" dur="${fmt(until - from)}s" begin="${span(from)}" fill="remove" />
+      ${miniPiece(piece, x, boxY, L, theme)}
+    </g>`;
+    });
+  }
+
+  // Counters: one strip per readout over the whole loop
+  const lineH = 13;
+  const readouts = [
+    ["SCORE", (c) => c.score],
+    ["LINES", (c) => c.lines],
+    ["LEVEL", (c) => c.level],
+  ];
+  const first = { at: 0, score: 0, lines: 0, level: 1 };
+
+  readouts.forEach(([name, value], row) => {
+    const ly = boxY + slotH + 16 + row * (lineH * 2 + 4);
+    const id = `hud${name[0]}${name.slice(1).toLowerCase()}Clip`;
+    defs += `
+    <clipPath id="${id}"><rect x="${x}" y="${ly + 2}" width="${leftW}" height="${lineH}" /></clipPath>`;
+
+    // Only the moments this readout actually changes
+    const changes = [first];
+    for (const c of counters) if (value(c) !== value(changes[changes.length - 1])) changes.push(c);
+
+    const texts = changes
+      .map(
+        (c, i) =>
+          `<text x="${x}" y="${ly + 12 + i * lineH}" fill="${theme.text}" font-family="${LABEL_FONT}" font-size="11">${value(c)}</text>`
+      )
+      .join("");
+
+    out += `
+    ${label(name, x, ly)}
+    <g clip-path="url(#${id})">
+      <g>
+        ${stepper(
+          changes.map((_, i) => -i * lineH),
+          changes.map((c) => c.at),
+          0,
+          totalDur
+        )}
+        ${texts}
+      </g>
+    </g>`;
+  });
+
+  return { defs, svg: out };
+}
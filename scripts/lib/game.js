@@ -0,0 +1,106 @@
+// scripts/lib/game.js
+//
+// Game layer for the tetris "game" mode: a seeded 7-bag randomizer deals the
+// pieces, a Hold slot lets the player swap one out, and guideline scoring turns
+// the simulated drops into score / lines / level.
+//
+// The board is fixed in advance (it has to settle into the heatmap), so the
+// dealer decides which droppable tile is played next: one matching the current
+// piece, else the held piece (swap), else the current piece goes into an empty
+// Hold and the next one is tried. When nothing dealt fits anywhere — usually
+// the last few tiles of a board — it makes a "mercy" deal of a piece that does,
+// taken from the rest of the current bag so the bag still holds one of each.
+// A tiling rarely uses every piece equally often, so sometimes none of the
+// bag's remaining pieces fits either; then the mercy piece comes from outside
+// the bag (its index is listed in `offBag`) and that one bag is not a true
+// 7-bag. The bags after it are. Other piece sets deal from a bag holding one
+// of each of their pieces the same way.
+import { resolvePieceSet, SINGLE } from "./piece-sets.js";
+import { shuffle } from "./rng.js";
+
+// Guideline points for clearing 1–4 rows with one piece (× level)
+export const LINE_CLEAR_POINTS = [0, 100, 300, 500, 800];
+export const SOFT_DROP_POINTS = 1; // per row
+export const LINES_PER_LEVEL = 10;
+
+export function levelFor(lines) {
+  return 1 + Math.floor(lines / LINES_PER_LEVEL);
+}
+
+// Endless 7-bag: every group of seven is one shuffled copy of each piece
+// (of each piece in `pieces`, for other sets)
+export function* sevenBag(rng, pieces = resolvePieceSet().order) {
+  for (;;) yield* shuffle([...pieces], rng);
+}
+
+// A `choose` for gravityOrder. Each set piece unit it picks is tagged with
+// `turn: { next, hold }`: the index in `dealt` the Next queue starts from once
+// the piece spawns, and what sits in Hold. 1×1 fallback blocks are garbage —
+// they drop first and aren't dealt.
+export function createDealer(rng, { pieceSet } = {}) {
+  const { order } = resolvePieceSet(pieceSet);
+  const bag = sevenBag(rng, order);
+  const dealt = [];
+  const offBag = []; // indices in `dealt` of mercy deals from outside their bag
+  let next = 0;
+  let hold = null;
+
+  const deal = (i) => {
+    while (dealt.length <= i) dealt.push(bag.next().value);
+    return dealt[i];
+  };
+  const pick = (units) => units[Math.floor(rng() * units.length)];
+  const ofType = (ready, piece) => ready.filter((u) => u.placement.piece === piece);
+
+  // Deal a piece that fits somewhere at dealt[i]: swapped forward from the
+  // rest of its bag when one of those fits, so the bag stays a bag
+  const mercy = (ready, i) => {
+    const end = (Math.floor(i / order.length) + 1) * order.length;
+    deal(end - 1);
+    const rest = dealt.slice(i, end);
+    const inBag = ready.filter((u) => rest.includes(u.placement.piece));
+    const unit = pick(inBag.length ? inBag : ready);
+    const j = rest.indexOf(unit.placement.piece);
+    if (j >= 0) {
+      [dealt[i], dealt[i + j]] = [dealt[i + j], dealt[i]];
+    } else {
+      dealt[i] = unit.placement.piece;
+      offBag.push(i);
+    }
+    return unit;
+  };
+
+  const play = (unit, queueFrom) => {
+    next = queueFrom;
+    unit.turn = { next, hold };
+    return unit;
+  };
+
+  function choose(ready) {
+    const garbage = ofType(ready, SINGLE);
+    if (garbage.length) return pick(garbage);
+
+    const current = deal(next);
+    const matches = ofType(ready, current);
+    if (matches.length) return play(pick(matches), next + 1);
+
+    if (hold !== null) {
+      const held = ofType(ready, hold);
+      if (held.length) {
+        hold = current;
+        return play(pick(held), next + 1);
+      }
+      return play(mercy(ready, next), next + 1);
+    }
+
+    // Empty Hold: stash the current piece and try the one after it
+    hold = current;
+    const following = ofType(ready, deal(next + 1));
+    return play(following.length ? pick(following) : mercy(ready, next + 1), next + 2);
+  }
+
+  // Pieces dealt from index `from` (dealing more from the bag if needed)
+  const upcoming = (from, count) => Array.from({ length: count }, (_, i) => deal(from + i));
+
+  return { choose, upcoming, dealt, offBag };
+}
@@ -0,0 +1,192 @@
+// scripts/lib/gif.js
+//
+// Animated GIF encoder. Like ./apng.js, frames go in as full RGBA images and
+// each is stored as the rectangle that changed, with unchanged pixels inside
+// it left transparent so they compress to almost nothing. Every frame gets
+// its own palette of up to 255 colors (median cut); pixels under half
+// opacity are transparent, and since frames draw over the last one, a pixel
+// that was opaque can't turn transparent again later.
+import { changedRect } from "./apng.js";
+
+// --------------------
+// Palette
+// --------------------
+// Up to `max` colors standing in for the weighted colors in `counts`
+// (Map of 0xRRGGBB -> pixels)
+function medianCut(counts, max) {
+  const colors = [...counts].map(([rgb, n]) => [rgb >> 16, (rgb >> 8) & 0xff, rgb & 0xff, n]);
+  if (colors.length <= max) return colors.map(([r, g, b]) => [r, g, b]);
+
+  // A box of colors and its widest channel
+  const boxOf = (box) => {
+    let [range, channel] = [-1, 0];
+    for (let c = 0; c < 3; c++) {
+      let [lo, hi] = [255, 0];
+      for (const color of box) {
+        if (color[c] < lo) lo = color[c];
+        if (color[c] > hi) hi = color[c];
+      }
+      if (hi - lo > range) [range, channel] = [hi - lo, c];
+    }
+    return { colors: box, range, channel };
+  };
+  const boxes = [boxOf(colors)];
+  while (boxes.length < max) {
+    // Split the box whose widest channel spans the most, at its weighted median
+    let pick = 0;
+    boxes.forEach((box, i) => box.range > boxes[pick].range && (pick = i));
+    const { colors: box, range, channel } = boxes[pick];
+    if (range <= 0) break;
+    box.sort((a, b) => a[channel] - b[channel]);
+    const total = box.reduce((s, c) => s + c[3], 0);
+    let at = 0;
+    for (let seen = 0; at < box.length - 1 && seen + box[at][3] <= total / 2; at++) seen += box[at][3];
+    at = Math.max(1, at);
+    boxes.splice(pick, 1, boxOf(box.slice(0, at)), boxOf(box.slice(at)));
+  }
+  return boxes.map(({ colors: box }) => {
+    const total = box.reduce((s, c) => s + c[3], 0);
+    return [0, 1, 2].map((c) => Math.round(box.reduce((s, color) => s + color[c] * color[3], 0) / total));
+  });
+}
+
+// Palette indices for a frame rectangle: { palette, indices, transparent }
+function quantize(rgba, prev, width, { x, y, w, h }) {
+  const counts = new Map();
+  const keys = new Int32Array(w * h).fill(-1);
+  for (let row = 0; row < h; row++) {
+    for (let col = 0; col < w; col++) {
+      const i = ((y + row) * width + x + col) * 4;
+      if (rgba[i + 3] < 128) continue;
+      if (prev && prev[i] === rgba[i] && prev[i + 1] === rgba[i + 1] && prev[i + 2] === rgba[i + 2] && prev[i + 3] === rgba[i + 3]) continue;
+      const rgb = (rgba[i] << 16) | (rgba[i + 1] << 8) | rgba[i + 2];
+      keys[row * w + col] = rgb;
+      counts.set(rgb, (counts.get(rgb) ?? 0) + 1);
+    }
+  }
+
+  const palette = medianCut(counts, 255);
+  const transparent = palette.length;
+  const nearest = new Map();
+  const indexOf = (rgb) => {
+    let index = nearest.get(rgb);
+    if (index !== undefined) return index;
+    const [r, g, b] = [rgb >> 16, (rgb >> 8) & 0xff, rgb & 0xff];
+    let best = Infinity;
+    palette.forEach(([pr, pg, pb], i) => {
+      const d = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+      if (d < best) [best, index] = [d, i];
+    });
+    nearest.set(rgb, index);
+    return index;
+  };
+  const indices = new Uint8Array(w * h);
+  keys.forEach((rgb, i) => (indices[i] = rgb < 0 ? transparent : indexOf(rgb)));
+  return { palette, indices, transparent };
+}
+
+// --------------------
+// LZW
+// --------------------
+// GIF's variable-width LZW over palette indices, packed into 255-byte
+// sub-blocks (after the minimum code size byte, before the 0 terminator)
+function lzw(indices, minCodeSize) {
+  const bytes = [];
+  let acc = 0;
+  let bits = 0;
+  const emit = (code, size) => {
+    acc |= code << bits;
+    bits += size;
+    while (bits >= 8) {
+      bytes.push(acc & 0xff);
+      acc >>>= 8;
+      bits -= 8;
+    }
+  };
+
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  let table = new Map();
+  let next = end + 1;
+  let size = minCodeSize + 1;
+  emit(clear, size);
+  let code = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (code << 8) | k;
+    const known = table.get(key);
+    if (known !== undefined) {
+      code = known;
+      continue;
+    }
+    emit(code, size);
+    if (next === 4096) {
+      emit(clear, size);
+      table = new Map();
+      next = end + 1;
+      size = minCodeSize + 1;
+    } else {
+      if (next >= 1 << size) size++;
+      table.set(key, next++);
+    }
+    code = k;
+  }
+  emit(code, size);
+  emit(end, size);
+  if (bits > 0) bytes.push(acc & 0xff);
+
+  const out = [minCodeSize];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const block = bytes.slice(i, i + 255);
+    out.push(block.length, ...block);
+  }
+  out.push(0);
+  return Buffer.from(out);
+}
+
+// --------------------
+// Encoder
+// --------------------
+// width, height: px; fps: frames per second (at most 50: delays are whole
+// centiseconds, and browsers slow anything under 2 down); loop: times to
+// play (0 = forever). Returns { add(rgba), finish() -> Buffer }.
+export function createGifEncoder({ width, height, fps, loop = 0 }) {
+  if (fps > 50) throw new Error(`GIF frames can't go faster than 50 fps (got ${fps})`);
+  const frames = []; // { rect, palette, transparent, data, ticks }
+  let prev = null;
+
+  return {
+    add(rgba) {
+      const rect = changedRect(prev, rgba, width, height);
+      if (!rect) {
+        frames[frames.length - 1].ticks++;
+        return;
+      }
+      const { palette, indices, transparent } = quantize(rgba, prev, width, rect);
+      const depth = Math.max(1, Math.ceil(Math.log2(palette.length + 1)));
+      frames.push({ rect, palette, transparent, depth, data: lzw(indices, Math.max(2, depth)), ticks: 1 });
+      prev = Uint8ClampedArray.from(rgba);
+    },
+
+    finish() {
+      const u16 = (n) => [n & 0xff, n >> 8];
+      const out = [Buffer.from("GIF89a"), Buffer.from([...u16(width), ...u16(height), 0, 0, 0])];
+      if (loop !== 1) {
+        out.push(Buffer.from([0x21, 0xff, 0x0b, ...Buffer.from("NETSCAPE2.0"), 0x03, 0x01, ...u16(Math.max(0, loop - 1)), 0]));
+      }
+      // Delays rounded on the running clock so they add up to the real length
+      let tick = 0;
+      for (const { rect, palette, transparent, depth, data, ticks } of frames) {
+        const delay = Math.round(((tick + ticks) * 100) / fps) - Math.round((tick * 100) / fps);
+        tick += ticks;
+        out.push(Buffer.from([0x21, 0xf9, 0x04, (1 << 2) | 1, ...u16(delay), transparent, 0])); // dispose: leave, transparent
+        out.push(Buffer.from([0x2c, ...u16(rect.x), ...u16(rect.y), ...u16(rect.w), ...u16(rect.h), 0x80 | (depth - 1)]));
+        const table = Buffer.alloc(3 << depth);
+        palette.forEach((color, i) => table.set(color, i * 3));
+        out.push(table, data);
+      }
+      out.push(Buffer.from([0x3b]));
+      return Buffer.concat(out);
+    },
+  };
+}
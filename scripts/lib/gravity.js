@@ -0,0 +1,106 @@
+// scripts/lib/gravity.js
+//
+// Drop order for the tetris "simulate" mode. Given a tiling of the contributed
+// cells, orders every block so it can fall straight down from above the well
+// and come to rest exactly on its target: a unit may only drop once everything
+// directly beneath its cells (same column, one row down) is already in place.
+//
+// Empty days take part as 1×1 "lock" units — solid blocks that appear as soon
+// as they are supported, so pieces above them have something to land on.
+// Interlocking pieces (A under B in one column, B under A in another) have no
+// valid order; the lowest stuck piece is split into 1×1 blocks to break the
+// cycle, and reported so callers can account for the lost coverage.
+import { SINGLE } from "./piece-sets.js";
+
+// Cells of a placement in board coordinates
+export function placementCells({ shape, ox, oy }) {
+  return shape.map(([dx, dy]) => [ox + dx, oy + dy]);
+}
+
+// placements: tiling of `mask` (from tileMask), mask: H×W booleans.
+// `choose(ready)` picks which of the droppable piece units goes next (default:
+// uniformly at random). `reachable(placement, board)` may rule out pieces
+// that can't get to their target over the board as it stands (board: H×W
+// booleans of the cells placed so far); when every supported piece is ruled
+// out, the lowest is split into 1×1 blocks, and a block that can't get there
+// either throws. Returns { steps, splits } where each step is
+//   { kind: "piece", placement, cells, deps } or { kind: "lock", cells, deps }
+// in drop order, deps being the indices of earlier steps it rests on, and
+// `splits` counts pieces broken up into singles.
+export function gravityOrder(placements, mask, { rng = Math.random, choose, reachable } = {}) {
+  const H = mask.length;
+  const W = mask[0]?.length ?? 0;
+
+  const units = placements.map((placement) => ({ kind: "piece", placement, cells: placementCells(placement) }));
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      if (!mask[y][x]) units.push({ kind: "lock", cells: [[x, y]] });
+    }
+  }
+
+  const owner = Array.from({ length: H }, () => new Array(W).fill(null));
+  for (const unit of units) for (const [x, y] of unit.cells) owner[y][x] = unit;
+
+  const placed = new Map(); // unit -> step index
+  const board = Array.from({ length: H }, () => new Array(W).fill(false));
+  const steps = [];
+  let splits = 0;
+
+  // Units directly beneath `unit` (its own cells don't count)
+  const supports = (unit) => {
+    const below = new Set();
+    for (const [x, y] of unit.cells) {
+      const under = y + 1 < H ? owner[y + 1][x] : null;
+      if (under && under !== unit) below.add(under);
+    }
+    return [...below];
+  };
+  const isReady = (unit) => supports(unit).every((u) => placed.has(u));
+
+  const place = (unit) => {
+    const deps = supports(unit).map((u) => placed.get(u));
+    placed.set(unit, steps.length);
+    steps.push({ ...unit, deps });
+    for (const [x, y] of unit.cells) board[y][x] = true;
+  };
+
+  let pending = units;
+  while (pending.length) {
+    // Gaps lock the moment they're supported
+    const locks = pending.filter((u) => u.kind === "lock" && isReady(u));
+    if (locks.length) {
+      locks.forEach(place);
+      pending = pending.filter((u) => !placed.has(u));
+      continue;
+    }
+
+    const ready = pending.filter((u) => isReady(u) && (!reachable || reachable(u.placement, board)));
+    if (ready.length) {
+      place(choose ? choose(ready) : ready[Math.floor(rng() * ready.length)]);
+      pending = pending.filter((u) => !placed.has(u));
+      continue;
+    }
+
+    // Cycle (or no supported piece can get in): the lowest remaining cell
+    // always rests on placed blocks, so splitting the piece that holds it
+    // guarantees progress
+    let lowest = pending[0];
+    for (const u of pending) {
+      if (Math.max(...u.cells.map(([, y]) => y)) > Math.max(...lowest.cells.map(([, y]) => y))) lowest = u;
+    }
+    if (lowest.cells.length === 1) {
+      const [[x, y]] = lowest.cells;
+      throw new Error(`No legal route down to the block at ${x},${y}`);
+    }
+    const singles = lowest.cells.map(([x, y]) => ({
+      kind: "piece",
+      placement: { piece: SINGLE, shape: [[0, 0]], ox: x, oy: y },
+      cells: [[x, y]],
+    }));
+    for (const s of singles) owner[s.cells[0][1]][s.cells[0][0]] = s;
+    pending = pending.filter((u) => u !== lowest).concat(singles);
+    splits++;
+  }
+
+  return { steps, splits };
+}
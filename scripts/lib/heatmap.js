@@ -0,0 +1,76 @@
+// scripts/lib/heatmap.js
+import { buildLevels } from "./buckets.js";
+import { hashString } from "./rng.js";
+
+// --------------------
+// Build an exact GitHub-like heatmap grid (last 52/53 weeks)
+// --------------------
+export function monthAbbrev(dateStr) {
+  const m = new Date(dateStr + "T00:00:00Z").getUTCMonth();
+  return ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"][m];
+}
+export function monthIndex(dateStr) {
+  return new Date(dateStr + "T00:00:00Z").getUTCMonth();
+}
+
+export const MIN_WEEKS_BETWEEN_MONTH_LABELS = 4;
+
+export function buildHeatmap(weeks, { user = "", bucketing = "fixed" } = {}) {
+  const W = Math.min(53, weeks.length);
+  const slice = weeks.slice(-W);
+  const H = 7;
+
+  const grid = Array.from({ length: H }, () => Array.from({ length: W }, () => 0));
+  const dates = Array.from({ length: H }, () => Array.from({ length: W }, () => null));
+  const days2d = Array.from({ length: H }, () => Array.from({ length: W }, () => null));
+
+  const monthStarts = [];
+  let lastMonth = null;
+  let lastLabeledX = -999;
+
+  const daysFlat = [];
+
+  for (let x = 0; x < W; x++) {
+    // By weekday: a year that starts midweek has a short first week
+    const days = new Array(H).fill(null);
+    for (const d of slice[x].contributionDays ?? []) days[d.weekday ?? new Date(d.date + "T00:00:00Z").getUTCDay()] = d;
+
+    const refDate = days.find(Boolean)?.date ?? null;
+    if (refDate) {
+      const mi = monthIndex(refDate);
+
+      if (lastMonth === null) {
+        lastMonth = mi;
+        monthStarts.push({ x: 0, label: monthAbbrev(refDate) });
+        lastLabeledX = 0;
+      } else if (mi !== lastMonth) {
+        lastMonth = mi;
+        if (x - lastLabeledX >= MIN_WEEKS_BETWEEN_MONTH_LABELS) {
+          monthStarts.push({ x, label: monthAbbrev(refDate) });
+          lastLabeledX = x;
+        }
+      }
+    }
+
+    for (let y = 0; y < H; y++) {
+      const d = days[y];
+      const c = d?.contributionCount ?? 0;
+      const date = d?.date ?? null;
+
+      grid[y][x] = c;
+      dates[y][x] = date;
+      days2d[y][x] = d ?? null;
+      daysFlat.push({ date, contributionCount: c });
+    }
+  }
+
+  const totalYear = daysFlat.reduce((a, d) => a + (d.contributionCount ?? 0), 0);
+  const last7 = daysFlat.slice(-7).reduce((a, d) => a + (d.contributionCount ?? 0), 0);
+  const last30 = daysFlat.slice(-30).reduce((a, d) => a + (d.contributionCount ?? 0), 0);
+
+  const seed = hashString(`${user}:${totalYear}:${daysFlat.find((d) => d.date)?.date ?? ""}`);
+
+  const levels = buildLevels(days2d, bucketing);
+
+  return { grid, levels, dates, W, H, monthStarts, totalYear, last7, last30, seed };
+}
@@ -0,0 +1,18 @@
+// scripts/lib/keyframes.js
+//
+// Looping SMIL keyframes for renderers that animate on one shared cycle
+// (begin 0, repeatCount="indefinite") instead of the tetris clock.
+
+// One looping <animate> over `total` seconds from [seconds, value] keyframes;
+// the first and last values hold out to the ends of the loop.
+export function looped(total) {
+  const key = (s) => Math.min(1, Math.max(0, s / total)).toFixed(5);
+  return (attr, frames) => {
+    const all = [...frames];
+    if (all[0][0] > 0) all.unshift([0, all[0][1]]);
+    if (all[all.length - 1][0] < total) all.push([total, all[all.length - 1][1]]);
+    return `<animate attributeName="${attr}" values="${all.map((f) => f[1]).join(";")}"
+               keyTimes="${all.map((f) => key(f[0])).join(";")}"
+               dur="${total.toFixed(3)}s" repeatCount="indefinite" />`;
+  };
+}
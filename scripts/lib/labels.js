@@ -0,0 +1,60 @@
+// scripts/lib/labels.js
+//
+// Calendar chrome shared by every renderer: month labels above the grid,
+// Mon/Wed/Fri down the left edge, the Less → More level legend and the
+// contribution totals line.
+
+export const LABEL_FONT = "ui-sans-serif, system-ui";
+
+// --- Month labels ---
+export function monthLabels({ monthStarts, gridX0, pitch, y, fill }) {
+  let out = "";
+  for (const m of monthStarts) {
+    const x = gridX0 + m.x * pitch;
+    out += `<text x="${x}" y="${y}" fill="${fill}"
+      font-family="${LABEL_FONT}" font-size="11">${m.label}</text>\n`;
+  }
+  return out;
+}
+
+// --- Weekday labels ---
+export function weekdayLabels({ x, gridY0, pitch, cell, fill }) {
+  const dayLabel = (label, row) => {
+    const y = gridY0 + row * pitch + cell - 2;
+    return `<text x="${x}" y="${y}" fill="${fill}"
+      font-family="${LABEL_FONT}" font-size="11" text-anchor="end">${label}</text>\n`;
+  };
+  return dayLabel("Mon", 1) + dayLabel("Wed", 3) + dayLabel("Fri", 5);
+}
+
+// --- Level legend (right-aligned to xRight; y is the text baseline) ---
+export function levelLegend({ xRight, y, cell, levels, stroke, fill }) {
+  const squares = [0, 1, 2, 3, 4]
+    .map((lvl, i) => {
+      const x = xRight - (5 - i) * (cell + 4) + 10;
+      return `<rect x="${x}" y="${y - 12}" width="${cell}" height="${cell}" rx="3"
+                  fill="${levels[lvl]}" stroke="${stroke}" stroke-width="1" />`;
+    })
+    .join("\n");
+
+  return `
+    <text x="${xRight - 5 * (cell + 4) - 2}" y="${y}"
+          fill="${fill}" font-family="${LABEL_FONT}" font-size="11"
+          text-anchor="end">
+      Less
+    </text>
+    ${squares}
+    <text x="${xRight + 2}" y="${y}"
+          fill="${fill}" font-family="${LABEL_FONT}" font-size="11">
+      More
+    </text>
+  `;
+}
+
+// --- Stats line (`extra` is a renderer-specific suffix) ---
+export function statsLabel({ x, y, fill, totalYear, last7, last30, extra }) {
+  return `<text x="${x}" y="${y}" fill="${fill}"
+    font-family="${LABEL_FONT}" font-size="11">
+    ${totalYear} contributions in the last year • 7d: ${last7} • 30d: ${last30}${extra ? ` • ${extra}` : ""}
+  </text>`;
+}
@@ -0,0 +1,183 @@
+// scripts/lib/layout.js
+//
+// Where each day of the calendar goes. Renderers that take a layout place
+// their cells, labels and overlays through it instead of `gridX0 + x * pitch`:
+//
+//   grid    the GitHub landscape grid: weeks left to right, weekdays down,
+//           month labels above and Mon/Wed/Fri on the left
+//   ring    the year as a ring: weeks are spokes running clockwise from twelve
+//           o'clock, weekdays concentric rings (Sunday innermost); the empty
+//           spoke at the top carries the weekday labels
+//   spiral  the same spokes wound outwards, a turn and a bit for a year, with
+//           the month labels in the gap between turns
+//
+// The radial layouts come out square, for avatars and slides. Their cells are
+// turned to face the centre, so a renderer draws a cell from rect(x, y) (or
+// center(x, y)) and never from its own arithmetic.
+import { LABEL_FONT, monthLabels, weekdayLabels } from "./labels.js";
+
+export const LAYOUTS = ["grid", "ring", "spiral"];
+
+const LEFT_LABEL_W = 34; // grid: Mon/Wed/Fri
+const LABEL_RING = 24; // radial: month labels round the outside
+const CHAR_W = 0.58; // label text: rough advance per character, in font sizes
+
+// A board for a W×H calendar with its top-left corner at (x0, y0); `top` is
+// the room a grid leaves above itself for the month labels (and anything else
+// the renderer puts up there). Returns:
+//   width, height       the whole board, labels included
+//   cells               { x, y, width, height }: bounding box of the cells
+//   center(x, y)        [px, py] middle of a cell
+//   angle(x, y)         degrees the cell is turned by (0 on the grid)
+//   rect(x, y)          the cell's x / y / width / height (+ transform) attributes
+//   entry(x, y, n)      [px, py] n cells outside the board, straight out from
+//                       the cell: where something flying in to it comes from
+//   labels({ monthStarts, fill })  month and weekday labels
+//   labelBoxes({ monthStarts })    { x, y, w, h } around each of those labels,
+//                       for overlays that have to keep clear of them
+//   area({ rx, attrs, children })  an element covering every cell (a rect
+//                       with corners rounded by rx, or the ring's disc)
+// Throws on an unknown layout.
+export function calendarLayout(name, { W, H, cell, gap, x0 = 0, y0 = 0, top = 22 }) {
+  if (!LAYOUTS.includes(name)) throw new Error(`Unknown layout "${name}" (expected ${LAYOUTS.join(", ")})`);
+  if (name === "grid") return gridLayout({ W, H, cell, gap, x0, y0, top });
+  return radialLayout({ W, H, cell, gap, x0, y0, spiral: name === "spiral" });
+}
+
+// --------------------
+// Grid
+// --------------------
+function gridLayout({ W, H, cell, gap, x0, y0, top }) {
+  const pitch = cell + gap;
+  const gridX0 = x0 + LEFT_LABEL_W;
+  const gridY0 = y0 + top;
+  const cells = { x: gridX0, y: gridY0, width: W * pitch - gap, height: H * pitch - gap };
+
+  return {
+    width: LEFT_LABEL_W + cells.width,
+    height: top + cells.height,
+    cells,
+    center: (x, y) => [gridX0 + x * pitch + cell / 2, gridY0 + y * pitch + cell / 2],
+    angle: () => 0,
+    rect: (x, y) => `x="${gridX0 + x * pitch}" y="${gridY0 + y * pitch}" width="${cell}" height="${cell}"`,
+    entry: (x, y, n) => [gridX0 + x * pitch + cell / 2, gridY0 - n * pitch + cell / 2],
+    labels: ({ monthStarts, fill }) =>
+      monthLabels({ monthStarts, gridX0, pitch, y: y0 + 14, fill }) +
+      weekdayLabels({ x: gridX0 - 6, gridY0, pitch, cell, fill }),
+    labelBoxes: ({ monthStarts }) => [
+      ...monthStarts.map((m) => ({ x: gridX0 + m.x * pitch, y: y0 + 3, w: m.label.length * 11 * CHAR_W, h: 11 })),
+      ...[1, 3, 5].map((y) => ({ x: gridX0 - 6 - 3 * 11 * CHAR_W, y: gridY0 + y * pitch + cell - 13, w: 3 * 11 * CHAR_W, h: 11 })),
+    ],
+    area: ({ rx = 0, attrs = "", children = "" }) =>
+      `<rect x="${cells.x}" y="${cells.y}" width="${cells.width}" height="${cells.height}" rx="${rx}" ${attrs}>${children}</rect>`,
+  };
+}
+
+// --------------------
+// Ring / spiral
+// --------------------
+// Spoke x leaves the centre at angle turn(x) (radians clockwise from twelve
+// o'clock) and starts inner(x) out; its days follow one pitch apart. On the
+// ring every spoke starts at the same radius, far enough out that neighbouring
+// Sundays don't touch. On the spiral each spoke is one pitch of the innermost
+// ring further round than the last, and a turn lifts the spokes by their own
+// length plus a label row.
+function radialLayout({ W, H, cell, gap, x0, y0, spiral }) {
+  const pitch = cell + gap;
+  const band = H * pitch - gap; // one spoke, Sunday to Saturday
+
+  // Angles and start radii for spokes -1 (the weekday labels) to W - 1
+  const turns = [];
+  const inners = [];
+  if (spiral) {
+    const r0 = 2 * pitch;
+    const rise = ((H + 1.5) * pitch) / (2 * Math.PI); // radius gained per radian
+    turns.push(-pitch / r0, 0);
+    for (let x = 1; x < W; x++) turns.push(turns[x] + pitch / (r0 + rise * turns[x]));
+    for (const t of turns) inners.push(r0 + rise * Math.max(0, t));
+  } else {
+    const step = (2 * Math.PI) / (W + 1);
+    const r0 = Math.max(3 * pitch, pitch / step);
+    for (let x = -1; x < W; x++) {
+      turns.push((x + 1) * step);
+      inners.push(r0);
+    }
+  }
+  const turn = (x) => turns[x + 1];
+  const inner = (x) => inners[x + 1];
+
+  // Fit the square board round the cells and their month labels (the spiral
+  // sits off-centre in it)
+  const spokes = W > 0 ? [...Array(W).keys()] : [-1]; // an empty year still has the weekday spoke
+  const reach = (r) => spokes.map((x) => [r(x) * Math.sin(turn(x)), -r(x) * Math.cos(turn(x))]);
+  const box = (points) => {
+    const xs = points.map(([px]) => px);
+    const ys = points.map(([, py]) => py);
+    const [left, top] = [Math.min(...xs), Math.min(...ys)];
+    return { x: left, y: top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+  };
+  const outer = box(reach((x) => inner(x) + band + LABEL_RING));
+  const size = Math.ceil(Math.max(outer.width, outer.height));
+  const cx = x0 + (size - outer.width) / 2 - outer.x;
+  const cy = y0 + (size - outer.height) / 2 - outer.y;
+  // The cells' box, out to whole pixels so what lines up with it (legend,
+  // stats) lands on round coordinates
+  const spread = box(reach((x) => inner(x) + band));
+  const [left, top] = [Math.floor(spread.x + cx), Math.floor(spread.y + cy)];
+  const cells = {
+    x: left,
+    y: top,
+    width: Math.ceil(spread.x + cx + spread.width) - left,
+    height: Math.ceil(spread.y + cy + spread.height) - top,
+  };
+  const R = Math.max(...spokes.map(inner)) + band;
+  const f = (v) => v.toFixed(1);
+  const disc = `cx="${f(cx)}" cy="${f(cy)}" r="${f(R)}"`;
+  const square = `x="${f(cells.x)}" y="${f(cells.y)}" width="${f(cells.width)}" height="${f(cells.height)}"`;
+
+  const at = (r, t) => [cx + r * Math.sin(t), cy - r * Math.cos(t)];
+  const center = (x, y) => at(inner(x) + y * pitch + cell / 2, turn(x));
+  const degrees = (t) => (t * 180) / Math.PI;
+
+  // Text along the ring, turned the right way up on the lower half
+  const label = (text, [px, py], t, fontSize, fill) => {
+    const a = degrees(t) + (Math.cos(t) < 0 ? 180 : 0);
+    return `<text x="${f(px)}" y="${f(py)}" fill="${fill}" font-family="${LABEL_FONT}" font-size="${fontSize}"
+      text-anchor="middle" dominant-baseline="central" transform="rotate(${f(a)} ${f(px)} ${f(py)})">${text}</text>\n`;
+  };
+  // ...and the upright box that turned text fills
+  const labelBox = (text, [px, py], t, fontSize) => {
+    const [w, h] = [text.length * fontSize * CHAR_W, fontSize];
+    const [sin, cos] = [Math.abs(Math.sin(t)), Math.abs(Math.cos(t))];
+    const [bw, bh] = [w * cos + h * sin, w * sin + h * cos];
+    return { x: px - bw / 2, y: py - bh / 2, w: bw, h: bh };
+  };
+  const monthAt = (m) => at(inner(m.x) + band + LABEL_RING / 2, turn(m.x));
+  const WEEKDAYS = [["Mon", 1], ["Wed", 3], ["Fri", 5]];
+
+  return {
+    width: size,
+    height: size,
+    cells,
+    center,
+    angle: (x) => degrees(turn(x)),
+    rect: (x, y) => {
+      const [px, py] = center(x, y);
+      return `x="${f(px - cell / 2)}" y="${f(py - cell / 2)}" width="${cell}" height="${cell}"
+        transform="rotate(${f(degrees(turn(x)))} ${f(px)} ${f(py)})"`;
+    },
+    entry: (x, y, n) => at(R + n * pitch, turn(x)),
+    labels: ({ monthStarts, fill }) => {
+      let out = "";
+      for (const m of monthStarts) out += label(m.label, monthAt(m), turn(m.x), 11, fill);
+      for (const [text, y] of WEEKDAYS) out += label(text, center(-1, y), turn(-1), 9, fill);
+      return out;
+    },
+    labelBoxes: ({ monthStarts }) => [
+      ...monthStarts.map((m) => labelBox(m.label, monthAt(m), turn(m.x), 11)),
+      ...WEEKDAYS.map(([text, y]) => labelBox(text, center(-1, y), turn(-1), 9)),
+    ],
+    area: ({ rx = 0, attrs = "", children = "" }) =>
+      spiral ? `<rect ${square} rx="${rx}" ${attrs}>${children}</rect>` : `<circle ${disc} ${attrs}>${children}</circle>`,
+  };
+}
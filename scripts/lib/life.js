@@ -0,0 +1,54 @@
+// scripts/lib/life.js
+//
+// Conway's Game of Life on the contribution calendar. Generation zero is the
+// heatmap itself: every contributed day is a live cell, carrying its level.
+// The usual B3/S23 rules apply from there; a survivor keeps its level and a
+// newborn takes the average level of its three parents, so the colors on the
+// board always come from the real data.
+//
+// Edges are either "bounded" (everything past the grid is dead) or "wrap"
+// (the grid is a torus: Sunday touches Saturday, the first week the last).
+
+export const EDGES = ["bounded", "wrap"];
+export const DEFAULT_GENERATIONS = 30;
+// Each generation is another board kept in memory and another step of the
+// loop; 500 is already minutes of animation
+export const MAX_GENERATIONS = 500;
+
+// levels: H×W (0 = dead). Returns generations + 1 grids of levels, the first
+// one a copy of `levels`.
+export function lifeGenerations(levels, { generations = DEFAULT_GENERATIONS, edges = "bounded" } = {}) {
+  if (!EDGES.includes(edges)) throw new Error(`Unknown edges "${edges}" (expected ${EDGES.join(", ")})`);
+  if (!Number.isInteger(generations) || generations < 1 || generations > MAX_GENERATIONS) {
+    throw new Error(`Generations must be a whole number from 1 to ${MAX_GENERATIONS} (got ${generations})`);
+  }
+
+  const H = levels.length;
+  const W = levels[0]?.length ?? 0;
+  const wrap = edges === "wrap";
+  const at = (board, x, y) => {
+    if (wrap) return board[(y + H) % H][(x + W) % W];
+    return x >= 0 && x < W && y >= 0 && y < H ? board[y][x] : 0;
+  };
+
+  const history = [levels.map((row) => [...row])];
+  for (let g = 0; g < generations; g++) {
+    const prev = history[history.length - 1];
+    history.push(
+      prev.map((row, y) =>
+        row.map((level, x) => {
+          const parents = [];
+          for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+              const n = (dx || dy) && at(prev, x + dx, y + dy);
+              if (n) parents.push(n);
+            }
+          }
+          if (level) return parents.length === 2 || parents.length === 3 ? level : 0;
+          return parents.length === 3 ? Math.round((parents[0] + parents[1] + parents[2]) / 3) : 0;
+        })
+      )
+    );
+  }
+  return history;
+}
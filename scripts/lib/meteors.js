@@ -0,0 +1,38 @@
+// scripts/lib/meteors.js
+//
+// Meteor targets for the stars sky. Meteors mark real events in the year:
+//
+//   strikes  one meteor for each of the TOP_DAYS busiest days
+//   shower   a burst of meteors over the longest streak (at least MIN_SHOWER
+//            days), at most SHOWER_MAX of them spread evenly along it
+//
+// The renderer schedules the stars so every target appears right as its
+// meteor lands, and the streak's stars come up together in date order.
+import { streakRuns } from "./constellations.js";
+
+export const TOP_DAYS = 5;
+export const MIN_SHOWER = 3;
+export const SHOWER_MAX = 12;
+
+// heatmap: { grid, dates, W, H }. Returns { strikes: [[x, y], ...] busiest
+// first, shower: { cells, targets } | null } — cells is the whole streak in
+// date order, targets the days in it that get a meteor (never a strike day).
+export function findMeteorTargets(heatmap) {
+  const { grid, W, H } = heatmap;
+
+  // Busiest first; ties go to the earlier day
+  const days = [];
+  for (let x = 0; x < W; x++) for (let y = 0; y < H; y++) if (grid[y][x] > 0) days.push([x, y]);
+  days.sort((a, b) => grid[b[1]][b[0]] - grid[a[1]][a[0]]);
+  const strikes = days.slice(0, TOP_DAYS);
+
+  // Longest streak; ties go to the earlier one
+  const longest = streakRuns(heatmap).reduce((best, run) => (run.length > best.length ? run : best), []);
+  if (longest.length < MIN_SHOWER) return { strikes, shower: null };
+
+  const struck = new Set(strikes.map(String));
+  const n = Math.min(SHOWER_MAX, longest.length);
+  const picks = new Set(Array.from({ length: n }, (_, i) => Math.round((i * (longest.length - 1)) / (n - 1))));
+  const targets = longest.filter((c, i) => picks.has(i) && !struck.has(String(c)));
+  return { strikes, shower: { cells: longest, targets } };
+}
@@ -0,0 +1,348 @@
+// scripts/lib/mines.js
+//
+// Minesweeper over the contribution calendar: every empty day is a mine, every
+// contributed day shows how many of its 8 neighbours are mines, and days past
+// the end of the data (the unfinished last week) are off the board.
+//
+// solveBoard plays it the way a careful player would: a first click into an
+// opening (like the many Minesweepers whose first click always opens an
+// area), then flags and safe clicks deduced from the numbers (a number whose
+// hidden neighbours must all be mines, or are all safe once its flags are
+// down; then the same for the difference of two overlapping numbers). When
+// nothing can be deduced it has to guess, and it only knows what a player
+// sees: it clicks the hidden cell its own odds rate least likely to be a mine,
+// and that may be one. A lost game starts over on the covered board, up to
+// `maxGames` games.
+
+const NEIGHBORS = [
+  [-1, -1],
+  [0, -1],
+  [1, -1],
+  [-1, 0],
+  [1, 0],
+  [-1, 1],
+  [0, 1],
+  [1, 1],
+];
+
+// grid: H×W contribution counts, dates: H×W (null = no such day).
+// Returns { W, H, inPlay, mines, numbers } (numbers[y][x] = adjacent mines).
+export function mineBoard(grid, dates) {
+  const H = grid.length;
+  const W = grid[0]?.length ?? 0;
+  const inPlay = dates.map((row) => row.map((d) => d !== null));
+  const mines = grid.map((row, y) => row.map((count, x) => inPlay[y][x] && count === 0));
+  const numbers = mines.map((row, y) =>
+    row.map((_, x) => NEIGHBORS.reduce((n, [dx, dy]) => n + (mines[y + dy]?.[x + dx] ? 1 : 0), 0))
+  );
+  return { W, H, inPlay, mines, numbers };
+}
+
+// Moves in play order, each one click of the cursor at (x, y):
+//   { kind: "open", x, y, guess, cells: [{ x, y, depth }] }  — cells uncovered,
+//     depth = flood-fill distance from the click (0 for the clicked cell)
+//   { kind: "flag", x, y }
+//   { kind: "boom", x, y }  — a guess that hit a mine; the game is lost and
+//     the next move starts a new one on the covered board
+// Flags for mines no number touches are planted once every safe cell is open.
+// `guesses` counts the clicks after each game's first that weren't deduced,
+// `losses` the games lost; `won` is whether the last game cleared the board.
+export function solveBoard(board, { rng = Math.random, maxGames = 5 } = {}) {
+  const moves = [];
+  let guesses = 0;
+  let losses = 0;
+  let cursor = [0, Math.floor(board.H / 2)];
+  for (let game = 1; game <= maxGames; game++) {
+    const result = playGame(board, { rng, moves, cursor });
+    guesses += result.guesses;
+    cursor = result.cursor;
+    if (result.won) return { moves, guesses, losses, won: true };
+    losses++;
+  }
+  return { moves, guesses, losses, won: false };
+}
+
+// One game from a covered board, appending to `moves`
+function playGame(board, { rng, moves, cursor }) {
+  const { W, H, inPlay, mines, numbers } = board;
+  const revealed = inPlay.map((row) => row.map(() => false));
+  const flagged = inPlay.map((row) => row.map(() => false));
+  let guesses = 0;
+  let safeLeft = 0;
+  let minesLeft = 0;
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      if (inPlay[y][x] && !mines[y][x]) safeLeft++;
+      if (mines[y][x]) minesLeft++; // the mine counter a player sees
+    }
+  }
+
+  const around = (x, y) =>
+    NEIGHBORS.map(([dx, dy]) => [x + dx, y + dy]).filter(
+      ([nx, ny]) => nx >= 0 && nx < W && ny >= 0 && ny < H && inPlay[ny][nx]
+    );
+  const isHidden = ([x, y]) => !revealed[y][x] && !flagged[y][x];
+  const hiddenCells = () => {
+    const out = [];
+    for (let y = 0; y < H; y++) {
+      for (let x = 0; x < W; x++) if (inPlay[y][x] && isHidden([x, y])) out.push([x, y]);
+    }
+    return out;
+  };
+
+  function open(x, y, guess) {
+    const cells = [];
+    const queue = [[x, y, 0]];
+    revealed[y][x] = true;
+    while (queue.length) {
+      const [cx, cy, depth] = queue.shift();
+      cells.push({ x: cx, y: cy, depth });
+      if (numbers[cy][cx] > 0) continue;
+      for (const [nx, ny] of around(cx, cy)) {
+        if (!isHidden([nx, ny])) continue;
+        revealed[ny][nx] = true;
+        queue.push([nx, ny, depth + 1]);
+      }
+    }
+    safeLeft -= cells.length;
+    moves.push({ kind: "open", x, y, guess, cells });
+    cursor = [x, y];
+  }
+
+  function flag(x, y) {
+    flagged[y][x] = true;
+    minesLeft--;
+    moves.push({ kind: "flag", x, y });
+    cursor = [x, y];
+  }
+
+  // Every revealed number with hidden neighbours: { hidden, need }
+  function constraints() {
+    const out = [];
+    for (let y = 0; y < H; y++) {
+      for (let x = 0; x < W; x++) {
+        if (!revealed[y][x] || numbers[y][x] === 0) continue;
+        const near = around(x, y);
+        const hidden = near.filter(isHidden);
+        if (!hidden.length) continue;
+        const flags = near.filter(([nx, ny]) => flagged[ny][nx]).length;
+        out.push({ hidden, need: numbers[y][x] - flags });
+      }
+    }
+    return out;
+  }
+
+  // Cells the numbers prove safe / mined: the single-number rules first, then
+  // whatever every arrangement of mines the numbers allow agrees on
+  function deduce() {
+    const list = constraints();
+    const safe = [];
+    const mined = [];
+    for (const { hidden, need } of list) {
+      if (need === 0) safe.push(...hidden);
+      else if (need === hidden.length) mined.push(...hidden);
+    }
+    if (safe.length || mined.length) return { safe, mined };
+
+    const { frontier } = odds(list);
+    for (const [k, p] of frontier) {
+      const cell = [k % W, Math.floor(k / W)];
+      if (p === 0) safe.push(cell);
+      else if (p === 1) mined.push(cell);
+    }
+    return { safe, mined };
+  }
+
+  // The solver's odds that each hidden cell is a mine. Cells next to numbers
+  // (the frontier) are split into groups that share no number; each group's
+  // arrangements are counted exactly, each weighted by the ways to spread the
+  // remaining mines over the cells no number touches. Groups too big to count
+  // fall back to the worst ratio any adjacent number gives.
+  function odds(list = constraints()) {
+    const key = ([x, y]) => y * W + x;
+    const cellsOf = new Map(); // cell -> constraint indices
+    list.forEach(({ hidden }, c) => {
+      for (const cell of hidden) {
+        const k = key(cell);
+        if (!cellsOf.has(k)) cellsOf.set(k, []);
+        cellsOf.get(k).push(c);
+      }
+    });
+    const interior = hiddenCells().length - cellsOf.size;
+    const weight = (k) => (minesLeft - k < 0 || minesLeft - k > interior ? -Infinity : logChoose(interior, minesLeft - k));
+
+    const frontier = new Map();
+    let expected = 0;
+    const seen = new Set();
+    for (const startKey of cellsOf.keys()) {
+      if (seen.has(startKey)) continue;
+      // One group: cells linked through the numbers they share
+      const group = [startKey];
+      seen.add(startKey);
+      for (let i = 0; i < group.length; i++) {
+        for (const c of cellsOf.get(group[i])) {
+          for (const cell of list[c].hidden) {
+            const k = key(cell);
+            if (!seen.has(k)) {
+              seen.add(k);
+              group.push(k);
+            }
+          }
+        }
+      }
+
+      const counted = group.length <= MAX_GROUP ? countArrangements(group, list, cellsOf) : null;
+      if (!counted) {
+        for (const k of group) {
+          const p = Math.max(...cellsOf.get(k).map((c) => list[c].need / list[c].hidden.length));
+          frontier.set(k, p);
+          expected += p;
+        }
+        continue;
+      }
+      // arrangements with m mines, and how many of those mine each cell
+      const top = Math.max(...[...counted.keys()].map(weight));
+      let total = 0;
+      const mined = new Array(group.length).fill(0);
+      let minesSum = 0;
+      for (const [m, { count, perCell }] of counted) {
+        const w = count * Math.exp(weight(m) - top);
+        total += w;
+        minesSum += w * m;
+        perCell.forEach((n, i) => (mined[i] += (n / count) * w));
+      }
+      group.forEach((k, i) => {
+        const p = counted.size && total > 0 ? mined[i] / total : 0;
+        frontier.set(k, p < 1e-12 ? 0 : p > 1 - 1e-12 ? 1 : p);
+      });
+      expected += total > 0 ? minesSum / total : 0;
+    }
+
+    const rest = interior > 0 ? Math.min(1, Math.max(0, (minesLeft - expected) / interior)) : 1;
+    return { frontier, rest };
+  }
+
+  const distance = ([x, y]) => Math.abs(x - cursor[0]) + Math.abs(y - cursor[1]);
+  const nearest = (cells) => cells.reduce((best, c) => (distance(c) < distance(best) ? c : best));
+
+  // The hidden cell the solver's odds rate least likely to be a mine
+  function guess() {
+    const { frontier, rest } = odds();
+    const p = ([x, y]) => frontier.get(y * W + x) ?? rest;
+    const hidden = hiddenCells();
+    const lowest = Math.min(...hidden.map(p));
+    const picks = hidden.filter((c) => p(c) === lowest);
+    return picks[Math.floor(rng() * picks.length)];
+  }
+
+  // First click: into an opening if the board has one
+  const openings = [];
+  const safeCells = [];
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      if (!inPlay[y][x] || mines[y][x]) continue;
+      safeCells.push([x, y]);
+      if (numbers[y][x] === 0) openings.push([x, y]);
+    }
+  }
+  const starts = openings.length ? openings : safeCells;
+  if (starts.length) {
+    const [x, y] = starts[Math.floor(rng() * starts.length)];
+    open(x, y, true);
+  }
+
+  while (safeLeft > 0) {
+    const { safe, mined } = deduce();
+    if (mined.length) {
+      const [x, y] = nearest(mined);
+      flag(x, y);
+    } else if (safe.length) {
+      const [x, y] = nearest(safe);
+      open(x, y, false);
+    } else {
+      const [x, y] = guess();
+      guesses++;
+      if (mines[y][x]) {
+        moves.push({ kind: "boom", x, y });
+        return { won: false, guesses, cursor: [x, y] };
+      }
+      open(x, y, true);
+    }
+  }
+
+  // Every safe cell is open, so whatever is still hidden is a mine
+  for (let rest = hiddenCells(); rest.length; rest = hiddenCells()) {
+    const [x, y] = nearest(rest);
+    flag(x, y);
+  }
+
+  return { won: true, guesses, cursor };
+}
+
+// --------------------
+// Counting arrangements
+// --------------------
+
+// Frontier groups bigger than this, or that take more than MAX_STEPS to count,
+// get the local estimate instead
+const MAX_GROUP = 48;
+const MAX_STEPS = 200000;
+
+const logFactorials = [0];
+function logChoose(n, k) {
+  for (let i = logFactorials.length; i <= n; i++) logFactorials.push(logFactorials[i - 1] + Math.log(i));
+  return logFactorials[n] - logFactorials[k] - logFactorials[n - k];
+}
+
+// Every way to mine `group` (cell keys) that satisfies the numbers in `list`.
+// Returns Map(mines -> { count, perCell }) where perCell[i] counts the
+// arrangements that mine group[i], or null if counting ran too long.
+function countArrangements(group, list, cellsOf) {
+  const need = new Map();
+  const open = new Map();
+  for (const k of group) {
+    for (const c of cellsOf.get(k)) {
+      if (!need.has(c)) need.set(c, list[c].need);
+      open.set(c, (open.get(c) ?? 0) + 1);
+    }
+  }
+
+  const result = new Map();
+  const mined = new Array(group.length).fill(false);
+  let mines = 0;
+  let steps = 0;
+
+  function place(i) {
+    if (++steps > MAX_STEPS) return false;
+    if (i === group.length) {
+      if (!result.has(mines)) result.set(mines, { count: 0, perCell: new Array(group.length).fill(0) });
+      const entry = result.get(mines);
+      entry.count++;
+      mined.forEach((on, j) => on && entry.perCell[j]++);
+      return true;
+    }
+    const cs = cellsOf.get(group[i]);
+    for (const mine of [false, true]) {
+      // a mine needs room under every number; a blank needs the rest to fit
+      const fits = cs.every((c) => (mine ? need.get(c) > 0 : need.get(c) < open.get(c)));
+      if (!fits) continue;
+      for (const c of cs) {
+        open.set(c, open.get(c) - 1);
+        if (mine) need.set(c, need.get(c) - 1);
+      }
+      mined[i] = mine;
+      if (mine) mines++;
+      const ok = place(i + 1);
+      for (const c of cs) {
+        open.set(c, open.get(c) + 1);
+        if (mine) need.set(c, need.get(c) + 1);
+      }
+      mined[i] = false;
+      if (mine) mines--;
+      if (!ok) return false;
+    }
+    return true;
+  }
+
+  return place(0) ? result : null;
+}
@@ -0,0 +1,148 @@
+// scripts/lib/optimize.js
+//
+// Size pass over a finished SVG, for READMEs where every byte is load time.
+// The picture and its animation stay the same; only the markup shrinks:
+//
+//   - whitespace between elements, inside attribute values and in runs of
+//     text goes
+//   - decimals are cut to `precision` places (keyPoints keep five); timing
+//     attributes (begin, dur, keyTimes, …) stay as written, since rounding
+//     them moves the animation
+//   - leaf shapes that repeat apart from their position (heatmap cells, piece
+//     blocks) become <use>s of one template each
+//   - attribute sets that repeat become CSS classes, except attributes SMIL
+//     animates on that element (a stylesheet rule would override the animation)
+//
+//   const small = optimizeSvg(svg, { precision: 2 });
+import { parseSvg, serializeSvg } from "./svg-tree.js";
+
+const ANIMATIONS = new Set(["animate", "set", "animateTransform", "animateMotion", "mpath"]);
+const FRACTIONS = new Set(["keyPoints"]);
+const TIMING = new Set(["begin", "dur", "end", "repeatDur", "min", "max", "keyTimes", "keySplines"]);
+
+// Shapes a <use x y> can stand in for, and the attributes that place them
+const PLACED = { rect: ["x", "y"], circle: ["cx", "cy"], ellipse: ["cx", "cy"] };
+
+// Attributes that can move into a stylesheet as they are (numbers get px)
+const STYLED = new Set([
+  "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray", "stroke-linecap",
+  "stroke-linejoin", "opacity", "filter", "font-family", "font-size", "font-weight", "text-anchor",
+]);
+const LENGTHS = new Set(["stroke-width", "font-size"]);
+
+// Numbers with decimals in an attribute value, to `digits` places
+function trimNumbers(value, digits) {
+  return value.replace(/-?\d*\.\d+(?:e[-+]?\d+)?/gi, (n) => {
+    const v = Number(Number(n).toFixed(digits));
+    return String(v === 0 ? 0 : v).replace(/^(-?)0\./, "$1.");
+  });
+}
+
+function walk(node, visit) {
+  visit(node);
+  for (const child of node.children) walk(child, visit);
+}
+
+// Names not yet taken by an id or class in the document
+function namer(root) {
+  const taken = new Set();
+  walk(root, (node) => {
+    if (node.attrs.id) taken.add(node.attrs.id);
+    for (const name of (node.attrs.class ?? "").split(/\s+/)) taken.add(name);
+  });
+  return (prefix) => {
+    let n = 0;
+    while (taken.has(`${prefix}${n}`)) n++;
+    taken.add(`${prefix}${n}`);
+    return `${prefix}${n}`;
+  };
+}
+
+// svg: finished markup. Options: precision (decimal places kept, default 2).
+export function optimizeSvg(svg, { precision = 2 } = {}) {
+  const { root } = parseSvg(svg);
+  const fresh = namer(root);
+
+  // --- Whitespace + precision ---
+  walk(root, (node) => {
+    node.text = node.text.replace(/\s+/g, " ");
+    for (const [name, value] of Object.entries(node.attrs)) {
+      const text = value.replace(/\s+/g, " ").trim();
+      const digits = FRACTIONS.has(name) ? 5 : precision;
+      node.attrs[name] = ANIMATIONS.has(node.tag) && TIMING.has(name) ? text : trimNumbers(text, digits);
+    }
+  });
+
+  // --- Repeated leaf shapes -> <use> of a template ---
+  const shapeKey = (node) => {
+    const place = PLACED[node.tag];
+    if (!place || node.children.length || node.text.trim() || node.attrs.id || node.attrs.class) return null;
+    const rest = Object.entries(node.attrs).filter(([name]) => !place.includes(name) && name !== "transform");
+    return `<${node.tag}${rest.map(([name, value]) => ` ${name}="${value}"`).join("")}/>`;
+  };
+  const shapes = new Map(); // key -> nodes
+  walk(root, (node) => {
+    const key = shapeKey(node);
+    if (key) shapes.set(key, [...(shapes.get(key) ?? []), node]);
+  });
+  const defs = { tag: "defs", attrs: {}, children: [], text: "", parent: root };
+  for (const [key, nodes] of shapes) {
+    // Worth it once the copies' attributes outweigh the template
+    if (nodes.length < 2 || (nodes.length - 1) * (key.length - 16) < 24) continue;
+    const [template] = nodes;
+    const id = fresh("u");
+    const place = PLACED[template.tag];
+    defs.children.push({
+      tag: template.tag,
+      attrs: Object.fromEntries([["id", id], ...Object.entries(template.attrs).filter(([name]) => !place.includes(name) && name !== "transform")]),
+      children: [],
+      text: "",
+      parent: defs,
+    });
+    for (const node of nodes) {
+      const [x, y] = place.map((name) => node.attrs[name]);
+      node.attrs = {
+        href: `#${id}`,
+        ...(x && x !== "0" ? { x } : {}),
+        ...(y && y !== "0" ? { y } : {}),
+        ...(node.attrs.transform ? { transform: node.attrs.transform } : {}),
+      };
+      node.tag = "use";
+    }
+  }
+  if (defs.children.length) root.children.unshift(defs);
+
+  // --- Repeated attribute sets -> classes ---
+  const styleKey = (node) => {
+    if (ANIMATIONS.has(node.tag)) return null;
+    const animated = new Set(node.children.filter((c) => ANIMATIONS.has(c.tag)).map((c) => c.attrs.attributeName));
+    const props = Object.entries(node.attrs)
+      .filter(([name]) => STYLED.has(name) && !animated.has(name))
+      .sort(([a], [b]) => (a < b ? -1 : 1));
+    return props.length ? props : null;
+  };
+  const styles = new Map(); // declaration -> { props, nodes }
+  walk(root, (node) => {
+    const props = styleKey(node);
+    if (!props) return;
+    const declaration = props
+      .map(([name, value]) => `${name}:${LENGTHS.has(name) && /^[\d.]+$/.test(value) ? `${value}px` : value}`)
+      .join(";");
+    if (!styles.has(declaration)) styles.set(declaration, { props, nodes: [] });
+    styles.get(declaration).nodes.push(node);
+  });
+  let css = "";
+  for (const [declaration, { props, nodes }] of styles) {
+    const attrText = props.reduce((n, [name, value]) => n + name.length + value.length + 4, 0);
+    if (nodes.length < 2 || nodes.length * (attrText - 10) < declaration.length + 8) continue;
+    const name = fresh("s");
+    css += `.${name}{${declaration}}`;
+    for (const node of nodes) {
+      for (const [prop] of props) delete node.attrs[prop];
+      node.attrs.class = [node.attrs.class, name].filter(Boolean).join(" ");
+    }
+  }
+  if (css) root.children.unshift({ tag: "style", attrs: {}, children: [], text: css, parent: root });
+
+  return serializeSvg(root, { compact: true });
+}
@@ -0,0 +1,219 @@
+// scripts/lib/pathfinder.js
+//
+// Input sequence that brings a piece from its spawn to a target placement using
+// only legal Tetris moves: shift left/right, soft drop one row, and rotate
+// clockwise/counter-clockwise with the piece set's wall kicks (SRS for
+// tetrominoes). Breadth-first over
+// (x, y, rotation) finds the fewest inputs; among those it keeps the path with
+// the fewest changes of move, so it animates as a handful of long segments
+// (turn, slide, drop) rather than a jittery staircase.
+//
+// Rows above the well (y < 0) are open air; columns outside it, the floor and
+// any occupied board cell block. When the stack is too high to turn near the
+// spawn, the piece spawns a row higher at a time (the guideline's hidden buffer
+// zone above the field), so a legal route always exists for a target that a
+// straight drop could reach. A well too narrow for the spawn rotation (a
+// calendar only a few weeks long) spawns the piece in one that fits.
+import { resolvePieceSet, SINGLE } from "./piece-sets.js";
+
+export const MOVES = ["left", "right", "down", "cw", "ccw"];
+
+const ABOVE = 6; // rows of open air searched above the well
+const MAX_LIFT = 3; // extra spawn rows tried when the well is too full to turn
+
+const BLOCK = [0, 1, 2, 3].map(() => [[0, 0]]); // a 1×1 block, in each rotation
+const shapesOf = (piece, set) => (piece === SINGLE ? BLOCK : set.shapes[piece]);
+
+// Spawn: rotation `rot` (0 unless the well is too narrow for it), centred but
+// inside the walls, resting `lift` rows above the top row. null when the
+// piece is wider than the well in that rotation.
+export function spawnState(piece, W, { lift = 0, rot = 0, pieceSet } = {}) {
+  const shape = shapesOf(piece, resolvePieceSet(pieceSet))[rot];
+  const xs = shape.map(([dx]) => dx);
+  const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+  if (maxX - minX >= W) return null;
+  const x = Math.min(Math.max(Math.floor((W - maxX - 1) / 2), -minX), W - 1 - maxX);
+  return { x, y: -1 - lift - Math.max(...shape.map(([, dy]) => dy)), rot };
+}
+
+// target: { piece, rot, ox, oy } (rot defaults to 0; SINGLE is a 1×1 block),
+// a piece of `pieceSet` (default tetrominoes). board: H×W booleans, true =
+// occupied. Returns the visited states [{ x, y, rot, move }] from spawn (move
+// null) to target, or null when the target can't be reached.
+export function findMoves(target, board, { pieceSet } = {}) {
+  const set = resolvePieceSet(pieceSet);
+  const W = board[0]?.length ?? 0;
+  const rots = rotates(shapesOf(target.piece, set)) ? [0, 1, 2, 3] : [0];
+  for (const rot of rots) {
+    for (let lift = 0; lift <= MAX_LIFT; lift++) {
+      const spawn = spawnState(target.piece, W, { lift, rot, pieceSet: set });
+      const path = spawn && searchFrom(spawn, target, board, set);
+      if (path) return path;
+    }
+  }
+  return null;
+}
+
+// A `reachable` for gravityOrder (see ./gravity.js) that keeps the route it
+// found for each placement: route(placement) is the input sequence over the
+// board as it stood when the drop order picked that piece. The stack only
+// grows, so a route found earlier stays legal while its cells stay free (any
+// kick it skipped is still blocked) and is kept; a piece that had none is
+// searched again, as a new block can give a rotation the kick it lacked.
+export function createRouter({ pieceSet } = {}) {
+  const set = resolvePieceSet(pieceSet);
+  const routes = new Map();
+  const free = (path, piece, board) =>
+    path.every(({ x, y, rot }) => shapesOf(piece, set)[rot].every(([dx, dy]) => y + dy < 0 || !board[y + dy][x + dx]));
+
+  const reachable = (placement, board) => {
+    const known = routes.get(placement);
+    if (!known || !free(known, placement.piece, board)) {
+      routes.set(placement, findMoves(placement, board, { pieceSet: set }));
+    }
+    return Boolean(routes.get(placement));
+  };
+  return { reachable, route: (placement) => routes.get(placement) };
+}
+
+// Whether `piece` in rotation `rot` at (x, y) fits the board: inside the
+// walls, above the floor, within the air searched above the well, and clear
+// of occupied cells
+function fitsBoard(shapes, board, x, y, rot) {
+  const H = board.length;
+  const W = board[0]?.length ?? 0;
+  for (const [dx, dy] of shapes[rot]) {
+    const cx = x + dx;
+    const cy = y + dy;
+    if (cx < 0 || cx >= W || cy >= H || cy < -ABOVE) return false;
+    if (cy >= 0 && board[cy][cx]) return false;
+  }
+  return true;
+}
+
+// The state one input `move` leads to from `state` ({ x, y, rot }), or null
+// when the board blocks it. Rotations take the first wall kick that fits.
+export function applyMove(state, move, piece, board, { pieceSet } = {}) {
+  const set = resolvePieceSet(pieceSet);
+  const shapes = shapesOf(piece, set);
+  const fits = (x, y, rot) => fitsBoard(shapes, board, x, y, rot);
+  const { x, y, rot } = state;
+  if (move === "left") return fits(x - 1, y, rot) ? { x: x - 1, y, rot } : null;
+  if (move === "right") return fits(x + 1, y, rot) ? { x: x + 1, y, rot } : null;
+  if (move === "down") return fits(x, y + 1, rot) ? { x, y: y + 1, rot } : null;
+  if (!rotates(shapes)) return null;
+
+  const to = (rot + (move === "cw" ? 1 : 3)) % 4;
+  for (const [kx, ky] of set.kicks(piece, rot, to)) {
+    if (fits(x + kx, y + ky, to)) return { x: x + kx, y: y + ky, rot: to };
+  }
+  return null;
+}
+
+// Pieces whose four states are all the same cells (O, X, …) never turn
+const turning = new WeakMap();
+function rotates(shapes) {
+  if (!turning.has(shapes)) {
+    turning.set(shapes, new Set(shapes.map((s) => [...s].sort((a, b) => a[0] - b[0] || a[1] - b[1]).join(" "))).size > 1);
+  }
+  return turning.get(shapes);
+}
+
+function searchFrom(start, target, board, set) {
+  const H = board.length;
+  const W = board[0]?.length ?? 0;
+  const { piece } = target;
+  const shapes = shapesOf(piece, set);
+
+  const goal = { x: target.ox, y: target.oy, rot: rotates(shapes) ? target.rot ?? 0 : 0 };
+
+  // State index over a box wide enough for every shape offset
+  const X0 = -4;
+  const Y0 = -ABOVE - 4;
+  const NX = W + 8;
+  const NY = H + ABOVE + 8;
+  const key = (x, y, rot) => (rot * NY + (y - Y0)) * NX + (x - X0);
+  const inBox = (x, y) => x >= X0 && x < X0 + NX && y >= Y0 && y < Y0 + NY;
+
+  const fits = (x, y, rot) => inBox(x, y) && fitsBoard(shapes, board, x, y, rot);
+  if (!fits(start.x, start.y, start.rot) || !fits(goal.x, goal.y, goal.rot)) return null;
+
+  const next = (s, move) => {
+    const t = applyMove(s, move, piece, board, { pieceSet: set });
+    return t && inBox(t.x, t.y) ? t : null;
+  };
+
+  // Layered BFS; turns[state * M + move] = fewest move changes arriving via move
+  const M = MOVES.length;
+  const size = 4 * NX * NY;
+  const dist = new Int32Array(size).fill(-1);
+  const turns = new Int32Array(size * M).fill(-1);
+  const parent = new Int32Array(size * M).fill(-1); // previous state * M + move
+  const states = new Map();
+
+  const startKey = key(start.x, start.y, start.rot);
+  const goalKey = key(goal.x, goal.y, goal.rot);
+  dist[startKey] = 0;
+  states.set(startKey, start);
+
+  let frontier = [startKey];
+  while (frontier.length && dist[goalKey] < 0) {
+    const layer = [];
+    for (const u of frontier) {
+      const s = states.get(u);
+      for (let m = 0; m < M; m++) {
+        const t = next(s, MOVES[m]);
+        if (!t) continue;
+        const v = key(t.x, t.y, t.rot);
+        if (dist[v] >= 0 && dist[v] !== dist[u] + 1) continue;
+        if (dist[v] < 0) {
+          dist[v] = dist[u] + 1;
+          states.set(v, t);
+          layer.push(v);
+        }
+
+        // Cheapest way into u, counting a change of move as a turn
+        let best = -1;
+        let from = -1;
+        if (u === startKey) {
+          best = 0;
+        } else {
+          for (let pm = 0; pm < M; pm++) {
+            const c = turns[u * M + pm];
+            if (c < 0) continue;
+            const cost = c + (pm === m ? 0 : 1);
+            if (best < 0 || cost < best) {
+              best = cost;
+              from = u * M + pm;
+            }
+          }
+        }
+        if (turns[v * M + m] < 0 || best < turns[v * M + m]) {
+          turns[v * M + m] = best;
+          parent[v * M + m] = u === startKey ? startKey * M : from;
+        }
+      }
+    }
+    frontier = layer;
+  }
+  if (dist[goalKey] < 0) return null;
+
+  // Walk back from the cheapest arrival at the goal, preferring to end on a
+  // drop (turn and slide up top, then fall) when that costs nothing extra
+  const DOWN = MOVES.indexOf("down");
+  let at = -1;
+  for (const m of [DOWN, ...MOVES.keys()]) {
+    const c = turns[goalKey * M + m];
+    if (c >= 0 && (at < 0 || c < turns[at])) at = goalKey * M + m;
+  }
+
+  const path = [];
+  while (at >= 0) {
+    const state = Math.floor(at / M);
+    if (state === startKey) break;
+    path.push({ ...states.get(state), move: MOVES[at % M] });
+    at = parent[at];
+  }
+  path.push({ ...start, move: null });
+  return path.reverse();
+}
@@ -0,0 +1,224 @@
+// scripts/lib/piece-sets.js
+//
+// Piece sets the tetris renderer can tile and drop: the SRS tetrominoes, the
+// one-sided pentominoes, trominoes + dominoes, or a custom set read from JSON.
+//
+// A set lists each piece once in its spawn orientation; the four rotation
+// states are generated by turning it inside its square bounding box (the SRS
+// convention), and with `mirror` every chiral piece also gets its reflection
+// as a separate piece ("F" and "F'"), since a falling piece can't flip.
+// Tetrominoes keep the hand-written SRS states and kick tables; other sets kick
+// one column either way, then one row up.
+//
+// A resolved set is { name, order, shapes, base, colors, sizes, kicks }:
+// shapes[piece] holds the 4 rotation states, base[piece] the piece it mirrors
+// (itself otherwise), colors[piece] an explicit fill (else the theme decides).
+import fs from "fs";
+import { isColor } from "./colors.js";
+import { PIECE_ORDER, PIECES, wallKicks } from "./pieces.js";
+
+// 1×1 fallback block the tiler uses for cells no piece reaches (never a set piece)
+export const SINGLE = ".";
+
+const MIN_SIZE = 2;
+const MAX_SIZE = 6; // the tiler's candidate lists grow quickly past this
+
+const BASIC_KICKS = [
+  [0, 0],
+  [-1, 0],
+  [1, 0],
+  [0, -1],
+  [-1, -1],
+  [1, -1],
+];
+
+// --------------------
+// Shape helpers
+// --------------------
+
+// ["##.", ".##"] -> [[0, 0], [1, 0], [1, 1], [2, 1]]
+function parseRows(rows) {
+  return rows.flatMap((row, y) => [...row].flatMap((c, x) => (c === "#" ? [[x, y]] : [])));
+}
+
+function normalize(cells) {
+  const minX = Math.min(...cells.map(([x]) => x));
+  const minY = Math.min(...cells.map(([, y]) => y));
+  return cells.map(([x, y]) => [x - minX, y - minY]).sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+}
+
+const shapeKey = (cells) => normalize(cells).join(" ");
+
+// Clockwise quarter turn inside an n×n box (y grows downward)
+const turn = (cells, n) => cells.map(([x, y]) => [n - 1 - y, x]);
+
+function rotationStates(cells) {
+  const n = Math.max(...cells.flat()) + 1;
+  const states = [cells];
+  for (let r = 1; r < 4; r++) states.push(turn(states[r - 1], n));
+  return states;
+}
+
+function isConnected(cells) {
+  const keys = new Set(cells.map(([x, y]) => `${x},${y}`));
+  const seen = new Set([`${cells[0][0]},${cells[0][1]}`]);
+  const queue = [cells[0]];
+  while (queue.length) {
+    const [x, y] = queue.pop();
+    for (const k of [`${x + 1},${y}`, `${x - 1},${y}`, `${x},${y + 1}`, `${x},${y - 1}`]) {
+      if (keys.has(k) && !seen.has(k)) {
+        seen.add(k);
+        queue.push(k.split(",").map(Number));
+      }
+    }
+  }
+  return seen.size === cells.length;
+}
+
+// --------------------
+// Building sets
+// --------------------
+
+// spec: { name, mirror, pieces: { id: { shape: ["##", ...] } | { cells: [[x, y], ...] }, color? } }
+function buildSet({ name, mirror = false, pieces }) {
+  const fail = (message) => {
+    throw new Error(`Piece set "${name}": ${message}`);
+  };
+  if (typeof name !== "string" || /[<>&"]/.test(name)) fail("name must be plain text");
+  if (typeof pieces !== "object" || pieces === null || !Object.keys(pieces).length) {
+    fail("pieces must be an object of one or more shapes");
+  }
+
+  const set = { name, order: [], shapes: {}, base: {}, colors: {}, sizes: [], kicks: () => BASIC_KICKS };
+  const add = (id, cells, base, color) => {
+    set.order.push(id);
+    set.shapes[id] = rotationStates(normalize(cells));
+    set.base[id] = base;
+    if (color !== undefined) set.colors[id] = color;
+  };
+
+  for (const [id, spec] of Object.entries(pieces)) {
+    if (!/^[A-Za-z][A-Za-z0-9]*$/.test(id)) fail(`piece name "${id}" must be letters and digits`);
+    const cells = Array.isArray(spec.shape) ? parseRows(spec.shape) : spec.cells;
+    if (!Array.isArray(cells) || !cells.every((c) => Array.isArray(c) && c.length === 2 && c.every(Number.isInteger))) {
+      fail(`${id} needs a shape (rows of "#" and ".") or cells ([[x, y], ...])`);
+    }
+    if (new Set(cells.map(String)).size !== cells.length) fail(`${id} repeats a cell`);
+    if (cells.length < MIN_SIZE || cells.length > MAX_SIZE) fail(`${id} must have ${MIN_SIZE}–${MAX_SIZE} cells`);
+    if (!isConnected(cells)) fail(`${id} must be edge-connected`);
+    if (spec.color !== undefined && !isColor(spec.color)) {
+      fail(`${id}.color must be a color (#hex, rgb()/hsl() or a CSS color name)`);
+    }
+
+    add(id, cells, id, spec.color);
+
+    // The mirror image is a new piece unless some rotation already produces it
+    const mirrored = cells.map(([x, y]) => [-x, y]);
+    const rotations = new Set(rotationStates(normalize(cells)).map(shapeKey));
+    if (mirror && !rotations.has(shapeKey(mirrored))) add(`${id}'`, mirrored, id, spec.color);
+  }
+
+  const keys = set.order.map((id) => shapeKey(set.shapes[id][0]));
+  const dup = keys.findIndex((k, i) => keys.indexOf(k) !== i);
+  if (dup >= 0) fail(`${set.order[dup]} duplicates another piece`);
+
+  set.sizes = [...new Set(set.order.map((id) => set.shapes[id][0].length))].sort((a, b) => a - b);
+  return set;
+}
+
+const TETROMINOES = {
+  name: "tetrominoes",
+  order: PIECE_ORDER,
+  shapes: PIECES,
+  base: Object.fromEntries(PIECE_ORDER.map((p) => [p, p])),
+  colors: {},
+  sizes: [4],
+  kicks: wallKicks,
+};
+
+const PENTOMINOES = buildSet({
+  name: "pentominoes",
+  mirror: true,
+  pieces: {
+    F: { shape: [".##", "##.", ".#."] },
+    I: { shape: ["#####"] },
+    L: { shape: ["...#", "####"] },
+    N: { shape: ["##..", ".###"] },
+    P: { shape: ["##", "##", "#."] },
+    T: { shape: ["###", ".#.", ".#."] },
+    U: { shape: ["#.#", "###"] },
+    V: { shape: ["#..", "#..", "###"] },
+    W: { shape: ["#..", "##.", ".##"] },
+    X: { shape: [".#.", "###", ".#."] },
+    Y: { shape: ["..#.", "####"] },
+    Z: { shape: ["##.", ".#.", ".##"] },
+  },
+});
+
+const TROMINOES = buildSet({
+  name: "trominoes",
+  pieces: {
+    I: { shape: ["###"] },
+    L: { shape: ["#.", "##"] },
+    D: { shape: ["##"] },
+  },
+});
+
+export const PIECE_SETS = {
+  tetrominoes: TETROMINOES,
+  pentominoes: PENTOMINOES,
+  trominoes: TROMINOES,
+};
+
+// --------------------
+// Lookup
+// --------------------
+
+// Accepts a built-in name, a resolved set, or a set spec object (see buildSet).
+export function resolvePieceSet(pieceSet = "tetrominoes") {
+  if (typeof pieceSet === "string") {
+    const builtIn = PIECE_SETS[pieceSet];
+    if (!builtIn) {
+      throw new Error(`Unknown piece set "${pieceSet}" (expected ${Object.keys(PIECE_SETS).join(", ")} or a .json file)`);
+    }
+    return builtIn;
+  }
+  if (typeof pieceSet !== "object" || pieceSet === null) throw new Error("Piece set must be a name or an object");
+  if (pieceSet.shapes) return pieceSet;
+  return buildSet({ ...pieceSet, name: pieceSet.name ?? "custom" });
+}
+
+export function readPieceSetFile(file) {
+  const spec = JSON.parse(fs.readFileSync(file, "utf-8"));
+  // Always built from the spec: a ready-made set (with `shapes`) would skip its checks
+  if (typeof spec !== "object" || spec === null || spec.shapes) {
+    throw new Error(`Piece set file ${file} must be a set spec ({ name, mirror, pieces })`);
+  }
+  return resolvePieceSet(spec);
+}
+
+// Explicit set color, else the theme's color for a tetromino letter, else the
+// theme's piece palette in set order (mirror images share their piece's color)
+export function pieceColor(set, piece, theme) {
+  const base = set.base[piece] ?? piece;
+  if (set.colors[base]) return set.colors[base];
+  if (theme.pieces[base]) return theme.pieces[base];
+  const palette = PIECE_ORDER.map((p) => theme.pieces[p]);
+  const bases = set.order.filter((p) => set.base[p] === p);
+  return palette[Math.max(0, bases.indexOf(base)) % palette.length];
+}
+
+// Fewest cells no combination of the set's piece sizes can cover, for a
+// region of each size 0..n (the tiler's lower bound)
+export function leftoverTable(sizes, n) {
+  const reach = new Uint8Array(n + 1);
+  reach[0] = 1;
+  for (let m = 1; m <= n; m++) reach[m] = sizes.some((s) => s <= m && reach[m - s]) ? 1 : 0;
+  const out = new Int32Array(n + 1);
+  let best = 0;
+  for (let m = 0; m <= n; m++) {
+    if (reach[m]) best = m;
+    out[m] = m - best;
+  }
+  return out;
+}
@@ -0,0 +1,572 @@
+// scripts/lib/rasterize.js
+//
+// A small software renderer for the SVG the renderers write: any frame of the
+// animation as RGBA pixels, with no browser or native dependency. It draws
+//
+//   rect (rounded), circle, ellipse, line, polygon, polyline and straight-line
+//   paths; fills and strokes (dashes and pathLength too) in solid colors or
+//   linear / radial gradients; transforms, opacity and clip paths; text in the
+//   5×7 pixel font from ./pixel-font.js
+//
+// and leaves out filters (the glows), which only soften what's there. Shapes
+// are scan-converted with 4 sub-scanlines per pixel and exact horizontal
+// coverage, which is plenty of anti-aliasing for flat calendar graphics.
+import { parseColor } from "./colors.js";
+import { GLYPH_H, GLYPH_W, glyph } from "./pixel-font.js";
+import { compileTimeline } from "./timeline.js";
+import { parseSvg, pathSubpaths } from "./svg-tree.js";
+
+const SUB = 4;
+const SKIP = new Set([
+  "defs", "clipPath", "linearGradient", "radialGradient", "filter", "style", "title", "desc", "metadata",
+  "animate", "set", "animateTransform", "animateMotion", "mpath", "symbol", "mask", "pattern",
+]);
+const INHERITED = [
+  "fill", "stroke", "stroke-width", "fill-opacity", "stroke-opacity", "stroke-linecap", "stroke-dasharray",
+  "stroke-dashoffset", "font-size", "font-weight", "text-anchor", "dominant-baseline",
+];
+// What a shape's outline depends on, besides its transform
+const GEOMETRY = ["x", "y", "width", "height", "rx", "ry", "r", "cx", "cy", "x1", "y1", "x2", "y2", "points", "d", "pathLength"];
+const OUTLINE_STYLE = [
+  "font-size", "font-weight", "text-anchor", "dominant-baseline", "stroke-width", "stroke-dasharray", "stroke-dashoffset",
+  "stroke-linecap",
+];
+
+// --------------------
+// Numbers, transforms
+// --------------------
+const num = (value, fallback = 0) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+// Affine matrices as [a, b, c, d, e, f] (x' = a·x + c·y + e, y' = b·x + d·y + f)
+const multiply = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+  a1 * a2 + c1 * b2, b1 * a2 + d1 * b2, a1 * c2 + c1 * d2, b1 * c2 + d1 * d2, a1 * e2 + c1 * f2 + e1, b1 * e2 + d1 * f2 + f1,
+];
+const apply = ([a, b, c, d, e, f], [x, y]) => [a * x + c * y + e, b * x + d * y + f];
+const invert = ([a, b, c, d, e, f]) => {
+  const det = a * d - b * c || 1e-12;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+};
+
+function parseTransform(text) {
+  let m = [1, 0, 0, 1, 0, 0];
+  if (!text) return m;
+  for (const [, op, args] of text.matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+    const n = args.split(/[\s,]+/).filter(Boolean).map(Number);
+    if (op === "translate") m = multiply(m, [1, 0, 0, 1, n[0] ?? 0, n[1] ?? 0]);
+    else if (op === "scale") m = multiply(m, [n[0], 0, 0, n[1] ?? n[0], 0, 0]);
+    else if (op === "matrix") m = multiply(m, n);
+    else if (op === "rotate") {
+      const r = ((n[0] ?? 0) * Math.PI) / 180;
+      const [cx, cy] = [n[1] ?? 0, n[2] ?? 0];
+      m = multiply(m, [1, 0, 0, 1, cx, cy]);
+      m = multiply(m, [Math.cos(r), Math.sin(r), -Math.sin(r), Math.cos(r), 0, 0]);
+      m = multiply(m, [1, 0, 0, 1, -cx, -cy]);
+    }
+  }
+  return m;
+}
+
+// --------------------
+// Geometry (user space)
+// --------------------
+// Twice the signed area of a ring (the sign gives its orientation)
+const area = (ring) => ring.reduce((s, [x, y], i) => {
+  const [nx, ny] = ring[(i + 1) % ring.length];
+  return s + x * ny - nx * y;
+}, 0);
+
+function arc(cx, cy, rx, ry, from, to, steps) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const a = from + ((to - from) * i) / steps;
+    points.push([cx + rx * Math.cos(a), cy + ry * Math.sin(a)]);
+  }
+  return points;
+}
+
+// Outline of a shape: { rings, closed } (closed shapes fill, open ones only stroke)
+function outline(tag, attr) {
+  switch (tag) {
+    case "rect": {
+      const [x, y, w, h] = ["x", "y", "width", "height"].map((k) => num(attr(k)));
+      if (w <= 0 || h <= 0) return null;
+      let rx = attr("rx") !== undefined ? num(attr("rx")) : num(attr("ry"));
+      let ry = attr("ry") !== undefined ? num(attr("ry")) : rx;
+      rx = Math.min(rx, w / 2);
+      ry = Math.min(ry, h / 2);
+      if (rx <= 0 || ry <= 0) return { rings: [[[x, y], [x + w, y], [x + w, y + h], [x, y + h], [x, y]]], closed: true };
+      const q = Math.PI / 2;
+      return {
+        rings: [[
+          ...arc(x + w - rx, y + ry, rx, ry, -q, 0, 4),
+          ...arc(x + w - rx, y + h - ry, rx, ry, 0, q, 4),
+          ...arc(x + rx, y + h - ry, rx, ry, q, 2 * q, 4),
+          ...arc(x + rx, y + ry, rx, ry, 2 * q, 3 * q, 4),
+          [x + w - rx, y],
+        ]],
+        closed: true,
+      };
+    }
+    case "circle":
+    case "ellipse": {
+      const rx = num(tag === "circle" ? attr("r") : attr("rx"));
+      const ry = tag === "circle" ? rx : num(attr("ry"));
+      if (rx <= 0 || ry <= 0) return null;
+      const steps = Math.max(12, Math.min(72, Math.ceil(Math.max(rx, ry) * 3)));
+      return { rings: [arc(num(attr("cx")), num(attr("cy")), rx, ry, 0, 2 * Math.PI, steps)], closed: true };
+    }
+    case "line":
+      return { rings: [[[num(attr("x1")), num(attr("y1"))], [num(attr("x2")), num(attr("y2"))]]], closed: false };
+    case "polygon":
+    case "polyline": {
+      const n = (attr("points") ?? "").split(/[\s,]+/).filter(Boolean).map(Number);
+      const ring = [];
+      for (let i = 0; i + 1 < n.length; i += 2) ring.push([n[i], n[i + 1]]);
+      if (tag === "polygon" && ring.length) ring.push(ring[0]);
+      return { rings: [ring], closed: tag === "polygon" };
+    }
+    case "path":
+      return { rings: pathSubpaths(attr("d") ?? ""), closed: true };
+    default:
+      return null;
+  }
+}
+
+const lengthOf = (ring) => ring.slice(1).reduce((s, p, i) => s + Math.hypot(p[0] - ring[i][0], p[1] - ring[i][1]), 0);
+
+// The "on" stretches of a dash pattern along each polyline
+function dashes(rings, pattern, offset) {
+  const total = pattern.reduce((a, b) => a + b, 0);
+  if (total <= 0) return rings;
+  const out = [];
+  for (const ring of rings) {
+    let phase = ((offset % total) + total) % total;
+    let k = 0;
+    while (phase >= pattern[k]) phase -= pattern[k++ % pattern.length], (k %= pattern.length);
+    let left = pattern[k] - phase;
+    let on = k % 2 === 0;
+    let piece = on ? [ring[0]] : null;
+    for (let i = 1; i < ring.length; i++) {
+      let [ax, ay] = ring[i - 1];
+      const [bx, by] = ring[i];
+      let seg = Math.hypot(bx - ax, by - ay);
+      while (seg > left) {
+        const f = left / seg;
+        const p = [ax + (bx - ax) * f, ay + (by - ay) * f];
+        if (on) out.push([...piece, p]);
+        piece = on ? null : [p];
+        on = !on;
+        [ax, ay] = p;
+        seg -= left;
+        k = (k + 1) % pattern.length;
+        left = pattern[k];
+      }
+      left -= seg;
+      if (on) piece.push([bx, by]);
+    }
+    if (on && piece.length > 1) out.push(piece);
+  }
+  return out;
+}
+
+// A closed ring moved d to the left of its direction of travel, with mitered
+// corners (miter limit 4, as SVG's default)
+function offsetRing(ring, d) {
+  const n = ring.length - 1;
+  const normal = (a, b) => {
+    const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    return [-(b[1] - a[1]) / len, (b[0] - a[0]) / len];
+  };
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const n1 = normal(ring[(i + n - 1) % n], ring[i]);
+    const n2 = normal(ring[i], ring[i + 1]);
+    const mx = n1[0] + n2[0];
+    const my = n1[1] + n2[1];
+    const cos = Math.max(0.25, (mx * n1[0] + my * n1[1]) / (Math.hypot(mx, my) || 1));
+    const k = d / cos / (Math.hypot(mx, my) || 1);
+    out.push([ring[i][0] + mx * k, ring[i][1] + my * k]);
+  }
+  out.push(out[0]);
+  return out;
+}
+
+// Polygons covering a stroke of width w along each polyline, oriented for
+// nonzero filling: a band between two offset rings for a closed ring, and a
+// quad per segment plus a small disc per joint (and per end for round caps)
+// for anything open
+function strokeRings(rings, w, { closed, round }) {
+  const out = [];
+  const disc = ([x, y]) => arc(x, y, w / 2, w / 2, 0, 2 * Math.PI, 8);
+  for (const line of rings) {
+    const ring = line.filter((p, i) => i === 0 || p[0] !== line[i - 1][0] || p[1] !== line[i - 1][1]);
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (closed && ring.length > 3 && first[0] === last[0] && first[1] === last[1]) {
+      const left = offsetRing(ring, w / 2);
+      const right = offsetRing(ring, -w / 2);
+      const [outer, inner] = Math.abs(area(left)) > Math.abs(area(right)) ? [left, right] : [right, left];
+      out.push(area(outer) < 0 ? [...outer].reverse() : outer);
+      out.push(area(inner) < 0 ? inner : [...inner].reverse());
+      continue;
+    }
+    const pieces = [];
+    for (let i = 1; i < ring.length; i++) {
+      const [ax, ay] = ring[i - 1];
+      const [bx, by] = ring[i];
+      const len = Math.hypot(bx - ax, by - ay);
+      const [nx, ny] = [(-(by - ay) / len) * (w / 2), ((bx - ax) / len) * (w / 2)];
+      pieces.push([[ax + nx, ay + ny], [bx + nx, by + ny], [bx - nx, by - ny], [ax - nx, ay - ny]]);
+      if (i < ring.length - 1 || closed) pieces.push(disc(ring[i]));
+    }
+    if (round && !closed && ring.length > 1) pieces.push(disc(ring[0]), disc(ring[ring.length - 1]));
+    out.push(...pieces.map((p) => (area(p) < 0 ? [...p].reverse() : p)));
+  }
+  return out;
+}
+
+// Text as pixel-font squares
+function textRings(content, { x, y, size, anchor, baseline, bold }) {
+  const u = size / 10;
+  const width = content.length * GLYPH_W * u - u;
+  const left = x - (anchor === "middle" ? width / 2 : anchor === "end" ? width : 0);
+  const top =
+    baseline === "hanging" || baseline === "text-before-edge" ? y
+      : baseline === "central" || baseline === "middle" ? y - (GLYPH_H * u) / 2
+        : y - GLYPH_H * u;
+  const dot = bold ? 1.35 * u : u;
+  const rings = [];
+  [...content].forEach((char, i) => {
+    glyph(char).forEach((bits, col) => {
+      for (let row = 0; row < GLYPH_H; row++) {
+        if (!(bits & (1 << row))) continue;
+        const px = left + (i * GLYPH_W + col) * u;
+        const py = top + row * u;
+        rings.push([[px, py], [px + dot, py], [px + dot, py + u], [px, py + u]]);
+      }
+    });
+  });
+  return rings;
+}
+
+// Outline of any drawable node (text included), or null
+function outlineOf(node, attr, style) {
+  if (node.tag !== "text") {
+    const shape = outline(node.tag, attr);
+    return shape?.rings.length ? shape : null;
+  }
+  const content = node.text.replace(/\s+/g, " ").trim();
+  if (!content) return null;
+  const rings = textRings(content, {
+    x: num(attr("x")),
+    y: num(attr("y")),
+    size: num(style["font-size"], 16),
+    anchor: style["text-anchor"],
+    baseline: style["dominant-baseline"],
+    bold: num(style["font-weight"], 400) >= 600 || style["font-weight"] === "bold",
+  });
+  return { rings, closed: true, text: true };
+}
+
+// --------------------
+// Scan conversion + compositing (device space)
+// --------------------
+// Coverage (0..1 per pixel, nonzero winding) of device-space rings within a
+// W×H canvas: { x0, y0, w, h, cov }, or null when nothing lands on it
+function coverage(rings, W, H) {
+  let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const ring of rings) {
+    for (const [x, y] of ring) {
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  const x0 = Math.max(0, Math.floor(minX));
+  const y0 = Math.max(0, Math.floor(minY));
+  const x1 = Math.min(W, Math.ceil(maxX));
+  const y1 = Math.min(H, Math.ceil(maxY));
+  if (x0 >= x1 || y0 >= y1) return null;
+
+  // Edges as flat [top y, bottom y, x at top, dx/dy, direction], by top y
+  const edges = [];
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length; i++) {
+      const [ax, ay] = ring[i];
+      const [bx, by] = ring[(i + 1) % ring.length];
+      if (ay === by) continue;
+      if (ay < by) edges.push([ay, by, ax, (bx - ax) / (by - ay), 1]);
+      else edges.push([by, ay, bx, (ax - bx) / (ay - by), -1]);
+    }
+  }
+  edges.sort((a, b) => a[0] - b[0]);
+
+  const w = x1 - x0;
+  const h = y1 - y0;
+  const cov = new Float32Array(w * h);
+  const xs = [];
+  const dirs = [];
+  const span = (row, from, to) => {
+    const a = Math.max(from, x0);
+    const b = Math.min(to, x1);
+    if (b <= a) return;
+    const ia = Math.floor(a);
+    const ib = Math.floor(b);
+    const base = row * w - x0;
+    if (ia === ib) {
+      cov[base + ia] += (b - a) / SUB;
+      return;
+    }
+    cov[base + ia] += (ia + 1 - a) / SUB;
+    for (let i = ia + 1; i < ib; i++) cov[base + i] += 1 / SUB;
+    if (ib < x1) cov[base + ib] += (b - ib) / SUB;
+  };
+
+  for (let row = 0; row < h; row++) {
+    for (let s = 0; s < SUB; s++) {
+      const sy = y0 + row + (s + 0.5) / SUB;
+      let n = 0;
+      for (const [top, bottom, x, slope, dir] of edges) {
+        if (top > sy) break;
+        if (sy >= bottom) continue;
+        // insertion sort: a scanline crosses only a handful of edges
+        const cx = x + (sy - top) * slope;
+        let j = n++;
+        for (; j > 0 && xs[j - 1] > cx; j--) {
+          xs[j] = xs[j - 1];
+          dirs[j] = dirs[j - 1];
+        }
+        xs[j] = cx;
+        dirs[j] = dir;
+      }
+      let wind = 0;
+      let start = 0;
+      for (let j = 0; j < n; j++) {
+        if (wind === 0) start = xs[j];
+        wind += dirs[j];
+        if (wind === 0) span(row, start, xs[j]);
+      }
+    }
+  }
+  return { x0, y0, w, h, cov };
+}
+
+function coverAt(mask, x, y) {
+  const cx = x - mask.x0;
+  const cy = y - mask.y0;
+  if (cx < 0 || cy < 0 || cx >= mask.w || cy >= mask.h) return 0;
+  return Math.min(1, mask.cov[cy * mask.w + cx]);
+}
+
+// --------------------
+// Renderer
+// --------------------
+// svg: markup from a renderer. width: output px (default: the SVG's own
+// width). Returns { width, height, duration, frame(t) } where frame gives a
+// width×height RGBA Uint8ClampedArray of the animation at t seconds.
+export function createRasterizer(svg, { width } = {}) {
+  const doc = parseSvg(svg);
+  const timeline = compileTimeline(doc);
+  const { root, ids } = doc;
+
+  const [vx, vy, vw, vh] = (root.attrs.viewBox ?? `0 0 ${num(root.attrs.width, 300)} ${num(root.attrs.height, 150)}`)
+    .split(/[\s,]+/)
+    .map(Number);
+  const outW = Math.max(1, Math.round(width ?? num(root.attrs.width, vw)));
+  const scale = outW / vw;
+  const outH = Math.max(1, Math.round(vh * scale));
+  const base = [scale, 0, 0, scale, -vx * scale, -vy * scale];
+
+  // Coverage masks carried from frame to frame: most of a calendar stands
+  // still, and scan conversion is the expensive part of a frame
+  const shapeMasks = new WeakMap(); // node -> { key, box, fill, stroke }
+  const clipMasks = new Map(); // "id|ctm" -> mask
+
+  function frame(t) {
+    const canvas = new Float32Array(outW * outH * 4);
+    const attrOf = (node) => (name) => timeline.valueAt(node, name, t) ?? node.attrs[name];
+
+    // Gradient paint for a shape with user-space bbox `box` under `ctm`
+    function gradient(node, box, ctm) {
+      const stops = node.children
+        .filter((c) => c.tag === "stop")
+        .map((c) => {
+          const color = parseColor(c.attrs["stop-color"]) ?? [0, 0, 0, 1];
+          const offset = c.attrs.offset?.endsWith("%") ? num(c.attrs.offset) / 100 : num(c.attrs.offset);
+          return { offset, color: [...color.slice(0, 3), color[3] * num(c.attrs["stop-opacity"], 1)] };
+        });
+      if (!stops.length) return null;
+      const frac = (v, d) => (v === undefined ? d : v.endsWith("%") ? num(v) / 100 : num(v));
+      const at = (u) => {
+        let i = 0;
+        while (i + 1 < stops.length && stops[i + 1].offset <= u) i++;
+        const a = stops[i];
+        const b = stops[Math.min(i + 1, stops.length - 1)];
+        const f = b.offset > a.offset ? Math.max(0, Math.min(1, (u - a.offset) / (b.offset - a.offset))) : 0;
+        return a.color.map((v, k) => v + (b.color[k] - v) * (u <= stops[0].offset ? 0 : f));
+      };
+      const ramp = Array.from({ length: 256 }, (_, i) => at(i / 255));
+      const color = (u) => ramp[Math.round(Math.max(0, Math.min(1, u)) * 255)];
+
+      // Pixel centre -> gradient space (user space, or the bbox as 0..1)
+      const units = node.attrs.gradientUnits === "userSpaceOnUse" ? [1, 0, 0, 1, 0, 0]
+        : [1 / (box.w || 1), 0, 0, 1 / (box.h || 1), -box.x / (box.w || 1), -box.y / (box.h || 1)];
+      const [a, b, c, d, e, f] = multiply(multiply(units, invert(ctm)), [1, 0, 0, 1, 0.5, 0.5]);
+      if (node.tag === "radialGradient") {
+        const [cx, cy, r] = [frac(node.attrs.cx, 0.5), frac(node.attrs.cy, 0.5), frac(node.attrs.r, 0.5)];
+        return (px, py) => color(Math.hypot(a * px + c * py + e - cx, b * px + d * py + f - cy) / (r || 1));
+      }
+      const [x1, y1, x2, y2] = [frac(node.attrs.x1, 0), frac(node.attrs.y1, 0), frac(node.attrs.x2, 1), frac(node.attrs.y2, 0)];
+      const len2 = (x2 - x1) ** 2 + (y2 - y1) ** 2 || 1;
+      return (px, py) => color(((a * px + c * py + e - x1) * (x2 - x1) + (b * px + d * py + f - y1) * (y2 - y1)) / len2);
+    }
+
+    function paintOf(value, box, ctm) {
+      const ref = /^url\(#([^)]+)\)/.exec(value ?? "");
+      if (ref) {
+        const node = ids.get(ref[1]);
+        return node ? gradient(node, box, ctm) : null;
+      }
+      const color = parseColor(value);
+      return color && color[3] > 0 ? color : null;
+    }
+
+    function composite(mask, paint, alpha, clips) {
+      if (!mask || !paint || alpha <= 0) return;
+      const solid = Array.isArray(paint) ? paint : null;
+      for (let row = 0; row < mask.h; row++) {
+        const y = mask.y0 + row;
+        for (let col = 0; col < mask.w; col++) {
+          let c = mask.cov[row * mask.w + col];
+          if (c <= 0) continue;
+          const x = mask.x0 + col;
+          if (c > 1) c = 1;
+          for (const clip of clips) c *= coverAt(clip, x, y);
+          if (c <= 0) continue;
+          const [r, g, b, a0] = solid ?? paint(x, y);
+          const a = c * alpha * a0;
+          const i = (y * outW + x) * 4;
+          canvas[i] = r * a + canvas[i] * (1 - a);
+          canvas[i + 1] = g * a + canvas[i + 1] * (1 - a);
+          canvas[i + 2] = b * a + canvas[i + 2] * (1 - a);
+          canvas[i + 3] = a + canvas[i + 3] * (1 - a);
+        }
+      }
+    }
+
+    const toDevice = (rings, ctm) => rings.map((ring) => ring.map((p) => apply(ctm, p)));
+    const boxOf = (rings) => {
+      let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+      for (const ring of rings) {
+        for (const [x, y] of ring) {
+          minX = Math.min(minX, x);
+          maxX = Math.max(maxX, x);
+          minY = Math.min(minY, y);
+          maxY = Math.max(maxY, y);
+        }
+      }
+      return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+    };
+
+    function clipMask(value, ctm) {
+      const ref = /^url\(#([^)]+)\)/.exec(value ?? "");
+      const node = ref && ids.get(ref[1]);
+      if (!node) return null;
+      const key = `${ref[1]}|${ctm.join()}`;
+      if (!clipMasks.has(key)) clipMasks.set(key, clipCoverage(node, ctm));
+      return clipMasks.get(key);
+    }
+
+    function clipCoverage(node, ctm) {
+      const rings = [];
+      for (const child of node.children) {
+        const shape = outline(child.tag, (name) => child.attrs[name]);
+        if (shape) rings.push(...toDevice(shape.rings, multiply(ctm, parseTransform(child.attrs.transform))));
+      }
+      return coverage(rings, outW, outH) ?? { x0: 0, y0: 0, w: 0, h: 0, cov: new Float32Array(0) };
+    }
+
+    function draw(node, state) {
+      if (SKIP.has(node.tag)) return;
+      const attr = attrOf(node);
+      if (attr("display") === "none" || attr("visibility") === "hidden") return;
+      const opacity = state.opacity * num(attr("opacity"), 1);
+      if (opacity <= 0.002) return;
+
+      let ctm = state.ctm;
+      const motion = timeline.motionAt(node, t);
+      if (motion) ctm = multiply(ctm, [1, 0, 0, 1, motion[0], motion[1]]);
+      ctm = multiply(ctm, parseTransform(attr("transform")));
+
+      const style = { ...state.style };
+      for (const name of INHERITED) {
+        const value = attr(name);
+        if (value !== undefined && value !== "inherit") style[name] = value;
+      }
+      let clips = state.clips;
+      const clip = attr("clip-path");
+      if (clip && clip !== "none") {
+        const mask = clipMask(clip, ctm);
+        if (mask) clips = [...clips, mask];
+      }
+      const next = { ctm, opacity, style, clips };
+
+      if (node.tag === "svg" || node.tag === "g" || node.tag === "a") {
+        for (const child of node.children) draw(child, next);
+        return;
+      }
+
+      const key = [ctm.join(), node.text, ...GEOMETRY.map(attr), ...OUTLINE_STYLE.map((name) => style[name])].join("|");
+      let entry = shapeMasks.get(node);
+      if (entry?.key !== key) {
+        const shape = outlineOf(node, attr, style);
+        entry = shape && { key, shape, box: boxOf(shape.rings) };
+        shapeMasks.set(node, entry);
+      }
+      if (!entry) return;
+      const { shape, box } = entry;
+
+      if (shape.closed) {
+        const fill = paintOf(style.fill ?? "#000000", box, ctm);
+        if (fill) {
+          if (entry.fill === undefined) entry.fill = coverage(toDevice(shape.rings, ctm), outW, outH);
+          composite(entry.fill, fill, opacity * num(style["fill-opacity"], 1), clips);
+        }
+      }
+
+      const stroke = !shape.text && paintOf(style.stroke, box, ctm);
+      const strokeW = num(style["stroke-width"], 1);
+      if (stroke && strokeW > 0) {
+        if (entry.stroke === undefined) {
+          let lines = shape.rings;
+          const pattern = (style["stroke-dasharray"] ?? "none").split(/[\s,]+/).filter(Boolean).map(Number);
+          if (pattern.length && pattern.every(Number.isFinite)) {
+            const k = attr("pathLength") ? lines.reduce((s, r) => s + lengthOf(r), 0) / num(attr("pathLength"), 1) : 1;
+            lines = dashes(lines, pattern.map((v) => v * k), num(style["stroke-dashoffset"]) * k);
+          }
+          const band = strokeRings(lines, strokeW, { closed: shape.closed, round: style["stroke-linecap"] === "round" });
+          entry.stroke = coverage(toDevice(band, ctm), outW, outH);
+        }
+        composite(entry.stroke, stroke, opacity * num(style["stroke-opacity"], 1), clips);
+      }
+    }
+
+    draw(root, { ctm: base, opacity: 1, style: {}, clips: [] });
+
+    const rgba = new Uint8ClampedArray(outW * outH * 4);
+    for (let i = 0; i < canvas.length; i += 4) {
+      const a = canvas[i + 3];
+      if (a <= 0) continue;
+      rgba[i] = canvas[i] / a;
+      rgba[i + 1] = canvas[i + 1] / a;
+      rgba[i + 2] = canvas[i + 2] / a;
+      rgba[i + 3] = a * 255;
+    }
+    return rgba;
+  }
+
+  return { width: outW, height: outH, duration: timeline.duration, frame };
+}
@@ -0,0 +1,23 @@
+// scripts/lib/reduced-motion.js
+//
+// Reduced-motion fallback: one SVG that carries a render's animation and its
+// still (see ./snapshot.js) and lets an embedded prefers-reduced-motion
+// stylesheet pick one, the way ./color-scheme.js picks light or dark.
+import { prefixIds, splitSvg } from "./color-scheme.js";
+
+export function combineReducedMotion(animatedSvg, stillSvg) {
+  const animated = splitSvg(animatedSvg);
+  const still = splitSvg(prefixIds(stillSvg, "s-"));
+
+  return `${animated.open}
+  <style>
+    .motion-still { display: none; }
+    @media (prefers-reduced-motion: reduce) {
+      .motion-full { display: none; }
+      .motion-still { display: inline; }
+    }
+  </style>
+  <g class="motion-full">${animated.body}</g>
+  <g class="motion-still">${still.body}</g>
+</svg>`;
+}
@@ -0,0 +1,158 @@
+// scripts/lib/render.js
+//
+// Importable API: calendar weeks in, SVG string out. Nothing here touches the
+// network or the filesystem — fetch the weeks yourself (or via ./data-source.js)
+// and decide where the markup goes.
+//
+//   import { renderContributionSvg } from "tetris-contrib";
+//   const { svg, stats } = renderContributionSvg(weeks, { style: "stars", seed: 42 });
+import { combineColorSchemes } from "./color-scheme.js";
+import { ANIMATION_BACKENDS, smilToCss } from "./css-animation.js";
+import { normalizeWeeks } from "./data-source.js";
+import { buildHeatmap } from "./heatmap.js";
+import { optimizeSvg } from "./optimize.js";
+import { combineReducedMotion } from "./reduced-motion.js";
+import { hashString } from "./rng.js";
+import { resolveTheme } from "./themes.js";
+import { STYLES } from "../renderers/index.js";
+
+export { ANIMATION_BACKENDS, STYLES };
+export { BUCKETINGS, bucketLevel } from "./buckets.js";
+export { buildHeatmap } from "./heatmap.js";
+export { LAYOUTS } from "./layout.js";
+export { PIECE_SETS, resolvePieceSet } from "./piece-sets.js";
+export { resolveTheme, THEMES } from "./themes.js";
+
+// Throws on an unknown style.
+export function resolveStyle(style) {
+  const renderer = STYLES[style];
+  if (!renderer) throw new Error(`Unknown style "${style}" (expected ${Object.keys(STYLES).join(", ")})`);
+  return renderer;
+}
+
+// Styles that animate more than one way export MODES (first is the default).
+// Throws on a mode the style doesn't have.
+export function resolveMode(style, mode) {
+  const modes = resolveStyle(style).MODES ?? [];
+  if (mode === undefined) return modes[0];
+  if (!modes.includes(mode)) {
+    const expected = modes.length ? ` (expected ${modes.join(", ")})` : "";
+    throw new Error(`Style "${style}" has no mode "${mode}"${expected}`);
+  }
+  return mode;
+}
+
+// Styles that can lay the calendar out more than one way export LAYOUTS (see
+// ./layout.js; "grid" is the default). Throws on a layout the style can't do.
+export function resolveLayout(style, layout) {
+  const layouts = resolveStyle(style).LAYOUTS ?? ["grid"];
+  if (layout === undefined) return "grid";
+  if (!layouts.includes(layout)) {
+    throw new Error(`Style "${style}" has no layout "${layout}" (expected ${layouts.join(", ")})`);
+  }
+  return layout;
+}
+
+function heatmapStats({ grid, dates, W, totalYear, last7, last30, seed }) {
+  let activeDays = 0;
+  let busiestDay = null;
+  grid.forEach((row, y) =>
+    row.forEach((count, x) => {
+      if (count > 0) activeDays++;
+      if (count > 0 && (!busiestDay || count > busiestDay.contributionCount)) {
+        busiestDay = { date: dates[y][x], contributionCount: count };
+      }
+    })
+  );
+  return { totalYear, last7, last30, weeks: W, activeDays, busiestDay, seed };
+}
+
+// options: style, mode (style-specific, see resolveMode), layout (grid, ring
+// or spiral where the style has them, see resolveLayout), theme (built-in
+// name, theme object, or "auto" to follow the viewer's prefers-color-scheme
+// using lightTheme / darkTheme), bucketing, user (seeds the RNG like the CLI
+// does), seed (number or string, overrides the data-derived seed), cell, gap,
+// width (px). Animated styles carry a still of their finished board that
+// shows under prefers-reduced-motion: reduce; reducedMotion: false leaves it
+// out, snapshot: true returns only the still. animation: "smil" (default) or
+// "css" for the same motion as @keyframes (see ./css-animation.js). The
+// tetris style also takes pieceSet (see ./piece-sets.js) and nodeBudget /
+// timeBudgetMs for its tiler; the life style takes generations and edges (see
+// ./life.js).
+//
+// optimize: true runs the size pass (see ./optimize.js). maxBytes caps the
+// final markup: over it, overBudget "fail" (default) throws, "reduce" cuts the
+// tetris style's runs (its `runs` option) until it fits and throws only if
+// even one run is too big. Returns { svg, stats, runs } (runs: tetris only).
+export function renderContributionSvg(weeks, options = {}) {
+  const {
+    style = "tetris",
+    mode,
+    layout,
+    theme = "github-dark",
+    lightTheme = "github-light",
+    darkTheme = "github-dark",
+    bucketing = "fixed",
+    user = "",
+    seed,
+    snapshot = false,
+    reducedMotion = true,
+    animation = "smil",
+    optimize = false,
+    maxBytes,
+    overBudget = "fail",
+    ...rendererOptions
+  } = options;
+  const renderer = resolveStyle(style);
+  const resolvedMode = resolveMode(style, mode);
+  const resolvedLayout = resolveLayout(style, layout);
+  if (!ANIMATION_BACKENDS.includes(animation)) {
+    throw new Error(`Unknown animation "${animation}" (expected ${ANIMATION_BACKENDS.join(", ")})`);
+  }
+  if (!["fail", "reduce"].includes(overBudget)) throw new Error(`Unknown overBudget "${overBudget}" (expected fail, reduce)`);
+
+  const heatmap = buildHeatmap(normalizeWeeks(weeks), { user, bucketing });
+  if (seed !== undefined) heatmap.seed = typeof seed === "string" ? hashString(seed) : seed >>> 0;
+
+  // The whole pipeline for one run count (undefined for styles without runs)
+  const build = (runs) => {
+    const renderFrame = (t, still) =>
+      renderer.renderSvg(heatmap, {
+        ...rendererOptions,
+        ...(runs === undefined ? {} : { runs }),
+        mode: resolvedMode,
+        layout: resolvedLayout,
+        theme: resolveTheme(t),
+        snapshot: still,
+      });
+    const render = (t) => {
+      if (snapshot) return renderFrame(t, true);
+      const animated = renderFrame(t, false);
+      if (!reducedMotion) return animated;
+      const still = renderFrame(t, true);
+      return still === animated ? animated : combineReducedMotion(animated, still); // static styles have no still
+    };
+    let svg = theme === "auto" ? combineColorSchemes(render(lightTheme), render(darkTheme)) : render(theme);
+    if (animation === "css") svg = smilToCss(svg);
+    return optimize ? optimizeSvg(svg) : svg;
+  };
+
+  let runs = renderer.DEFAULT_RUNS && (rendererOptions.runs ?? renderer.DEFAULT_RUNS);
+  let svg = build(runs);
+  const bytes = () => Buffer.byteLength(svg);
+  if (maxBytes !== undefined && bytes() > maxBytes) {
+    if (overBudget === "reduce" && runs) {
+      while (bytes() > maxBytes && runs > 1) {
+        // Markup grows about linearly with runs: aim straight for the budget
+        runs = Math.max(1, Math.min(runs - 1, Math.floor((runs * maxBytes) / bytes())));
+        svg = build(runs);
+      }
+    }
+    if (bytes() > maxBytes) {
+      const why = overBudget !== "reduce" ? "" : runs ? " even with 1 run" : ` (style "${style}" has no runs to cut)`;
+      throw new Error(`SVG is ${bytes()} bytes, over the ${maxBytes}-byte budget${why}`);
+    }
+  }
+
+  return { svg, stats: heatmapStats(heatmap), runs };
+}
@@ -0,0 +1,174 @@
+// scripts/lib/snake.js
+//
+// Snake over the contribution calendar: it crawls in from the left edge, eats
+// every contributed day (growing more the busier the day), then leaves the
+// board again, so one play is a seamless loop.
+//
+// planSnake steers it along a Hamiltonian cycle of the board (one closed route
+// through every cell), cutting across whenever a shortcut still leaves room
+// ahead for all the growing it has left to do. The body then always lies
+// behind the head in cycle order, so the next cell on the cycle is always
+// free: the snake can't box itself in, and it eats every day within a lap.
+
+export const START_LENGTH = 3;
+export const GROWTH = [0, 1, 2, 3, 4]; // cells gained per day eaten, by level
+export const MAX_FILL = 0.25; // the snake stops growing at this share of the board
+
+const DIRS = [
+  [1, 0],
+  [0, 1],
+  [-1, 0],
+  [0, -1],
+];
+
+// The cycle as { cells, slot }: cells in route order, slot[y * W + x] a cell's
+// position on it. A board with an odd number of cells has no such cycle, so
+// there the bottom-right corner shares its slot with the cell diagonally
+// inside it (the route can take either between the same two neighbours). A
+// board one cell wide or high gets a plain line, walked from its first end.
+export function boardCycle(W, H) {
+  const cells = [];
+  if (W === 1 || H === 1) {
+    for (let y = 0; y < H; y++) for (let x = 0; x < W; x++) cells.push([x, y]);
+  } else if (H % 2 === 0 || W % 2 === 0) {
+    // Across the top, back and forth over the rest, home up the left column
+    const flip = H % 2 !== 0;
+    const [w, h] = flip ? [H, W] : [W, H];
+    for (let x = 0; x < w; x++) cells.push([x, 0]);
+    for (let y = 1; y < h; y++) {
+      for (let i = 1; i < w; i++) cells.push([y % 2 ? w - i : i, y]);
+    }
+    for (let y = h - 1; y > 0; y--) cells.push([0, y]);
+    if (flip) cells.forEach((c) => c.reverse());
+  } else {
+    // The same, but the bottom two rows go up and down in column pairs, which
+    // leaves out the corner
+    for (let x = 0; x < W; x++) cells.push([x, 0]);
+    for (let y = 1; y < H - 2; y++) {
+      for (let i = 1; i < W; i++) cells.push([y % 2 ? W - i : i, y]);
+    }
+    cells.push([W - 1, H - 2]);
+    for (let x = W - 2; x > 0; x--) {
+      const down = (W - 2 - x) % 2 === 0;
+      cells.push([x, down ? H - 2 : H - 1], [x, down ? H - 1 : H - 2]);
+    }
+    for (let y = H - 1; y > 0; y--) cells.push([0, y]);
+  }
+
+  const slot = new Int32Array(W * H).fill(-1);
+  cells.forEach(([x, y], i) => (slot[y * W + x] = i));
+  if (W > 1 && H > 1 && (W * H) % 2 === 1) slot[(H - 1) * W + W - 1] = slot[(H - 2) * W + W - 2];
+  return { cells, slot };
+}
+
+// levels: H×W (0 = nothing to eat). Returns { path, lengths, eatenAt, eaten }:
+// path[t] is the head's cell at tick t (one cell per tick; off-board x < 0 or
+// x >= W before it enters and after it leaves), lengths[t] the body length
+// then, eatenAt[y][x] the tick each day was eaten (null if never).
+export function planSnake(levels, { rng = Math.random } = {}) {
+  const H = levels.length;
+  const W = levels[0]?.length ?? 0;
+  const maxLength = Math.max(START_LENGTH, Math.floor(W * H * MAX_FILL));
+  const onBoard = ([x, y]) => x >= 0 && x < W && y >= 0 && y < H;
+  const idx = ([x, y]) => y * W + x;
+  const { cells: cycle, slot } = boardCycle(W, H);
+  const N = cycle.length;
+
+  // A one-column board is a line, so come in at the top of it
+  const row = W === 1 ? 0 : Math.floor(H / 2);
+  let state = { body: Array.from({ length: START_LENGTH }, (_, i) => [-1 - i, row]), grow: 0 };
+  const eatenAt = levels.map((r) => r.map(() => null));
+  let food = 0;
+  for (let y = 0; y < H; y++) for (let x = 0; x < W; x++) if (levels[y][x] > 0) food++;
+
+  const path = [state.body[0]];
+  const lengths = [state.body.length];
+
+  // Moves forward along the cycle from a to b (a full lap for a slot's other cell)
+  const ahead = (a, b) => (idx(a) === idx(b) ? 0 : (slot[idx(b)] - slot[idx(a)] + N) % N || N);
+
+  function move({ body, grow }, cell) {
+    const next = [cell, ...body];
+    if (grow > 0) grow--;
+    else next.pop();
+    if (onBoard(cell) && levels[cell[1]][cell[0]] > 0 && eatenAt[cell[1]][cell[0]] === null) {
+      grow = Math.min(grow + GROWTH[levels[cell[1]][cell[0]]], maxLength - next.length);
+    }
+    return { body: next, grow };
+  }
+
+  // Room to grow: the free stretch of cycle between head and tail outlasts
+  // every cell the body can still gain on the board
+  function roomy({ body }) {
+    const inside = body.filter(onBoard);
+    const free = inside.length > 1 ? ahead(inside[0], inside[inside.length - 1]) - 1 : N - 1;
+    return free > maxLength - inside.length;
+  }
+
+  // The next cell toward `target`: the neighbour furthest along the cycle that
+  // doesn't pass it, is free and stays roomy
+  function toward(target) {
+    const head = state.body[0];
+    const busy = new Set(state.body.filter(onBoard).map(idx));
+    const options = DIRS.map(([dx, dy]) => [head[0] + dx, head[1] + dy])
+      .filter((c) => onBoard(c) && !busy.has(idx(c)) && slot[idx(c)] >= 0)
+      .filter((c) => ahead(c, target) < ahead(head, target) && roomy(move(state, c)))
+      .map((c) => ({ c, left: ahead(c, target), tie: rng() }));
+    if (!options.length) throw new Error(`Snake has no way on from ${head}`);
+    options.sort((a, b) => a.left - b.left || a.tie - b.tie);
+    return options[0].c;
+  }
+
+  function step(cell) {
+    state = move(state, cell);
+    if (onBoard(cell) && levels[cell[1]][cell[0]] > 0 && eatenAt[cell[1]][cell[0]] === null) {
+      eatenAt[cell[1]][cell[0]] = path.length;
+      food--;
+    }
+    path.push(cell);
+    lengths.push(state.body.length);
+  }
+
+  // The cell of `cells` soonest reached along the cycle from the head
+  const soonest = (cells) => cells.reduce((best, c) => (ahead(state.body[0], c) < ahead(state.body[0], best) ? c : best));
+
+  // Crawl in, eat the next day along the cycle until none are left, then make
+  // for either side edge and step off it
+  const days = [];
+  const edges = [];
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      if (levels[y][x] > 0) days.push([x, y]);
+      if (x === 0 || x === W - 1) edges.push([x, y]);
+    }
+  }
+  const isEdge = ([x]) => x === 0 || x === W - 1;
+  let target = null;
+  let exit = null;
+  while (W > 0 && H > 0) {
+    const head = state.body[0];
+    if (!onBoard(head)) {
+      step([0, head[1]]);
+      continue;
+    }
+    if (food === 0) {
+      const out = [head[0] === 0 ? -1 : W, head[1]];
+      if (isEdge(head) && !state.body.some((c) => String(c) === String(out))) {
+        step(out);
+        break;
+      }
+      exit ??= soonest(edges.filter((c) => String(c) !== String(head)));
+      step(toward(exit));
+      continue;
+    }
+    if (!target || eatenAt[target[1]][target[0]] !== null) target = soonest(days.filter(([x, y]) => eatenAt[y][x] === null));
+    step(toward(target));
+  }
+
+  // Off the board: keep going until the tail has followed
+  const dx = state.body[0][0] < 0 ? -1 : 1;
+  while (state.body.some(onBoard)) step([state.body[0][0] + dx, state.body[0][1]]);
+
+  const eaten = eatenAt.flat().filter((t) => t !== null).length;
+  return { path, lengths, eatenAt, eaten };
+}
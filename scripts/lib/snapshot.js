@@ -0,0 +1,55 @@
+// scripts/lib/snapshot.js
+//
+// Still frames of an animated SVG: every animated attribute is set to its
+// value at one moment of the timeline (see ./timeline.js), the animation
+// elements are dropped, and whatever is invisible at that moment goes too.
+// The result looks like the animation paused at t but plays nothing, for
+// reduced-motion users and viewers that strip SMIL.
+//
+//   const still = freezeSvg(svg, 12.5);
+import { parseSvg, serializeSvg } from "./svg-tree.js";
+import { compileTimeline } from "./timeline.js";
+
+const ANIMATIONS = new Set(["animate", "set", "animateTransform", "animateMotion", "mpath"]);
+
+// Drawn content that can be dropped when hidden; anything else (defs,
+// gradients, clip paths, filters) may be referenced and always stays
+const DRAWN = new Set(["g", "rect", "circle", "ellipse", "line", "polyline", "polygon", "path", "text", "use", "image"]);
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+function hidden({ tag, attrs }) {
+  return DRAWN.has(tag) && (attrs.display === "none" || Number(attrs.opacity ?? 1) <= 0);
+}
+
+// svg: markup with SMIL animation; t: seconds into the timeline.
+// Returns the input unchanged when nothing in it is animated.
+export function freezeSvg(svg, t) {
+  const doc = parseSvg(svg);
+  const timeline = compileTimeline(doc);
+  let animated = false;
+
+  const freeze = (node) => {
+    for (const name of timeline.attributesOf(node)) {
+      const value = timeline.valueAt(node, name, t);
+      if (value !== undefined) node.attrs[name] = String(value);
+    }
+    const motion = timeline.motionAt(node, t);
+    if (motion) {
+      const move = `translate(${motion.map(round).join(" ")})`;
+      node.attrs.transform = node.attrs.transform ? `${move} ${node.attrs.transform}` : move;
+    }
+
+    node.children = node.children.filter((child) => {
+      if (ANIMATIONS.has(child.tag)) {
+        animated = true;
+        return false;
+      }
+      freeze(child);
+      return !hidden(child);
+    });
+  };
+  freeze(doc.root);
+
+  return animated ? serializeSvg(doc.root) : svg;
+}
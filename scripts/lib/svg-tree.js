@@ -0,0 +1,102 @@
+// scripts/lib/svg-tree.js
+//
+// Just enough of an XML parser for the SVG this repo writes: elements,
+// attributes in double quotes, text, comments and the <?xml?> prolog. Every
+// node is { tag, attrs, children, text, parent }; `ids` maps id -> node.
+// serializeSvg writes a (possibly edited) tree back out.
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+    if (name[0] !== "#") return ENTITIES[name] ?? match;
+    return String.fromCodePoint(name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+  });
+}
+
+// Returns { root, ids }; throws on markup it can't follow.
+export function parseSvg(svg) {
+  const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:-]+)((?:\s+[\w:-]+\s*=\s*"[^"]*")*)\s*(\/?)>|([^<]+)/g;
+  const attr = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+  const top = { tag: "#document", attrs: {}, children: [], text: "", parent: null };
+  const ids = new Map();
+  let node = top;
+  let at = 0;
+
+  for (let m; (m = token.exec(svg)); ) {
+    if (m.index !== at) throw new Error(`Unreadable SVG markup at offset ${at}`);
+    at = token.lastIndex;
+    const [, closing, tag, attrList, selfClosing, text] = m;
+    if (text !== undefined) {
+      node.text += decode(text);
+    } else if (closing) {
+      if (node.tag !== tag) throw new Error(`Mismatched </${tag}> (open element is <${node.tag}>)`);
+      node = node.parent;
+    } else if (tag) {
+      const child = { tag, attrs: {}, children: [], text: "", parent: node };
+      for (const [, name, value] of attrList.matchAll(attr)) child.attrs[name] = decode(value);
+      if (child.attrs.id) ids.set(child.attrs.id, child);
+      node.children.push(child);
+      if (!selfClosing) node = child;
+    }
+  }
+  if (at !== svg.length) throw new Error(`Unreadable SVG markup at offset ${at}`);
+  if (node !== top) throw new Error(`Unclosed <${node.tag}>`);
+
+  const root = top.children.find((c) => c.tag === "svg");
+  if (!root) throw new Error("No <svg> element");
+  return { root, ids };
+}
+
+const escape = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Markup for a node and everything under it, one element per line (compact:
+// no line breaks at all). Text keeps only its trimmed content (SVG collapses
+// the whitespace around it anyway).
+export function serializeSvg(node, { compact = false } = {}) {
+  const attrs = Object.entries(node.attrs)
+    .map(([name, value]) => ` ${name}="${escape(value)}"`)
+    .join("");
+  const text = escape(node.text.trim());
+  if (!text && !node.children.length) return `<${node.tag}${attrs}/>`;
+  const br = compact ? "" : "\n";
+  const children = node.children.map((child) => `${br}${serializeSvg(child, { compact })}`).join("");
+  return `<${node.tag}${attrs}>${text}${children}${children ? br : ""}</${node.tag}>`;
+}
+
+// Path data as subpaths of [x, y] points: straight segments only (M L H V Z,
+// absolute or relative), which is all the renderers draw. A closed subpath
+// ends back at its first point.
+export function pathSubpaths(d) {
+  const subpaths = [];
+  let points = null;
+  let x = 0;
+  let y = 0;
+  for (const [, command, args] of d.matchAll(/([MLHVZmlhvz])([^MLHVZmlhvz]*)/g)) {
+    const n = (args.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) ?? []).map(Number);
+    const rel = command === command.toLowerCase();
+    switch (command.toUpperCase()) {
+      case "M":
+      case "L":
+        for (let i = 0; i + 1 < n.length; i += 2) {
+          [x, y] = rel ? [x + n[i], y + n[i + 1]] : [n[i], n[i + 1]];
+          if (!points || (command.toUpperCase() === "M" && i === 0)) subpaths.push((points = []));
+          points.push([x, y]);
+        }
+        break;
+      case "H":
+        for (const v of n) points?.push([(x = rel ? x + v : v), y]);
+        break;
+      case "V":
+        for (const v of n) points?.push([x, (y = rel ? y + v : v)]);
+        break;
+      case "Z":
+        if (points?.length) {
+          [x, y] = points[0];
+          points.push([x, y]);
+        }
+        break;
+    }
+  }
+  return subpaths;
+}
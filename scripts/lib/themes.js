@@ -0,0 +1,205 @@
+// scripts/lib/themes.js
+//
+// Color themes. Every renderer draws exclusively from a resolved theme object:
+//
+//   scheme       "dark" | "light" (which prefers-color-scheme it suits)
+//   background   [from, to] canvas gradient
+//   border       canvas frame stroke
+//   cellStroke   outline around grid cells / blocks
+//   levels       heatmap shades for levels 0..4
+//   label        month / weekday / legend labels
+//   text         HUD stats line
+//   flash        finish flash overlay
+//   pieces       tetromino colors { I, O, T, S, Z, J, L }
+//   effects      [a, b, c] accent colors for sparks, cursors and glows
+//   stars        night-sky variant: { background, colors (levels 0..4; 0 is the
+//                dust dot), label, text, comet, flash }
+//
+// A theme file is JSON with any subset of those keys plus an optional
+// `"extends": "<built-in name>"` (default github-dark); objects merge, arrays
+// and strings replace.
+import fs from "fs";
+import { isColor } from "./colors.js";
+
+const GITHUB_DARK = {
+  name: "github-dark",
+  scheme: "dark",
+  background: ["#070a14", "#0b1020"],
+  border: "#30363d",
+  cellStroke: "#0f172a",
+  levels: ["#0b1224", "#0e4429", "#006d32", "#26a641", "#39d353"],
+  label: "#9ca3af",
+  text: "#e5e7eb",
+  flash: "#ffffff",
+  pieces: { I: "#38bdf8", O: "#fde047", T: "#a78bfa", S: "#22c55e", Z: "#fb7185", J: "#60a5fa", L: "#f97316" },
+  effects: ["#22c55e", "#60a5fa", "#a78bfa"],
+  stars: {
+    background: ["#0d1929", "#020408"],
+    colors: ["#1c2e45", "#3d6e9e", "#7ab3e0", "#c0dbf5", "#ffffff"],
+    label: "#3a5570",
+    text: "#4a6a8a",
+    comet: "#ddeeff",
+    flash: "#c8e0ff",
+  },
+};
+
+const GITHUB_LIGHT = {
+  name: "github-light",
+  scheme: "light",
+  background: ["#ffffff", "#f6f8fa"],
+  border: "#d0d7de",
+  cellStroke: "#eaeef2",
+  levels: ["#ebedf0", "#9be9a8", "#40c463", "#30a14e", "#216e39"],
+  label: "#57606a",
+  text: "#24292f",
+  flash: "#54aeff",
+  pieces: { I: "#0ea5e9", O: "#eab308", T: "#8b5cf6", S: "#16a34a", Z: "#e11d48", J: "#2563eb", L: "#ea580c" },
+  effects: ["#10b981", "#2563eb", "#7c3aed"],
+  stars: {
+    background: ["#f6f8fa", "#dbe7f3"],
+    colors: ["#c8d3df", "#9fb8d6", "#5b8cc4", "#2f6db0", "#0b3d91"],
+    label: "#57606a",
+    text: "#57606a",
+    comet: "#0969da",
+    flash: "#54aeff",
+  },
+};
+
+const DRACULA = {
+  name: "dracula",
+  scheme: "dark",
+  background: ["#282a36", "#21222c"],
+  border: "#44475a",
+  cellStroke: "#191a21",
+  levels: ["#343746", "#4f4475", "#6d5aa6", "#9777d6", "#bd93f9"],
+  label: "#6272a4",
+  text: "#f8f8f2",
+  flash: "#f8f8f2",
+  pieces: { I: "#8be9fd", O: "#f1fa8c", T: "#bd93f9", S: "#50fa7b", Z: "#ff5555", J: "#ff79c6", L: "#ffb86c" },
+  effects: ["#50fa7b", "#8be9fd", "#ff79c6"],
+  stars: {
+    background: ["#282a36", "#191a21"],
+    colors: ["#44475a", "#6272a4", "#bd93f9", "#ff79c6", "#f8f8f2"],
+    label: "#6272a4",
+    text: "#6272a4",
+    comet: "#8be9fd",
+    flash: "#bd93f9",
+  },
+};
+
+const SOLARIZED = {
+  name: "solarized",
+  scheme: "dark",
+  background: ["#002b36", "#00212b"],
+  border: "#073642",
+  cellStroke: "#00212b",
+  levels: ["#073642", "#1d5b5a", "#1f7f78", "#2aa198", "#5fd7c7"],
+  label: "#586e75",
+  text: "#93a1a1",
+  flash: "#fdf6e3",
+  pieces: { I: "#2aa198", O: "#b58900", T: "#6c71c4", S: "#859900", Z: "#dc322f", J: "#268bd2", L: "#cb4b16" },
+  effects: ["#859900", "#268bd2", "#d33682"],
+  stars: {
+    background: ["#073642", "#001e26"],
+    colors: ["#0a3c48", "#586e75", "#839496", "#93a1a1", "#fdf6e3"],
+    label: "#586e75",
+    text: "#657b83",
+    comet: "#eee8d5",
+    flash: "#268bd2",
+  },
+};
+
+const HIGH_CONTRAST = {
+  name: "high-contrast",
+  scheme: "dark",
+  background: ["#000000", "#000000"],
+  border: "#ffffff",
+  cellStroke: "#000000",
+  levels: ["#262626", "#0b6b1f", "#19a83a", "#4dff6a", "#ffffff"],
+  label: "#ffffff",
+  text: "#ffffff",
+  flash: "#ffffff",
+  pieces: { I: "#00ffff", O: "#ffff00", T: "#ff00ff", S: "#00ff00", Z: "#ff3333", J: "#3399ff", L: "#ff9900" },
+  effects: ["#00ff00", "#00ffff", "#ffff00"],
+  stars: {
+    background: ["#000000", "#000000"],
+    colors: ["#333333", "#7f7f7f", "#bfbfbf", "#e6e6e6", "#ffffff"],
+    label: "#ffffff",
+    text: "#ffffff",
+    comet: "#ffffff",
+    flash: "#ffffff",
+  },
+};
+
+export const THEMES = {
+  "github-dark": GITHUB_DARK,
+  "github-light": GITHUB_LIGHT,
+  dracula: DRACULA,
+  solarized: SOLARIZED,
+  "high-contrast": HIGH_CONTRAST,
+};
+
+// Short names kept for existing workflows
+const ALIASES = { dark: "github-dark", light: "github-light" };
+
+// --------------------
+// Validation / merging
+// --------------------
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function deepMerge(base, over) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(over)) {
+    out[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  }
+  return out;
+}
+
+function expectColors(theme, path, value, length) {
+  const ok = Array.isArray(value) ? value.length === length && value.every(isColor) : length === 1 && isColor(value);
+  if (!ok) {
+    const want = length === 1 ? "a color" : `an array of ${length} colors`;
+    throw new Error(`Theme "${theme.name}": ${path} must be ${want} (#hex, rgb()/hsl() or a CSS color name)`);
+  }
+}
+
+function validateTheme(theme) {
+  expectColors(theme, "background", theme.background, 2);
+  expectColors(theme, "levels", theme.levels, 5);
+  expectColors(theme, "effects", theme.effects, 3);
+  for (const key of ["border", "cellStroke", "label", "text", "flash"]) expectColors(theme, key, theme[key], 1);
+  for (const piece of ["I", "O", "T", "S", "Z", "J", "L"]) expectColors(theme, `pieces.${piece}`, theme.pieces?.[piece], 1);
+  expectColors(theme, "stars.background", theme.stars?.background, 2);
+  expectColors(theme, "stars.colors", theme.stars?.colors, 5);
+  for (const key of ["label", "text", "comet", "flash"]) expectColors(theme, `stars.${key}`, theme.stars?.[key], 1);
+  if (theme.scheme !== "dark" && theme.scheme !== "light") {
+    throw new Error(`Theme "${theme.name}": scheme must be "dark" or "light"`);
+  }
+  return theme;
+}
+
+// --------------------
+// Lookup
+// --------------------
+
+// Accepts a built-in name, an alias, or a (partial) theme object.
+export function resolveTheme(theme = "github-dark") {
+  if (typeof theme === "string") {
+    const builtIn = THEMES[ALIASES[theme] ?? theme];
+    if (!builtIn) {
+      throw new Error(`Unknown theme "${theme}" (expected ${Object.keys(THEMES).join(", ")} or a .json file)`);
+    }
+    return builtIn;
+  }
+  if (!isPlainObject(theme)) throw new Error("Theme must be a name or an object");
+
+  const { extends: parent = "github-dark", ...rest } = theme;
+  const merged = deepMerge(resolveTheme(parent), rest);
+  return validateTheme({ ...merged, name: rest.name ?? `${merged.name}-custom` });
+}
+
+export function readThemeFile(file) {
+  return resolveTheme(JSON.parse(fs.readFileSync(file, "utf-8")));
+}
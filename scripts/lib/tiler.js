@@ -0,0 +1,280 @@
+// scripts/lib/tiler.js
+//
+// Tiles the contributed-cell mask with a piece set (tetrominoes by default, see
+// ./piece-sets.js), covering as many cells as possible. Empty days are never
+// covered; a cell no piece can reach becomes a 1×1 fallback block (SINGLE).
+//
+// Each 4-connected component is solved on its own by a depth-first exact-cover
+// search: always branch on the first uncovered cell in column-major order,
+// try every piece that fits there, and leave it as a single last. A greedy
+// packing seeds the best-known bound, and branches are cut once they cannot
+// beat it (each uncovered region still needs as many singles as no sum of
+// piece sizes can make up — `size % 4` for tetrominoes). The search stops at
+// the proven optimum or when its budget runs out, keeping the best tiling
+// found so far.
+//
+// The budget counts search nodes so renders stay reproducible; `timeBudgetMs`
+// additionally caps wall-clock time (output then depends on machine speed).
+// With `balance`, candidates of the piece type used least so far are tried
+// first, so the tiling's piece mix looks like a real game's 7-bag deal.
+import { leftoverTable, resolvePieceSet, SINGLE } from "./piece-sets.js";
+import { shuffle } from "./rng.js";
+
+export const DEFAULT_NODE_BUDGET = 50000;
+
+// Distinct orientations (O's four identical states collapse into one)
+function distinctOrientations(set) {
+  return set.order.flatMap((piece) => {
+    const seen = new Set();
+    return set.shapes[piece].flatMap((shape, rot) => {
+      const minX = Math.min(...shape.map(([x]) => x));
+      const minY = Math.min(...shape.map(([, y]) => y));
+      const key = shape
+        .map(([x, y]) => `${x - minX},${y - minY}`)
+        .sort()
+        .join(" ");
+      if (seen.has(key)) return [];
+      seen.add(key);
+      return [{ piece, rot, shape }];
+    });
+  });
+}
+
+// --------------------
+// Components
+// --------------------
+function maskComponents(mask) {
+  const H = mask.length;
+  const W = mask[0]?.length ?? 0;
+  const seen = mask.map((row) => row.map(() => false));
+  const out = [];
+
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      if (!mask[y][x] || seen[y][x]) continue;
+
+      const cells = [];
+      const queue = [[x, y]];
+      seen[y][x] = true;
+      while (queue.length) {
+        const [cx, cy] = queue.pop();
+        cells.push([cx, cy]);
+        for (const [nx, ny] of [
+          [cx + 1, cy],
+          [cx - 1, cy],
+          [cx, cy + 1],
+          [cx, cy - 1],
+        ]) {
+          if (nx < 0 || nx >= W || ny < 0 || ny >= H) continue;
+          if (!mask[ny][nx] || seen[ny][nx]) continue;
+          seen[ny][nx] = true;
+          queue.push([nx, ny]);
+        }
+      }
+
+      // Column by column, bottom-up: the grid is 7 tall and ~53 wide, so the
+      // search frontier stays one column deep and dead ends surface early
+      cells.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+      out.push(cells);
+    }
+  }
+  return out;
+}
+
+// --------------------
+// Per-component solver
+// --------------------
+function solveComponent(cells, { levels, rng, nodeBudget, deadline, usage, set, orientations, leftover }) {
+  const n = cells.length;
+  const index = new Map(cells.map(([x, y], i) => [`${x},${y}`, i]));
+  const at = (x, y) => index.get(`${x},${y}`) ?? -1;
+
+  const single = (i) => {
+    const [x, y] = cells[i];
+    return { piece: SINGLE, shape: [[0, 0]], ox: x, oy: y, cells: [i], score: levels[y][x] };
+  };
+
+  const neighbors = cells.map(([x, y]) =>
+    [at(x + 1, y), at(x - 1, y), at(x, y + 1), at(x, y - 1)].filter((j) => j >= 0)
+  );
+
+  // Every piece placement inside the component, listed under each cell it
+  // covers. Shuffled per run for variety, then higher-intensity first.
+  const fits = cells.map(() => []);
+  for (const [cx, cy] of cells) {
+    for (const { piece, rot, shape } of orientations) {
+      const [ax, ay] = shape[0];
+      const ox = cx - ax;
+      const oy = cy - ay;
+      const hits = shape.map(([dx, dy]) => at(ox + dx, oy + dy));
+      if (hits.some((j) => j < 0)) continue;
+
+      const score = shape.reduce((s, [dx, dy]) => s + levels[oy + dy][ox + dx], 0);
+      const fit = { piece, rot, shape, ox, oy, cells: hits, score };
+      for (const j of hits) fits[j].push(fit);
+    }
+  }
+  for (const list of fits) {
+    shuffle(list, rng);
+    list.sort((a, b) => b.score - a.score);
+  }
+
+  const isFree = (fit, covered) => fit.cells.every((j) => !covered[j]);
+
+  // Candidate order at a cell: as listed, or least-used piece type first
+  const typeRank = Object.fromEntries(shuffle([...set.order], rng).map((p, i) => [p, i]));
+  const candidates = (i, used) => {
+    if (!used) return fits[i];
+    const count = (fit) => used[fit.piece] * 8 + typeRank[fit.piece];
+    return [...fits[i]].sort((a, b) => count(a) - count(b));
+  };
+  const startUsage = () => (usage ? { ...usage } : null);
+
+  // --- Greedy seed: bottom-most row, random cell, best-scoring fit ---
+  function greedy() {
+    const covered = new Uint8Array(n);
+    const placements = [];
+    const used = startUsage();
+    let left = n;
+    while (left > 0) {
+      let row = -1;
+      for (let i = 0; i < n; i++) if (!covered[i]) row = Math.max(row, cells[i][1]);
+      const choices = [];
+      for (let i = 0; i < n; i++) if (!covered[i] && cells[i][1] === row) choices.push(i);
+      const i = choices[Math.floor(rng() * choices.length)];
+      const fit = candidates(i, used).find((f) => isFree(f, covered)) ?? single(i);
+      for (const j of fit.cells) covered[j] = 1;
+      if (used && fit.piece !== SINGLE) used[fit.piece]++;
+      placements.push(fit);
+      left -= fit.cells.length;
+    }
+    return placements;
+  }
+
+  const countSingles = (placements) => placements.filter((p) => p.piece === SINGLE).length;
+
+  let best = greedy();
+  let bestSingles = countSingles(best);
+  const floor = leftover[n];
+  if (bestSingles === floor) return best;
+
+  // --- Branch and bound ---
+  const covered = new Uint8Array(n);
+  const regionMark = new Uint32Array(n);
+  let regionEpoch = 0;
+  const stack = [];
+  const used = startUsage();
+  let singles = 0;
+  let nodes = 0;
+  let stop = false;
+
+  // Each uncovered region can only be tiled down to `leftover[size]` singles
+  function lowerBound(from) {
+    regionEpoch++;
+    let bound = 0;
+    for (let i = from; i < n; i++) {
+      if (covered[i] || regionMark[i] === regionEpoch) continue;
+      let size = 0;
+      const queue = [i];
+      regionMark[i] = regionEpoch;
+      while (queue.length) {
+        const j = queue.pop();
+        size++;
+        for (const k of neighbors[j]) {
+          if (covered[k] || regionMark[k] === regionEpoch) continue;
+          regionMark[k] = regionEpoch;
+          queue.push(k);
+        }
+      }
+      bound += leftover[size];
+    }
+    return bound;
+  }
+
+  function search(pos) {
+    while (pos < n && covered[pos]) pos++;
+    if (pos === n) {
+      if (singles < bestSingles) {
+        bestSingles = singles;
+        best = stack.slice();
+        stop = singles === floor;
+      }
+      return;
+    }
+
+    nodes++;
+    if (nodes > nodeBudget || (deadline && nodes % 256 === 0 && Date.now() > deadline)) {
+      stop = true;
+      return;
+    }
+    if (singles + lowerBound(pos) >= bestSingles) return;
+
+    for (const fit of candidates(pos, used)) {
+      if (!isFree(fit, covered)) continue;
+      for (const j of fit.cells) covered[j] = 1;
+      if (used) used[fit.piece]++;
+      stack.push(fit);
+      search(pos + 1);
+      stack.pop();
+      if (used) used[fit.piece]--;
+      for (const j of fit.cells) covered[j] = 0;
+      if (stop) return;
+    }
+
+    covered[pos] = 1;
+    singles++;
+    stack.push(single(pos));
+    search(pos + 1);
+    stack.pop();
+    singles--;
+    covered[pos] = 0;
+  }
+
+  search(0);
+  return best;
+}
+
+// --------------------
+// Public API
+// --------------------
+
+// mask: H×W booleans (true = contributed day), levels: H×W intensity grid.
+// `pieceSet` is a set name, spec or resolved set (see ./piece-sets.js).
+// Returns placements { piece, rot, shape, ox, oy, score } ordered bottom-up,
+// plus how many of the mask's cells ended up under a set piece.
+export function tileMask(
+  mask,
+  { levels, rng, nodeBudget = DEFAULT_NODE_BUDGET, timeBudgetMs, balance = false, pieceSet } = {}
+) {
+  const set = resolvePieceSet(pieceSet);
+  const deadline = timeBudgetMs ? Date.now() + timeBudgetMs : 0;
+  const usage = balance ? Object.fromEntries(set.order.map((p) => [p, 0])) : null;
+  const solver = {
+    levels,
+    rng,
+    nodeBudget,
+    deadline,
+    usage,
+    set,
+    orientations: distinctOrientations(set),
+    leftover: leftoverTable(set.sizes, mask.length * (mask[0]?.length ?? 0)),
+  };
+  const placements = [];
+  let total = 0;
+  let pieceCells = 0;
+
+  for (const cells of maskComponents(mask)) {
+    total += cells.length;
+    for (const { cells: covered, ...placement } of solveComponent(cells, solver)) {
+      if (placement.piece !== SINGLE) pieceCells += covered.length;
+      if (usage && placement.piece !== SINGLE) usage[placement.piece]++;
+      placements.push(placement);
+    }
+  }
+
+  // Lowest cell first so the board still fills from the floor up
+  const bottom = ({ shape, oy }) => oy + Math.max(...shape.map(([, dy]) => dy));
+  placements.sort((a, b) => bottom(b) - bottom(a));
+
+  return { placements, total, pieceCells, coverage: total ? pieceCells / total : 1 };
+}
@@ -0,0 +1,368 @@
+// scripts/lib/timeline.js
+//
+// SMIL, evaluated: the value an animated attribute has at any moment, for
+// turning a renderer's SVG into frames. It covers what the renderers write:
+//
+//   <animate>           values / keyTimes, calcMode linear (numbers, number
+//                       lists like points, any CSS color) or discrete
+//   <set>               to, for dur
+//   <animateTransform>  replaces the transform attribute
+//   <animateMotion>     along a path (or an <mpath>), with keyPoints
+//
+// begin lists may mix plain offsets with `id.begin+Ns` / `id.repeatEvent+Ns`
+// (the tetris clock); repeatCount, fill="freeze" and later-begun animations
+// winning over earlier ones all behave as in a browser.
+import { parseColor } from "./colors.js";
+import { pathSubpaths } from "./svg-tree.js";
+
+const ANIMATIONS = new Set(["animate", "set", "animateTransform", "animateMotion"]);
+const NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+
+// "1.5s", "200ms", "3" -> seconds (null for anything else)
+function clockValue(text) {
+  const m = /^([-+]?(?:\d+\.?\d*|\.\d+))(ms|s)?$/.exec(text.trim());
+  if (!m) return null;
+  return m[2] === "ms" ? Number(m[1]) / 1000 : Number(m[1]);
+}
+
+// A color as the timeline writes it: #rrggbb when opaque, rgba() otherwise
+function colorText([r, g, b, a]) {
+  const rgb = [r, g, b].map((v) => Math.round(v));
+  if (a >= 1) return `#${rgb.map((v) => v.toString(16).padStart(2, "0")).join("")}`;
+  return `rgba(${rgb.join(", ")}, ${Math.round(a * 1000) / 1000})`;
+}
+
+// Between two values of one attribute; anything that isn't two colors or two
+// same-shaped number lists jumps at the end, like SMIL does
+function interpolate(a, b, f) {
+  if (f <= 0 || a === b) return a;
+  if (f >= 1) return b;
+  const ca = parseColor(a);
+  const cb = parseColor(b);
+  if (ca && cb) return colorText(ca.map((v, i) => v + (cb[i] - v) * f));
+  const na = a.match(NUMBER) ?? [];
+  const nb = b.match(NUMBER) ?? [];
+  if (!na.length || na.length !== nb.length) return a;
+  let i = 0;
+  return a.replace(NUMBER, () => {
+    const v = Number(na[i]) + (Number(nb[i]) - Number(na[i])) * f;
+    i++;
+    return String(Math.round(v * 1000) / 1000);
+  });
+}
+
+// Value of a values / keyTimes list at progress p (0..1)
+function sample(values, keyTimes, discrete, p) {
+  const n = values.length;
+  const times = keyTimes ?? values.map((_, i) => (discrete ? i / n : i / Math.max(1, n - 1)));
+  let i = 0;
+  while (i + 1 < n && times[i + 1] <= p) i++;
+  if (discrete || i + 1 >= n) return values[i];
+  const span = times[i + 1] - times[i];
+  return interpolate(values[i], values[i + 1], span > 0 ? (p - times[i]) / span : 1);
+}
+
+// Polyline through a path's points and a walker for "the point f of the way along"
+// (walk.corners: how far along each point is)
+function pathWalker(d) {
+  const points = pathSubpaths(d).flat();
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+  }
+  const total = lengths[lengths.length - 1];
+  const walk = (f) => {
+    const at = Math.max(0, Math.min(1, f)) * total;
+    let i = 1;
+    while (i < points.length - 1 && lengths[i] < at) i++;
+    const [a, b] = [points[i - 1], points[i]];
+    if (!b) return a ?? [0, 0];
+    const seg = lengths[i] - lengths[i - 1];
+    const k = seg > 0 ? (at - lengths[i - 1]) / seg : 0;
+    return [a[0] + (b[0] - a[0]) * k, a[1] + (b[1] - a[1]) * k];
+  };
+  walk.corners = total > 0 ? lengths.map((l) => l / total) : []; // fractions of the way at each point
+  return walk;
+}
+
+// { root, ids } from parseSvg. Returns:
+//   duration          seconds until the animation repeats (the longest
+//                     indefinitely repeating animation), or until the last
+//                     animation ends if nothing loops
+//   valueAt(node, name, t)  animated value of attribute `name`, or undefined
+//                     when no animation has a say at t (the attribute stands)
+//   motionAt(node, t) [dx, dy] an <animateMotion> moves the node by, or null
+//   attributesOf(node)  names of the node's animated attributes
+//   channel(node, ...names)  when attributes (or "#motion") change course, for
+//                     re-expressing the timeline another way: { start,
+//                     period, times(from, to) } — from `start` on it repeats
+//                     every `period` seconds (Infinity: it holds still), and
+//                     times() lists where in [from, to) it can bend or jump;
+//                     in between it is linear or steady
+export function compileTimeline({ root, ids }) {
+  const specs = [];
+  const walk = (node) => {
+    for (const child of node.children) {
+      if (ANIMATIONS.has(child.tag)) specs.push(compileAnimation(child, node, ids, specs.length));
+      else walk(child);
+    }
+  };
+  walk(root);
+
+  // Syncbase begins resolve against the animation they name
+  const byId = new Map(specs.filter((s) => s.id).map((s) => [s.id, s]));
+  for (const spec of specs) {
+    for (const item of spec.begins) {
+      if (item.ref !== undefined) item.base = byId.get(item.ref) ?? null;
+    }
+  }
+
+  const byTarget = new Map();
+  for (const spec of specs) {
+    const key = spec.tag === "animateMotion" ? "#motion" : spec.attr;
+    if (!byTarget.has(spec.target)) byTarget.set(spec.target, {});
+    (byTarget.get(spec.target)[key] ??= []).push(spec);
+  }
+
+  const winner = (list, t) => {
+    let best = null;
+    for (const spec of list) {
+      const state = stateAt(spec, t);
+      if (state && (!best || state.begin >= best.begin)) best = { ...state, spec };
+    }
+    return best;
+  };
+
+  const loops = specs.filter((s) => s.repeat === Infinity).map((s) => s.dur);
+  const duration = loops.length ? Math.max(...loops) : Math.max(0, ...specs.map((s) => firstBegin(s) + s.dur * s.repeat));
+
+  return {
+    duration,
+    valueAt(node, name, t) {
+      const list = byTarget.get(node)?.[name];
+      if (!list) return undefined;
+      const best = winner(list, t);
+      return best ? valueOf(best.spec, best.progress) : undefined;
+    },
+    motionAt(node, t) {
+      const list = byTarget.get(node)?.["#motion"];
+      if (!list) return null;
+      const best = winner(list, t);
+      return best ? best.spec.walk(keyPoint(best.spec, best.progress)) : null;
+    },
+    attributesOf(node) {
+      return Object.keys(byTarget.get(node) ?? {}).filter((name) => name !== "#motion");
+    },
+    channel(node, ...names) {
+      const list = names.flatMap((name) => byTarget.get(node)?.[name] ?? []);
+      const cycles = list.map(cycleOf);
+      const periods = cycles.map((c) => c.period).filter((p) => p < Infinity);
+      return {
+        start: Math.max(0, ...cycles.map((c) => c.start)),
+        period: periods.length ? commonPeriod(periods) : Infinity,
+        times: (from, to) => {
+          const times = list.flatMap((spec) => turnsBetween(spec, from, to));
+          return [...new Set(times)].sort((a, b) => a - b);
+        },
+      };
+    },
+  };
+}
+
+function compileAnimation(node, target, ids, order) {
+  const a = node.attrs;
+  const begins = (a.begin ?? "0s").split(";").map((item) => {
+    const offset = clockValue(item);
+    if (offset !== null) return { offset };
+    const m = /^\s*([\w-]+)\.(begin|repeatEvent)\s*(?:([-+])\s*([\d.]+(?:ms|s)?))?\s*$/.exec(item);
+    if (!m) throw new Error(`Unsupported begin "${item.trim()}"`);
+    const shift = m[4] ? clockValue(m[4]) * (m[3] === "-" ? -1 : 1) : 0;
+    return { ref: m[1], event: m[2], offset: shift };
+  });
+
+  const dur = clockValue(a.dur ?? "") ?? 0;
+  const repeat = a.repeatCount === "indefinite" ? Infinity : Number(a.repeatCount ?? 1);
+  const spec = {
+    tag: node.tag,
+    id: a.id,
+    target,
+    order,
+    attr: node.tag === "animateTransform" ? "transform" : a.attributeName,
+    begins,
+    dur,
+    repeat,
+    freeze: a.fill === "freeze",
+    discrete: a.calcMode === "discrete",
+    values: a.values?.split(";").map((v) => v.trim()) ?? [a.from, a.to].filter((v) => v !== undefined),
+    keyTimes: a.keyTimes?.split(";").map(Number) ?? null,
+    to: a.to,
+    type: a.type ?? "translate",
+  };
+
+  if (node.tag === "animateMotion") {
+    const mpath = node.children.find((c) => c.tag === "mpath");
+    const href = mpath && (mpath.attrs.href ?? mpath.attrs["xlink:href"]);
+    const d = href ? ids.get(href.slice(1))?.attrs.d : a.path;
+    if (d === undefined) throw new Error(`<animateMotion> has no path${href ? ` (${href} not found)` : ""}`);
+    spec.walk = pathWalker(d);
+    spec.corners = spec.walk.corners;
+    spec.keyPoints = a.keyPoints?.split(";").map(Number) ?? null;
+  }
+  return spec;
+}
+
+// Latest begin at or before t (null if none yet)
+function latestBegin(spec, t) {
+  let best = null;
+  for (const item of spec.begins) {
+    let at = null;
+    if (item.ref === undefined) {
+      at = item.offset;
+    } else if (item.base) {
+      const base = firstBegin(item.base);
+      if (item.event === "begin") {
+        at = base + item.offset;
+      } else if (item.base.dur > 0) {
+        // repeatEvent k (k >= 1) fires at base + k·dur
+        const last = Math.min(item.base.repeat - 1, Math.floor((t - item.offset - base) / item.base.dur));
+        if (last >= 1) at = base + last * item.base.dur + item.offset;
+      }
+    }
+    if (at !== null && at <= t && (best === null || at > best)) best = at;
+  }
+  return best;
+}
+
+function firstBegin(spec) {
+  const offsets = spec.begins.filter((b) => b.ref === undefined).map((b) => b.offset);
+  return offsets.length ? Math.min(...offsets) : 0;
+}
+
+// { begin, progress } while the animation has a say at t (active, or frozen
+// after its end); null before it begins or once it's removed
+function stateAt(spec, t) {
+  const begin = latestBegin(spec, t);
+  if (begin === null) return null;
+  const elapsed = t - begin;
+  const active = spec.dur * spec.repeat;
+  if (elapsed >= active) return spec.freeze ? { begin, progress: 1 } : null;
+  if (spec.tag === "set" || spec.dur <= 0) return { begin, progress: 0 };
+  return { begin, progress: (elapsed % spec.dur) / spec.dur };
+}
+
+function valueOf(spec, progress) {
+  if (spec.tag === "set") return spec.to;
+  const value = sample(spec.values, spec.keyTimes, spec.discrete, progress);
+  return spec.tag === "animateTransform" ? `${spec.type}(${value})` : value;
+}
+
+// How far along the path (0..1) motion is at progress; unrounded, unlike
+// attribute values, since a thousandth of a long path is several px
+function keyPoint(spec, progress) {
+  const points = spec.keyPoints;
+  if (!points) return progress;
+  const n = points.length;
+  const times = spec.keyTimes ?? points.map((_, i) => (spec.discrete ? i / n : i / Math.max(1, n - 1)));
+  let i = 0;
+  while (i + 1 < n && times[i + 1] <= progress) i++;
+  if (spec.discrete || i + 1 >= n) return points[i];
+  const span = times[i + 1] - times[i];
+  return points[i] + (points[i + 1] - points[i]) * (span > 0 ? (progress - times[i]) / span : 1);
+}
+
+// --------------------
+// Channels
+// --------------------
+// Every (re)start of the animation in [from, to), in time order
+function beginsBetween(spec, from, to) {
+  const out = [];
+  for (const item of spec.begins) {
+    if (item.ref === undefined) {
+      out.push(item.offset);
+    } else if (item.base) {
+      const base = firstBegin(item.base);
+      if (item.event === "begin") {
+        out.push(base + item.offset);
+      } else if (item.base.dur > 0) {
+        const first = Math.max(1, Math.floor((from - item.offset - base) / item.base.dur));
+        for (let k = first; k <= item.base.repeat - 1; k++) {
+          const at = base + k * item.base.dur + item.offset;
+          if (at >= to) break;
+          out.push(at);
+        }
+      }
+    }
+  }
+  return out.filter((at) => at < to).sort((a, b) => a - b);
+}
+
+// Progress points (0..1) inside one iteration where the value changes course
+function turnsOf(spec) {
+  if (spec.tag === "set") return [0];
+  const n = spec.values.length;
+  const times = spec.keyTimes ?? spec.values.map((_, i) => (spec.discrete ? i / n : i / Math.max(1, n - 1)));
+  if (!spec.corners) return [0, ...times, 1];
+  // Motion also turns at each corner of its path
+  const corners = [];
+  const points = spec.keyPoints ?? [0, 1];
+  const at = spec.keyPoints ? times : [0, 1];
+  for (let i = 0; i + 1 < points.length; i++) {
+    const [p0, p1] = [points[i], points[i + 1]];
+    for (const c of spec.corners) {
+      if (p1 !== p0 && (c - p0) * (c - p1) < 0) corners.push(at[i] + ((c - p0) / (p1 - p0)) * (at[i + 1] - at[i]));
+    }
+  }
+  return [0, ...times, ...corners, 1];
+}
+
+// Times in [from, to) where the animation can bend or jump
+function turnsBetween(spec, from, to) {
+  const out = [];
+  const turns = turnsOf(spec);
+  const begins = beginsBetween(spec, from, to);
+  begins.forEach((begin, i) => {
+    const until = Math.min(begins[i + 1] ?? Infinity, begin + spec.dur * spec.repeat, to);
+    out.push(begin, until);
+    if (!(spec.dur > 0)) return;
+    for (let k = Math.max(0, Math.floor((from - begin) / spec.dur)); begin + k * spec.dur < until; k++) {
+      for (const p of turns) out.push(begin + (k + p) * spec.dur);
+    }
+  });
+  return out.filter((t) => t >= from && t < to);
+}
+
+// { start, period }: from `start` on the animation's effect repeats every
+// `period` seconds (Infinity: from `start` on it no longer changes)
+function cycleOf(spec) {
+  const once = [];
+  let recur = null; // { first, every }: restarts on a looping animation's repeats
+  for (const item of spec.begins) {
+    if (item.ref === undefined) {
+      once.push(item.offset);
+    } else if (item.base) {
+      const base = firstBegin(item.base);
+      if (item.event === "begin") {
+        once.push(base + item.offset);
+      } else if (item.base.repeat === Infinity && item.base.dur > 0) {
+        recur = { first: base + item.base.dur + item.offset, every: item.base.dur };
+      } else if (item.base.repeat >= 2) {
+        once.push(base + (item.base.repeat - 1) * item.base.dur + item.offset);
+      }
+    }
+  }
+  const last = Math.max(0, ...once);
+  if (recur) {
+    // A plain begin one loop ahead of the restarts is just their first round
+    const aligned = once.every((at) => Math.abs(at - (recur.first - recur.every)) < 1e-9);
+    return { start: aligned && once.length ? once[0] : Math.max(recur.first, last), period: recur.every };
+  }
+  if (spec.repeat === Infinity && spec.dur > 0) return { start: last, period: spec.dur };
+  return { start: last + spec.dur * spec.repeat, period: Infinity };
+}
+
+// Shortest loop (to the millisecond) that several loop lengths all fit into
+function commonPeriod(periods) {
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  const ms = periods.map((p) => Math.round(p * 1000));
+  return ms.reduce((a, b) => (a / gcd(a, b)) * b) / 1000;
+}
@@ -0,0 +1,178 @@
+// scripts/renderers/breakout.js
+import { BALL_R, FIELD, PADDLE_W, playBreakout, TOP } from "../lib/breakout.js";
+import { looped } from "../lib/keyframes.js";
+import { levelLegend, monthLabels, statsLabel, weekdayLabels } from "../lib/labels.js";
+import { mulberry32 } from "../lib/rng.js";
+import { freezeSvg } from "../lib/snapshot.js";
+import { THEMES } from "../lib/themes.js";
+
+// --------------------
+// SVG render: ball on the paddle -> the simulated game -> the broken bricks
+// rebuild in date order while ball and paddle return to the middle -> LOOP
+// --------------------
+// Bricks are the contributed days; each hit flashes the brick and knocks it
+// down a level, the last one breaks it. The empty calendar stays underneath.
+export function renderSvg(
+  { levels, W, H, monthStarts, totalYear, last7, last30, seed },
+  { theme = THEMES["github-dark"], cell = 12, gap = 2, width: intrinsicW, snapshot = false } = {}
+) {
+  const leftLabelW = 34;
+  const topLabelH = 22;
+  const pad = 16;
+  const hudH = 46;
+
+  const pitch = cell + gap;
+  const paddleH = Math.max(3, Math.round(pitch * 0.4));
+  const fieldW = W * pitch - gap;
+  const fieldH = (TOP + H + FIELD) * pitch + paddleH + 4;
+  const width = pad * 2 + leftLabelW + fieldW;
+  const height = pad * 2 + topLabelH + fieldH + hudH;
+  const outW = intrinsicW ?? width;
+  const outH = Math.round((height / width) * outW);
+  const fieldX0 = pad + leftLabelW;
+  const fieldY0 = pad + topLabelH;
+  const gridY0 = fieldY0 + TOP * pitch;
+  const [sparkA, sparkB, sparkC] = theme.effects;
+
+  // Timing (seconds; long games play back faster)
+  const INTRO = 0.6; // ball waits on the paddle
+  const MAX_PLAY = 45;
+  const FLASH = 0.15; // a hit brick flashing down a level
+  const BREAK = 0.2; // a broken brick fading out
+  const SETTLE = 0.4;
+  const REBUILD = 1.5; // broken bricks return, first day to last
+  const REBUILD_DAY = 0.25;
+  const HOLD = 1.0;
+
+  const game = playBreakout(levels, { rng: mulberry32(seed) });
+  const k = Math.min(1, MAX_PLAY / Math.max(game.end, 1e-9));
+  const at = (t) => INTRO + t * k;
+  const playEnd = at(game.end);
+  const rebuildAt = playEnd + SETTLE;
+  const total = rebuildAt + REBUILD + REBUILD_DAY + HOLD;
+  const animate = looped(total);
+
+  const px = (x) => fieldX0 + x * pitch - gap / 2;
+  const py = (y) => fieldY0 + y * pitch - gap / 2;
+  const color = (level) => theme.levels[level];
+
+  // --- Calendar underneath ---
+  let cells = "";
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      cells += `<rect x="${fieldX0 + x * pitch}" y="${gridY0 + y * pitch}" width="${cell}" height="${cell}" rx="2" ry="2" fill="${color(0)}" />\n`;
+    }
+  }
+
+  // --- Bricks ---
+  const hitsOf = game.bricks.map(() => []);
+  for (const hit of game.hits) hitsOf[hit.brick].push(hit);
+
+  let bricks = "";
+  game.bricks.forEach(({ x, y, hp }, i) => {
+    const rect = `x="${fieldX0 + x * pitch}" y="${gridY0 + y * pitch}" width="${cell}" height="${cell}" rx="2" ry="2"`;
+    const hits = hitsOf[i];
+    if (!hits.length) {
+      bricks += `<rect ${rect} fill="${color(hp)}" />\n`;
+      return;
+    }
+
+    const back = rebuildAt + (REBUILD * (x * H + y)) / (W * H);
+    const fill = [];
+    let level = hp;
+    hits.forEach((hit, j) => {
+      // A quick rattle can land the next hit before this flash is over
+      const t = at(hit.t);
+      const next = j + 1 < hits.length ? at(hits[j + 1].t) : Infinity;
+      fill.push([t, color(level)], [Math.min(t + 0.02, next), sparkC]);
+      if (hit.hp > 0) fill.push([Math.min(t + FLASH, next), color(hit.hp)]);
+      level = hit.hp;
+    });
+    const last = at(hits[hits.length - 1].t);
+    let opacity = "";
+    if (level > 0) {
+      fill.push([back, color(level)], [back + REBUILD_DAY, color(hp)]);
+    } else {
+      fill.push([back, color(hp)]);
+      opacity = animate("opacity", [[last + 0.02, 1], [last + BREAK, 0], [back, 0], [back + REBUILD_DAY, 1]]);
+    }
+    bricks += `<rect ${rect} fill="${color(hp)}">
+    ${animate("fill", fill)}
+    ${opacity}
+  </rect>\n`;
+  });
+
+  // --- Paddle and ball: back to the middle during the rebuild ---
+  const home = W / 2;
+  const paddleY = py(TOP + H + FIELD);
+  const paddleHome = px(home - PADDLE_W / 2).toFixed(1);
+  const paddleX = [[0, paddleHome], ...game.contacts.map(({ t, paddle }) => [at(t), px(paddle - PADDLE_W / 2).toFixed(1)])];
+  paddleX.push([total - HOLD, paddleHome]);
+  const ballFrames = game.path.map(({ t, x, y }) => [at(t), px(x), py(y)]);
+  ballFrames.push([total - HOLD, px(home), py(TOP + H + FIELD - BALL_R)]);
+
+  const paddle = `<rect x="${paddleHome}" y="${paddleY}" width="${PADDLE_W * pitch}" height="${paddleH}" rx="${paddleH / 2}"
+        fill="${sparkB}">
+    ${game.contacts.length ? animate("x", paddleX) : ""}
+  </rect>`;
+  const ball = `<circle cx="${px(home)}" cy="${py(TOP + H + FIELD - BALL_R)}" r="${(BALL_R * pitch).toFixed(1)}" fill="${sparkA}" filter="url(#softGlow)">
+    ${animate("cx", ballFrames.map(([t, x]) => [t, x.toFixed(1)]))}
+    ${animate("cy", ballFrames.map(([t, , y]) => [t, y.toFixed(1)]))}
+  </circle>`;
+
+  const broken = game.bricks.filter((_, i) => hitsOf[i].length && hitsOf[i][hitsOf[i].length - 1].hp === 0).length;
+  const legendY = fieldY0 + fieldH + 26;
+  const months = monthLabels({ monthStarts, gridX0: fieldX0, pitch, y: pad + 14, fill: theme.label });
+  const weekdays = weekdayLabels({ x: fieldX0 - 6, gridY0, pitch, cell, fill: theme.label });
+  const stats = statsLabel({
+    x: fieldX0,
+    y: legendY + 2,
+    fill: theme.text,
+    totalYear,
+    last7,
+    last30,
+    extra: `breakout: ${broken}/${game.bricks.length} bricks • ${game.hits.length} hits`,
+  });
+  const legend = levelLegend({
+    xRight: fieldX0 + fieldW,
+    y: legendY + 2,
+    cell,
+    levels: theme.levels,
+    stroke: theme.cellStroke,
+    fill: theme.label,
+  });
+
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${outW}" height="${outH}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <filter id="softGlow" x="-100%" y="-100%" width="300%" height="300%">
+      <feGaussianBlur stdDeviation="1.4" result="blur"/>
+      <feMerge>
+        <feMergeNode in="blur"/>
+        <feMergeNode in="SourceGraphic"/>
+      </feMerge>
+    </filter>
+
+    <linearGradient id="bgGrad" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${theme.background[0]}"/>
+      <stop offset="100%" stop-color="${theme.background[1]}"/>
+    </linearGradient>
+  </defs>
+
+  <rect x="0" y="0" width="${width}" height="${height}" rx="12" fill="url(#bgGrad)" stroke="${theme.border}" />
+  <rect x="${fieldX0 - gap / 2 - 2}" y="${fieldY0 - gap / 2 - 2}" width="${fieldW + gap + 4}" height="${fieldH}" rx="6"
+        fill="none" stroke="${theme.border}" />
+
+  ${months}
+  ${weekdays}
+  <g>${cells}</g>
+  <g>${bricks}</g>
+  ${paddle}
+  ${ball}
+
+  ${stats}
+  ${legend}
+</svg>`;
+  // Still: the wall rebuilt and the paddle home
+  return snapshot ? freezeSvg(svg, total - HOLD) : svg;
+}
@@ -0,0 +1,67 @@
+// scripts/renderers/heatmap.js
+import { levelLegend, statsLabel } from "../lib/labels.js";
+import { calendarLayout, LAYOUTS } from "../lib/layout.js";
+import { THEMES } from "../lib/themes.js";
+
+export { LAYOUTS };
+
+// --------------------
+// SVG render: the contribution calendar itself, no animation
+// --------------------
+// The plain heatmap in any layout: the GitHub grid, or the year as a ring or
+// a spiral for a square badge.
+export function renderSvg(
+  { levels, W, H, monthStarts, totalYear, last7, last30 },
+  { theme = THEMES["github-dark"], cell = 12, gap = 2, width: intrinsicW, layout = "grid" } = {}
+) {
+  const pad = 16;
+  // A radial board is too narrow for the stats line beside the legend: it
+  // goes on a row of its own underneath, with as much room again split either
+  // side so the badge stays square
+  const statsRow = layout === "grid" ? 0 : 18;
+  const hudH = 46 + statsRow;
+  const inset = layout === "grid" ? 0 : hudH / 2;
+
+  const board = calendarLayout(layout, { W, H, cell, gap, x0: pad + inset, y0: pad });
+  const width = pad * 2 + inset * 2 + board.width;
+  const height = pad * 2 + board.height + hudH;
+  const outW = intrinsicW ?? width;
+  const outH = Math.round((height / width) * outW);
+
+  let cells = "";
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      cells += `<rect ${board.rect(x, y)} rx="2" ry="2" fill="${theme.levels[levels[y][x]]}" />\n`;
+    }
+  }
+
+  const { cells: box } = board;
+  const legendY = pad + board.height + 26;
+  const stats = statsLabel({ x: box.x, y: legendY + 2 + statsRow, fill: theme.text, totalYear, last7, last30 });
+  const legend = levelLegend({
+    xRight: box.x + box.width,
+    y: legendY + 2,
+    cell,
+    levels: theme.levels,
+    stroke: theme.cellStroke,
+    fill: theme.label,
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${outW}" height="${outH}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="bgGrad" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${theme.background[0]}"/>
+      <stop offset="100%" stop-color="${theme.background[1]}"/>
+    </linearGradient>
+  </defs>
+
+  <rect x="0" y="0" width="${width}" height="${height}" rx="12" fill="url(#bgGrad)" stroke="${theme.border}" />
+
+  ${board.labels({ monthStarts, fill: theme.label })}
+  <g>${cells}</g>
+
+  ${stats}
+  ${legend}
+</svg>`;
+}
@@ -0,0 +1,13 @@
+// scripts/renderers/index.js
+import * as breakout from "./breakout.js";
+import * as heatmap from "./heatmap.js";
+import * as life from "./life.js";
+import * as minesweeper from "./minesweeper.js";
+import * as rows from "./rows.js";
+import * as skyline from "./skyline.js";
+import * as snake from "./snake.js";
+import * as stars from "./stars.js";
+import * as tetris from "./tetris.js";
+
+// --style name -> renderer module ({ renderSvg })
+export const STYLES = { tetris, rows, stars, minesweeper, snake, life, breakout, skyline, heatmap };
@@ -0,0 +1,121 @@
+// scripts/renderers/life.js
+import { looped } from "../lib/keyframes.js";
+import { levelLegend, monthLabels, statsLabel, weekdayLabels } from "../lib/labels.js";
+import { DEFAULT_GENERATIONS, lifeGenerations } from "../lib/life.js";
+import { freezeSvg } from "../lib/snapshot.js";
+import { THEMES } from "../lib/themes.js";
+
+// --------------------
+// SVG render: the real heatmap -> Life generations -> fade back to the real
+// heatmap -> LOOP
+// --------------------
+// Each cell is one rect whose fill steps through its levels, crossfading at
+// every generation it changes in, so unchanged stretches cost nothing.
+export function renderSvg(
+  { levels, W, H, monthStarts, totalYear, last7, last30 },
+  {
+    theme = THEMES["github-dark"],
+    cell = 12,
+    gap = 2,
+    width: intrinsicW,
+    generations = DEFAULT_GENERATIONS,
+    edges = "bounded",
+    snapshot = false,
+  } = {}
+) {
+  const leftLabelW = 34;
+  const topLabelH = 22;
+  const pad = 16;
+  const hudH = 46;
+
+  const pitch = cell + gap;
+  const gridW = W * pitch - gap;
+  const gridH = H * pitch - gap;
+  const width = pad * 2 + leftLabelW + gridW;
+  const height = pad * 2 + topLabelH + gridH + hudH;
+  const outW = intrinsicW ?? width;
+  const outH = Math.round((height / width) * outW);
+  const gridX0 = pad + leftLabelW;
+  const gridY0 = pad + topLabelH;
+
+  // Timing (seconds)
+  const INTRO = 1.5; // the real heatmap before generation 1
+  const GEN = 0.4; // one generation
+  const FADE = 0.2; // a cell changing within its generation
+  const PAUSE = 0.8; // last generation holds
+  const RETURN = 1.2; // fade back to the real heatmap
+  const HOLD = 0.6;
+
+  const history = lifeGenerations(levels, { generations, edges });
+  const lifeEnd = INTRO + generations * GEN;
+  const back = lifeEnd + PAUSE;
+  const total = back + RETURN + HOLD;
+  const animate = looped(total);
+  const color = (level) => theme.levels[level];
+
+  let cells = "";
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      const rect = `x="${gridX0 + x * pitch}" y="${gridY0 + y * pitch}" width="${cell}" height="${cell}" rx="2" ry="2"`;
+      const frames = [];
+      for (let g = 1; g <= generations; g++) {
+        const was = history[g - 1][y][x];
+        const now = history[g][y][x];
+        if (now === was) continue;
+        const t = INTRO + g * GEN;
+        frames.push([t - FADE, color(was)], [t, color(now)]);
+      }
+      const last = history[generations][y][x];
+      if (last !== levels[y][x]) frames.push([back, color(last)], [back + RETURN, color(levels[y][x])]);
+
+      cells += frames.length
+        ? `<rect ${rect} fill="${color(levels[y][x])}">
+    ${animate("fill", frames)}
+  </rect>\n`
+        : `<rect ${rect} fill="${color(levels[y][x])}" />\n`;
+    }
+  }
+
+  const alive = history[generations].flat().filter(Boolean).length;
+  const legendY = gridY0 + gridH + 26;
+  const months = monthLabels({ monthStarts, gridX0, pitch, y: pad + 14, fill: theme.label });
+  const weekdays = weekdayLabels({ x: gridX0 - 6, gridY0, pitch, cell, fill: theme.label });
+  const stats = statsLabel({
+    x: gridX0,
+    y: legendY + 2,
+    fill: theme.text,
+    totalYear,
+    last7,
+    last30,
+    extra: `life: ${generations} generations, ${edges} • ${alive} alive at the end`,
+  });
+  const legend = levelLegend({
+    xRight: gridX0 + gridW,
+    y: legendY + 2,
+    cell,
+    levels: theme.levels,
+    stroke: theme.cellStroke,
+    fill: theme.label,
+  });
+
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${outW}" height="${outH}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="bgGrad" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${theme.background[0]}"/>
+      <stop offset="100%" stop-color="${theme.background[1]}"/>
+    </linearGradient>
+  </defs>
+
+  <rect x="0" y="0" width="${width}" height="${height}" rx="12" fill="url(#bgGrad)" stroke="${theme.border}" />
+
+  ${months}
+  ${weekdays}
+  <g>${cells}</g>
+
+  ${stats}
+  ${legend}
+</svg>`;
+  // Still: back on the real heatmap
+  return snapshot ? freezeSvg(svg, total - HOLD) : svg;
+}
@@ -0,0 +1,427 @@
+// scripts/renderers/minesweeper.js
+import { looped } from "../lib/keyframes.js";
+import { levelLegend, monthLabels, statsLabel, weekdayLabels } from "../lib/labels.js";
+import { mineBoard, solveBoard } from "../lib/mines.js";
+import { mulberry32 } from "../lib/rng.js";
+import { freezeSvg } from "../lib/snapshot.js";
+import { THEMES } from "../lib/themes.js";
+
+// sweep: a cursor snakes down the columns, dwelling and popping on active days
+// game:  empty days are mines; a seeded solver opens, flags and clears the board
+export const MODES = ["sweep", "game"];
+
+export function renderSvg(heatmap, { mode = "sweep", ...options } = {}) {
+  return mode === "game" ? renderGame(heatmap, options) : renderSweep(heatmap, options);
+}
+
+// --------------------
+// Shared layout + chrome
+// --------------------
+// Same calendar frame as the other styles: weekday labels on the left, months
+// on top, legend and stats line underneath.
+function layout({ W, H }, { cell, gap, intrinsicW }) {
+  const leftLabelW = 34;
+  const topLabelH = 22;
+  const pad = 16;
+  const hudH = 46;
+
+  const pitch = cell + gap;
+  const gridW = W * pitch - gap;
+  const gridH = H * pitch - gap;
+  const width = pad * 2 + leftLabelW + gridW;
+  const height = pad * 2 + topLabelH + gridH + hudH;
+  const outW = intrinsicW ?? width;
+
+  return {
+    pad,
+    pitch,
+    gridW,
+    gridH,
+    gridX0: pad + leftLabelW,
+    gridY0: pad + topLabelH,
+    width,
+    height,
+    outW,
+    outH: Math.round((height / width) * outW),
+  };
+}
+
+// Canvas, frame, labels, legend and stats (with a mode-specific `extra`) around `body`
+function minesDocument({ monthStarts, totalYear, last7, last30 }, L, { theme, cell, extra }, body) {
+  const { pad, pitch, gridX0, gridY0, gridW, gridH, width, height, outW, outH } = L;
+  const legendY = gridY0 + gridH + 26;
+
+  const months = monthLabels({ monthStarts, gridX0, pitch, y: pad + 14, fill: theme.label });
+  const weekdays = weekdayLabels({ x: gridX0 - 6, gridY0, pitch, cell, fill: theme.label });
+  const stats = statsLabel({ x: gridX0, y: legendY + 2, fill: theme.text, totalYear, last7, last30, extra });
+  const legend = levelLegend({
+    xRight: gridX0 + gridW,
+    y: legendY + 2,
+    cell,
+    levels: theme.levels,
+    stroke: theme.cellStroke,
+    fill: theme.label,
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${outW}" height="${outH}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <filter id="softGlow" x="-40%" y="-40%" width="180%" height="180%">
+      <feGaussianBlur stdDeviation="2.2" result="blur"/>
+      <feMerge>
+        <feMergeNode in="blur"/>
+        <feMergeNode in="SourceGraphic"/>
+      </feMerge>
+    </filter>
+
+    <linearGradient id="bgGrad" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${theme.background[0]}"/>
+      <stop offset="100%" stop-color="${theme.background[1]}"/>
+    </linearGradient>
+  </defs>
+
+  <rect x="0" y="0" width="${width}" height="${height}" rx="12" fill="url(#bgGrad)" stroke="${theme.border}" />
+
+  ${months}
+  ${weekdays}
+${body}
+
+  ${stats}
+  ${legend}
+</svg>`;
+}
+
+function cellRects(levels, L, { theme, cell }) {
+  let out = "";
+  levels.forEach((row, y) =>
+    row.forEach((lvl, x) => {
+      const px = L.gridX0 + x * L.pitch;
+      const py = L.gridY0 + y * L.pitch;
+      out += `<rect x="${px}" y="${py}" width="${cell}" height="${cell}" rx="2" ry="2" fill="${theme.levels[lvl]}" />\n`;
+    })
+  );
+  return out;
+}
+
+// --------------------
+// Sweep mode
+// --------------------
+// The cursor visits only contributed days, in column-snake order: it dwells
+// longer and pops bigger the busier the day, and glides across a stretch of
+// empty days in one dimmed move instead of stepping through them.
+function renderSweep(heatmap, { theme = THEMES["github-dark"], cell = 11, gap = 2, width: intrinsicW, snapshot = false } = {}) {
+  const { levels, W, H } = heatmap;
+  const L = layout(heatmap, { cell, gap, intrinsicW });
+  const [sparkA, sparkB, sparkC] = theme.effects;
+
+  // Timing (seconds; the path is compressed when the year is busy)
+  const INTRO = 0.3; // cursor fades in
+  const HOP = 0.06; // glide to the neighbouring day
+  const DWELL = [0, 0.05, 0.1, 0.18, 0.28]; // pause on a day, by level
+  const SKIP_PER_DAY = 0.015; // crossing empty days
+  const MAX_SKIP = 0.4;
+  const DIM = 0.3; // cursor opacity mid-skip
+  const MAX_SWEEP = 16;
+  const POP_DUR = 0.55;
+  const OUTRO = 1.2; // last pop settles, cursor fades, loop restarts
+
+  // Sweep order (snakey columns), contributed days only
+  const stops = [];
+  let t = INTRO;
+  let skipped = 0;
+  for (let c = 0; c < W; c++) {
+    for (let i = 0; i < H; i++) {
+      const r = c % 2 === 0 ? i : H - 1 - i;
+      const lvl = levels[r][c];
+      if (!lvl) {
+        skipped++;
+        continue;
+      }
+      if (stops.length) t += skipped ? Math.min(MAX_SKIP, HOP + skipped * SKIP_PER_DAY) : HOP;
+      stops.push({ c, r, lvl, at: t, leave: t + DWELL[lvl], skipped: stops.length > 0 && skipped > 0 });
+      t += DWELL[lvl];
+      skipped = 0;
+    }
+  }
+  const k = Math.min(1, MAX_SWEEP / Math.max(t - INTRO, 1e-9));
+  for (const stop of stops) {
+    stop.at = INTRO + (stop.at - INTRO) * k;
+    stop.leave = INTRO + (stop.leave - INTRO) * k;
+  }
+  const total = stops.length ? stops[stops.length - 1].leave + OUTRO : 4;
+  const animate = looped(total);
+  const center = ({ c, r }) => [L.gridX0 + c * L.pitch + cell / 2, L.gridY0 + r * L.pitch + cell / 2];
+
+  // --- Cursor: hold on each stop, glide between, dim across empty stretches ---
+  let cursor = "";
+  if (stops.length) {
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+    const gone = last.leave + 0.4;
+    const place = [];
+    const fade = [
+      [0, 0],
+      [INTRO, 1],
+    ];
+    stops.forEach((stop, i) => {
+      place.push([stop.at, center(stop)], [stop.leave, center(stop)]);
+      if (stop.skipped) {
+        const from = stops[i - 1].leave;
+        fade.push([from, 1], [(from + stop.at) / 2, DIM], [stop.at, 1]);
+      }
+    });
+    place.push([gone, center(last)], [total, center(first)]);
+    fade.push([last.leave, 1], [gone, 0]);
+
+    const track = `
+      ${animate("cx", place.map(([s, [x]]) => [s, x]))}
+      ${animate("cy", place.map(([s, [, y]]) => [s, y]))}`;
+    cursor = `
+  <g filter="url(#softGlow)" opacity="0">
+    ${animate("opacity", fade)}
+    <circle r="4" fill="${sparkB}">${track}
+    </circle>
+    <circle r="9" fill="${sparkB}" opacity="0.15">${track}
+      <animate attributeName="r" values="7;10;7" dur="1.2s" repeatCount="indefinite" />
+    </circle>
+  </g>`;
+  }
+
+  // --- Pops: radius by level, rays on the busiest days ---
+  const pops = stops
+    .map((stop) => {
+      const [x, y] = center(stop);
+      const { at, lvl } = stop;
+      const peak = at + POP_DUR / 2;
+      const end = at + POP_DUR;
+      const pulse = [
+        [at, 0],
+        [peak, 1],
+        [end, 0],
+      ];
+
+      const rays =
+        lvl < 3
+          ? ""
+          : [0, 60, 120, 180, 240, 300]
+              .map((deg) => {
+                const rad = (deg * Math.PI) / 180;
+                const x2 = x + Math.cos(rad) * (2 + 2 * lvl);
+                const y2 = y + Math.sin(rad) * (2 + 2 * lvl);
+                return `<line x1="${x}" y1="${y}" x2="${x2.toFixed(2)}" y2="${y2.toFixed(2)}" stroke="${sparkC}" stroke-width="1" />`;
+              })
+              .join("");
+
+      return `<g opacity="0">
+  ${animate("opacity", pulse)}
+  <circle cx="${x}" cy="${y}" r="0">
+    ${animate("r", pulse.map(([s, v]) => [s, v * (1.5 + lvl)]))}
+    ${animate("fill", [[at, sparkA], [peak, sparkB], [end, sparkC]])}
+  </circle>
+  <circle cx="${x}" cy="${y}" r="0" fill="${sparkB}" opacity="0.9">
+    ${animate("r", pulse.map(([s, v]) => [s, v * (0.8 + 0.4 * lvl)]))}
+  </circle>
+  ${rays}
+</g>`;
+    })
+    .join("\n");
+
+  const svg = minesDocument(heatmap, L, { theme, cell, extra: `sweep: ${stops.length} active days` }, `
+  <g>${cellRects(levels, L, { theme, cell })}</g>
+  ${cursor}
+
+  <g filter="url(#softGlow)">${pops}</g>`);
+  // Still: the calendar before the cursor comes in
+  return snapshot ? freezeSvg(svg, 0) : svg;
+}
+
+// --------------------
+// Game mode
+// --------------------
+// The board never changes under the player, so the seeded solver's games are
+// the whole loop: covered board, the solver's clicks (flood fills ripple out
+// from the click), flags on every mine, then the covers lift off the mines and
+// the finished heatmap holds before the next round. A guess that hits a mine
+// bursts, holds a moment and the board covers up again for the next game; if
+// the last game is lost too, the covers lift off everything all the same.
+function renderGame(heatmap, { theme = THEMES["github-dark"], cell = 11, gap = 2, width: intrinsicW, snapshot = false } = {}) {
+  const { grid, levels, dates, W, H, seed } = heatmap;
+  const L = layout(heatmap, { cell, gap, intrinsicW });
+  const [sparkA, sparkB, sparkC] = theme.effects;
+
+  // Timing (seconds; play is compressed when the game runs long)
+  const INTRO = 0.6; // covered board before the first click
+  const CLICK = 0.1;
+  const WAVE = 0.035; // per flood-fill step
+  const REVEAL = 0.15; // a cover fading off
+  const MAX_PLAY = 30;
+  const WIN_FADE = 0.4;
+  const HOLD = 3;
+  const LOSS = 1.2; // a lost game: burst, then the board covers up again
+
+  const board = mineBoard(grid, dates);
+  const { moves, guesses, losses } = solveBoard(board, { rng: mulberry32(seed) });
+  const center = (x, y) => [L.gridX0 + x * L.pitch + cell / 2, L.gridY0 + y * L.pitch + cell / 2];
+
+  // Natural schedule: travel to the cell, click, let the fill ripple out
+  const travel = (from, to) => Math.min(0.3, 0.05 + 0.02 * (Math.abs(from.x - to.x) + Math.abs(from.y - to.y)));
+  let t = 0;
+  let last = { x: 0, y: Math.floor(H / 2) };
+  let playEnd = 0;
+  const natural = moves.map((move) => {
+    t += travel(last, move);
+    const at = t;
+    t += CLICK;
+    last = move;
+    const ripple = move.kind === "open" ? Math.max(...move.cells.map((c) => c.depth)) * WAVE : 0;
+    playEnd = Math.max(playEnd, at + ripple + REVEAL);
+    return at;
+  });
+  const k = Math.min(1, MAX_PLAY / Math.max(playEnd, 1e-9));
+
+  // Games: the moves up to each loss, which adds its pause (not compressed)
+  const games = [{ from: 0 }];
+  const lostBefore = moves.map((move, i) => {
+    if (move.kind === "boom") games.push({ from: i + 1 });
+    return games.length - 1 - (move.kind === "boom" ? 1 : 0);
+  });
+  const at = (i) => INTRO + natural[i] * k + lostBefore[i] * LOSS;
+  const winAt = INTRO + playEnd * k + losses * LOSS + 0.2;
+  games.forEach((game, g) => {
+    const last = g === games.length - 1;
+    game.to = last ? moves.length : games[g + 1].from;
+    // The board covers up again just before the next game's first move
+    game.end = last ? winAt : at(game.to - 1) + LOSS - REVEAL - 0.1;
+    game.revealAt = board.mines.map((row) => row.map(() => null));
+  });
+  const total = winAt + WIN_FADE + HOLD;
+  const animate = looped(total);
+
+  const visible = (from, to, fade = 0.1) => [
+    [from, 0],
+    [from + fade, 1],
+    [to, 1],
+    [to + fade, 0],
+  ];
+
+  // Uncover times per game (mines stay covered until the end, bar a boom)
+  for (const game of games) {
+    for (let i = game.from; i < game.to; i++) {
+      const move = moves[i];
+      if (move.kind === "boom") game.revealAt[move.y][move.x] = at(i);
+      if (move.kind !== "open") continue;
+      for (const c of move.cells) game.revealAt[c.y][c.x] = at(i) + c.depth * WAVE * k;
+    }
+  }
+  const coverFrames = (x, y) => {
+    const frames = [];
+    games.forEach((game, g) => {
+      const last = g === games.length - 1;
+      const r = game.revealAt[y][x] ?? (last ? winAt : null);
+      if (r === null) return;
+      const off = r + (last && board.mines[y][x] ? WIN_FADE : REVEAL);
+      frames.push([r, 1], [off, 0]);
+      if (!last) frames.push([Math.max(off, game.end), 0], [Math.max(off, game.end) + REVEAL, 1]);
+    });
+    return frames;
+  };
+  const gameOf = (i) => games.find((game) => i >= game.from && i < game.to);
+
+  // --- Finished board: heatmap + numbers, under the covers ---
+  let numbers = "";
+  let covers = "";
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      if (!board.inPlay[y][x]) continue;
+
+      const n = board.numbers[y][x];
+      if (!board.mines[y][x] && n > 0) {
+        const [cx, cy] = center(x, y);
+        numbers += `<text x="${cx}" y="${(cy + cell * 0.32).toFixed(1)}" fill="${theme.text}" stroke="${theme.cellStroke}"
+                stroke-width="2" paint-order="stroke" font-size="${Math.round(cell * 0.8)}" font-weight="700"
+                text-anchor="middle" font-family="ui-monospace, SFMono-Regular, Menlo, monospace">${n}</text>`;
+      }
+
+      covers += `
+  <rect x="${L.gridX0 + x * L.pitch}" y="${L.gridY0 + y * L.pitch}" width="${cell}" height="${cell}" rx="2" ry="2"
+        fill="${theme.border}" stroke="${theme.cellStroke}">
+    ${animate("opacity", coverFrames(x, y))}
+  </rect>`;
+    }
+  }
+
+  // --- Flags, click rings and the cursor ---
+  let flags = "";
+  let rings = "";
+  const path = [];
+  let prev = { x: 0, y: Math.floor(H / 2) };
+  moves.forEach((move, i) => {
+    const [cx, cy] = center(move.x, move.y);
+    const t0 = at(i);
+    path.push([i ? at(i - 1) + CLICK * k : INTRO, center(prev.x, prev.y)], [t0, [cx, cy]]);
+    prev = move;
+
+    if (move.kind === "flag") {
+      const f = (v) => v.toFixed(1);
+      const pole = f(cx - cell * 0.25);
+      const top = cy - cell * 0.35;
+      flags += `
+  <g opacity="0">
+    ${animate("opacity", visible(t0, gameOf(i).end, 0.08))}
+    <line x1="${pole}" y1="${f(top)}" x2="${pole}" y2="${f(cy + cell * 0.35)}" stroke="${theme.text}" stroke-width="1" />
+    <polygon points="${pole},${f(top)} ${f(cx + cell * 0.3)},${f(top + cell * 0.18)} ${pole},${f(top + cell * 0.36)}"
+             fill="${sparkC}" />
+  </g>`;
+      return;
+    }
+
+    if (move.kind === "boom") {
+      rings += `
+  <circle cx="${cx}" cy="${cy}" r="2" fill="${sparkC}" opacity="0">
+    ${animate("opacity", [[t0, 0], [t0 + 0.01, 0.9], [t0 + 0.6, 0]])}
+    ${animate("r", [[t0, 2], [t0 + 0.6, cell * 2]])}
+  </circle>`;
+      return;
+    }
+
+    // Guesses ring in the flash color, deduced clicks in the accent
+    rings += `
+  <circle cx="${cx}" cy="${cy}" r="2" fill="none" stroke="${move.guess ? theme.flash : sparkA}" stroke-width="1.5" opacity="0">
+    ${animate("opacity", [[t0, 0], [t0 + 0.01, 1], [t0 + 0.4, 0]])}
+    ${animate("r", [[t0, 2], [t0 + 0.4, cell]])}
+  </circle>`;
+  });
+
+  let cursor = "";
+  if (path.length) {
+    const xs = path.map(([s, [x]]) => [s, x.toFixed(1)]);
+    const ys = path.map(([s, [, y]]) => [s, y.toFixed(1)]);
+    const track = `
+      ${animate("cx", xs)}
+      ${animate("cy", ys)}`;
+    cursor = `
+  <g filter="url(#softGlow)">
+    ${animate("opacity", [[winAt, 1], [winAt + WIN_FADE, 0], [total - 0.01, 0], [total, 1]])}
+    <circle r="4" fill="${sparkB}">${track}
+    </circle>
+    <circle r="9" fill="${sparkB}" opacity="0.15">${track}
+      <animate attributeName="r" values="7;10;7" dur="1.2s" repeatCount="indefinite" />
+    </circle>
+  </g>`;
+  }
+
+  const mineCount = board.mines.flat().filter(Boolean).length;
+  const lost = losses ? ` • ${losses} lost` : "";
+  const extra = `${mineCount} mines • ${guesses} ${guesses === 1 ? "guess" : "guesses"}${lost}`;
+  const svg = minesDocument(heatmap, L, { theme, cell, extra }, `
+  <g>${cellRects(levels, L, { theme, cell })}${numbers}</g>
+  <g>${covers}
+  </g>
+  <g>${flags}
+  </g>
+  <g>${rings}
+  </g>
+  ${cursor}`);
+  // Still: the solved board, flags gone
+  return snapshot ? freezeSvg(svg, winAt + WIN_FADE) : svg;
+}
@@ -0,0 +1,255 @@
+// scripts/renderers/rows.js
+import { levelLegend, statsLabel } from "../lib/labels.js";
+import { calendarLayout, LAYOUTS } from "../lib/layout.js";
+import { clamp, mulberry32, shuffle } from "../lib/rng.js";
+import { freezeSvg } from "../lib/snapshot.js";
+import { THEMES } from "../lib/themes.js";
+
+export { LAYOUTS };
+
+// --------------------
+// SVG render: blank -> build rows bottom-to-top -> flash -> reset -> LOOP FOREVER
+// (No event-based SMIL; everything uses repeatCount="indefinite")
+// --------------------
+export function renderSvg(
+  { grid, levels, W, H, monthStarts, totalYear, last7, last30, seed },
+  { theme = THEMES["github-dark"], cell = 12, gap = 2, width: INTRINSIC_W = 900, layout = "grid", snapshot = false } = {}
+) {
+
+  const pad = 16;
+  const statsRow = layout === "grid" ? 0 : 18; // radial: stats under the legend
+  const hudH = 46 + statsRow; // legend + stats
+  const inset = layout === "grid" ? 0 : hudH / 2; // radial: room either side to stay square
+
+  // Month + weekday labels and every cell position come from the layout
+  const board = calendarLayout(layout, { W, H, cell, gap, x0: pad + inset, y0: pad });
+
+  const width = pad * 2 + inset * 2 + board.width;
+  const height = pad * 2 + board.height + hudH;
+
+  const INTRINSIC_H = Math.round((height / width) * INTRINSIC_W);
+
+  // --- Timing model (per cycle) ---
+  const ROW_DUR = 0.75;        // seconds per row
+  const STAGGER = 0.02;        // spacing between blocks within the row
+  const FALL_DUR = 0.55;       // fall time for each 1×1 block
+  const FINISH_FLASH = 2.0;    // flash at end
+  const RESET_FADE = 0.35;     // quick fade to blank
+
+  const buildStart = 0.0;
+  const buildEnd = buildStart + H * ROW_DUR;
+  const finishStart = buildEnd + 0.2;
+  const finishEnd = finishStart + FINISH_FLASH;
+  const cycleDur = finishEnd + RESET_FADE;
+
+  const rng = mulberry32(seed);
+
+  const defs = `
+  <defs>
+    <filter id="neonGlow" x="-60%" y="-60%" width="220%" height="220%">
+      <feGaussianBlur stdDeviation="1.6" result="blur"/>
+      <feMerge>
+        <feMergeNode in="blur"/>
+        <feMergeNode in="SourceGraphic"/>
+      </feMerge>
+    </filter>
+
+    <linearGradient id="bgGrad" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${theme.background[0]}"/>
+      <stop offset="100%" stop-color="${theme.background[1]}"/>
+    </linearGradient>
+  </defs>
+  `;
+
+  // --- Month + weekday labels ---
+  const labels = board.labels({ monthStarts, fill: theme.label });
+
+  // --- Base empty grid (always visible) ---
+  let baseGrid = "";
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      baseGrid += `
+        <rect ${board.rect(x, y)} rx="3"
+              fill="${theme.levels[0]}" stroke="${theme.cellStroke}" stroke-width="1" />
+      `;
+    }
+  }
+
+  // --- Helper: tile opacity timeline (loops on its own) ---
+  function tileOpacityAnim(tAppear, tDisappear) {
+    const eps = 0.0001;
+    const ta = Math.max(0, tAppear);
+    const td = Math.max(ta + eps, tDisappear);
+
+    const kt = [
+      0,
+      clamp(ta / cycleDur, 0, 1),
+      clamp((ta + eps) / cycleDur, 0, 1),
+      clamp(td / cycleDur, 0, 1),
+      1,
+    ].join(";");
+
+    return `
+      <animate attributeName="opacity"
+               begin="0s"
+               dur="${cycleDur}s"
+               repeatCount="indefinite"
+               values="0;0;1;1;0"
+               keyTimes="${kt}"
+               fill="remove" />
+    `.trim();
+  }
+
+  // --- Appearance time per cell (row build bottom->top) ---
+  const appearTime = Array.from({ length: H }, () => Array.from({ length: W }, () => null));
+
+  for (let y = H - 1; y >= 0; y--) {
+    const rowIndex = (H - 1) - y;       // 0..H-1
+    const rowStart = buildStart + rowIndex * ROW_DUR;
+
+    const xs = [];
+    for (let x = 0; x < W; x++) if (grid[y][x] > 0) xs.push(x);
+
+    shuffle(xs, rng);
+
+    for (let k = 0; k < xs.length; k++) {
+      const x = xs[k];
+      const tFall = rowStart + k * STAGGER;
+      const tLand = tFall + FALL_DUR;
+      appearTime[y][x] = tLand;
+    }
+  }
+
+  // --- Contributed tiles layer (animated appear -> hold -> disappear) ---
+  let contribTiles = "";
+  const tDisappear = finishEnd;
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      if (grid[y][x] <= 0) continue;
+
+      const lvl = levels[y][x];
+      const fill = theme.levels[lvl];
+
+      const tAppear = appearTime[y][x] ?? buildEnd;
+      contribTiles += `
+        <rect ${board.rect(x, y)} rx="3"
+              fill="${fill}" stroke="${theme.cellStroke}" stroke-width="1"
+              opacity="0">
+          ${tileOpacityAnim(tAppear, tDisappear)}
+        </rect>
+      `;
+    }
+  }
+
+  // --- Falling blocks overlay (1×1 drops, from 7 cells outside the board) ---
+  function fallingBlock({ x, y, fill, begin }) {
+    const [cx, cy] = board.center(x, y);
+    const [ex, ey] = board.entry(x, y, 7);
+    const offset = `${(ex - cx).toFixed(2)} ${(ey - cy).toFixed(2)}`;
+
+    // Convert begin window to keyTimes on a full-cycle looping animation
+    const eps = 0.0001;
+    const t0 = clamp(begin / cycleDur, 0, 1);
+    const t1 = clamp((begin + eps) / cycleDur, 0, 1);
+    const t2 = clamp((begin + FALL_DUR) / cycleDur, 0, 1);
+    const t3 = clamp((begin + FALL_DUR + eps) / cycleDur, 0, 1);
+
+    return `
+      <g opacity="0">
+        <animate attributeName="opacity"
+                 begin="0s"
+                 dur="${cycleDur}s"
+                 repeatCount="indefinite"
+                 values="0;0;1;0;0"
+                 keyTimes="0;${t0};${t1};${t2};1"
+                 fill="remove" />
+        <animateTransform attributeName="transform" type="translate"
+                          begin="0s"
+                          dur="${cycleDur}s"
+                          repeatCount="indefinite"
+                          values="${offset};${offset};0 0;0 0;${offset}"
+                          keyTimes="0;${t0};${t2};${t3};1"
+                          fill="remove" />
+        <rect ${board.rect(x, y)} rx="3"
+              fill="${fill}" stroke="${theme.cellStroke}" stroke-width="1"
+              filter="url(#neonGlow)" opacity="0.98" />
+      </g>
+    `.trim();
+  }
+
+  let drops = "";
+  for (let y = H - 1; y >= 0; y--) {
+    const rowIndex = (H - 1) - y;
+    const rowStart = buildStart + rowIndex * ROW_DUR;
+
+    const xs = [];
+    for (let x = 0; x < W; x++) if (grid[y][x] > 0) xs.push(x);
+
+    // per-row deterministic shuffle
+    const rowSeed = (seed + (y + 1) * 10007) >>> 0;
+    shuffle(xs, mulberry32(rowSeed));
+
+    for (let k = 0; k < xs.length; k++) {
+      const x = xs[k];
+      const lvl = levels[y][x];
+      const fill = theme.levels[lvl];
+      const tFall = rowStart + k * STAGGER;
+
+      drops += "\n" + fallingBlock({ x, y, fill, begin: tFall });
+    }
+  }
+
+  // --- Finish flash (loops) ---
+  const f0 = clamp(finishStart / cycleDur, 0, 1);
+  const f1 = clamp((finishStart + FINISH_FLASH * 0.15) / cycleDur, 0, 1);
+  const f2 = clamp((finishStart + FINISH_FLASH * 0.5) / cycleDur, 0, 1);
+  const f3 = clamp((finishStart + FINISH_FLASH * 0.85) / cycleDur, 0, 1);
+  const f4 = clamp((finishStart + FINISH_FLASH) / cycleDur, 0, 1);
+
+  const flash = board.area({
+    rx: 10,
+    attrs: `fill="${theme.flash}" opacity="0"`,
+    children: `
+      <animate attributeName="opacity"
+               begin="0s"
+               dur="${cycleDur}s"
+               repeatCount="indefinite"
+               values="0;0;0.18;0.28;0.18;0;0"
+               keyTimes="0;${f0};${f1};${f2};${f3};${f4};1"
+               fill="remove" />
+    `,
+  });
+
+  // --- Legend + stats ---
+  const legendY = pad + board.height + 26;
+  const legendXRight = board.cells.x + board.cells.width;
+
+  const stats = statsLabel({ x: board.cells.x, y: legendY + 2 + statsRow, fill: theme.text, totalYear, last7, last30 });
+
+  const legend = levelLegend({
+    xRight: legendXRight, y: legendY + 2, cell,
+    levels: theme.levels, stroke: theme.cellStroke, fill: theme.label,
+  });
+
+  const svg = `
+<svg xmlns="http://www.w3.org/2000/svg"
+     width="${INTRINSIC_W}" height="${INTRINSIC_H}"
+     viewBox="0 0 ${width} ${height}"
+     preserveAspectRatio="xMidYMid meet">
+  ${defs}
+  <rect x="0" y="0" width="${width}" height="${height}" fill="url(#bgGrad)"/>
+
+  ${labels}
+
+  ${baseGrid}
+  ${contribTiles}
+  ${drops}
+  ${flash}
+
+  ${stats}
+  ${legend}
+</svg>
+`.trim();
+  // Still: the board just built, before the flash
+  return snapshot ? freezeSvg(svg, finishStart) : svg;
+}
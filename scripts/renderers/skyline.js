@@ -0,0 +1,157 @@
+// scripts/renderers/skyline.js
+import { LABEL_FONT, levelLegend, statsLabel } from "../lib/labels.js";
+import { THEMES } from "../lib/themes.js";
+
+// build:  the towers rise week by week, hold, sink back and build again
+// static: the finished skyline, no animation
+export const MODES = ["build", "static"];
+
+const COS30 = Math.cos(Math.PI / 6);
+const SIN30 = 0.5;
+
+// Darken a #rgb / #rrggbb color toward black by `f` (0..1); anything else
+// (a named or rgb() color from a theme file) comes back as is
+function shade(color, f) {
+  const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (!m) return color;
+  const hex = m[1].length === 3 ? [...m[1]].map((c) => c + c).join("") : m[1];
+  const rgb = [0, 2, 4].map((i) => Math.round(parseInt(hex.slice(i, i + 2), 16) * (1 - f)));
+  return `#${rgb.map((v) => v.toString(16).padStart(2, "0")).join("")}`;
+}
+
+// --------------------
+// SVG render: the calendar as an isometric city block, one prism per day
+// --------------------
+// Weeks run down to the right, weekdays down to the left. A day's tower is as
+// tall as its contribution count (relative to the busiest day); its top takes
+// the level color, the two visible sides the same color shaded down.
+export function renderSvg(
+  { grid, levels, W, H, monthStarts, totalYear, last7, last30 },
+  { theme = THEMES["github-dark"], cell = 12, gap = 2, width: intrinsicW, mode = "build", snapshot = false } = {}
+) {
+  const pad = 16;
+  const hudH = 46;
+  const labelH = 24; // month labels along the front edge
+
+  const pitch = cell + gap;
+  const maxH = cell * 6; // the busiest day's tower
+  const minH = 2;
+  const busiest = Math.max(1, ...grid.flat());
+
+  const spanX = (W + H) * pitch * COS30;
+  const spanY = (W + H) * pitch * SIN30;
+  const width = pad * 2 + spanX;
+  const height = pad * 2 + maxH + spanY + labelH + hudH;
+  const outW = intrinsicW ?? Math.round(width);
+  const outH = Math.round((height / width) * outW);
+  const ox = pad + H * pitch * COS30;
+  const oy = pad + maxH;
+
+  // Ground point (u, v in px along the weeks / weekdays axes), raised by z
+  const iso = (u, v, z = 0) => `${(ox + (u - v) * COS30).toFixed(1)},${(oy + (u + v) * SIN30 - z).toFixed(1)}`;
+
+  // Top, front-left (weekday side) and front-right (week side) faces at height h
+  const faces = (x, y, h) => {
+    const u0 = x * pitch;
+    const v0 = y * pitch;
+    const u1 = u0 + cell;
+    const v1 = v0 + cell;
+    return [
+      [iso(u0, v0, h), iso(u1, v0, h), iso(u1, v1, h), iso(u0, v1, h)].join(" "),
+      [iso(u0, v1, 0), iso(u1, v1, 0), iso(u1, v1, h), iso(u0, v1, h)].join(" "),
+      [iso(u1, v0, 0), iso(u1, v1, 0), iso(u1, v1, h), iso(u1, v0, h)].join(" "),
+    ];
+  };
+
+  // Timing (build mode)
+  const LEAD = 0.3; // bare ground before the first week rises
+  const WEEK = 0.08; // between one week's towers and the next
+  const RISE = 0.6;
+  const HOLD = 3.0;
+  const SINK = 0.6;
+  const REST = 0.5;
+  const builtAt = LEAD + (W - 1) * WEEK + RISE;
+  const sinkAt = builtAt + HOLD;
+  const total = sinkAt + SINK + REST;
+  const key = (t) => Math.min(1, Math.max(0, t / total)).toFixed(5);
+  const building = mode === "build" && !snapshot; // the still is the static city
+
+  // Back to front: every cell on a diagonal x + y is in front of the ones before it
+  const order = [];
+  for (let d = 0; d < W + H - 1; d++) {
+    for (let y = Math.max(0, d - W + 1); y <= Math.min(H - 1, d); y++) order.push([d - y, y]);
+  }
+
+  let clips = "";
+  let city = "";
+  for (const [x, y] of order) {
+    const count = grid[y][x];
+    const color = theme.levels[levels[y][x]];
+    const [flat] = faces(x, y, 0);
+    city += `<polygon points="${flat}" fill="${color}" stroke="${theme.cellStroke}" stroke-width="0.5" />\n`;
+    if (!count) continue;
+
+    const h = Math.max(minH, (count / busiest) * maxH);
+    const [top, left, right] = faces(x, y, h);
+    const prism = `<polygon points="${left}" fill="${shade(color, 0.25)}" />
+      <polygon points="${right}" fill="${shade(color, 0.45)}" />
+      <polygon points="${top}" fill="${color}" stroke="${theme.cellStroke}" stroke-width="0.5" />`;
+    if (!building) {
+      city += `<g>${prism}</g>\n`;
+      continue;
+    }
+
+    // Rising out of the ground: the tower starts sunk by its own height, and
+    // everything below its footprint's front edges is clipped away
+    const id = `tower${x}_${y}`;
+    const u0 = x * pitch;
+    const v0 = y * pitch;
+    const ground = [iso(u0, v0 + cell), iso(u0 + cell, v0 + cell), iso(u0 + cell, v0), iso(u0 + cell, v0, oy), iso(u0, v0 + cell, oy)];
+    clips += `<clipPath id="${id}"><polygon points="${ground.join(" ")}" /></clipPath>\n`;
+    const sunk = `0 ${h.toFixed(1)}`;
+    const rise = LEAD + x * WEEK;
+    city += `<g clip-path="url(#${id})"><g transform="translate(${sunk})">
+      <animateTransform attributeName="transform" type="translate" values="${sunk};${sunk};0 0;0 0;${sunk};${sunk}"
+        keyTimes="0;${key(rise)};${key(rise + RISE)};${key(sinkAt)};${key(sinkAt + SINK)};1" dur="${total.toFixed(3)}s" repeatCount="indefinite" />
+      ${prism}
+    </g></g>\n`;
+  }
+
+  // Month names along the front (Saturday) edge, following the weeks axis
+  let months = "";
+  for (const m of monthStarts) {
+    const [lx, ly] = iso(m.x * pitch, H * pitch + 6).split(",");
+    months += `<text x="${lx}" y="${ly}" fill="${theme.label}" font-family="${LABEL_FONT}" font-size="11"
+      transform="rotate(30 ${lx} ${ly})" dominant-baseline="hanging">${m.label}</text>\n`;
+  }
+
+  const legendY = height - pad - hudH + 30;
+  const stats = statsLabel({ x: pad, y: legendY + 2, fill: theme.text, totalYear, last7, last30 });
+  const legend = levelLegend({
+    xRight: width - pad,
+    y: legendY + 2,
+    cell,
+    levels: theme.levels,
+    stroke: theme.cellStroke,
+    fill: theme.label,
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${outW}" height="${outH}" viewBox="0 0 ${width.toFixed(1)} ${height.toFixed(1)}">
+  <defs>
+    ${clips}
+    <linearGradient id="bgGrad" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${theme.background[0]}"/>
+      <stop offset="100%" stop-color="${theme.background[1]}"/>
+    </linearGradient>
+  </defs>
+
+  <rect x="0" y="0" width="${width.toFixed(1)}" height="${height.toFixed(1)}" rx="12" fill="url(#bgGrad)" stroke="${theme.border}" />
+
+  ${months}
+  <g>${city}</g>
+
+  ${stats}
+  ${legend}
+</svg>`;
+}
@@ -0,0 +1,150 @@
+// scripts/renderers/snake.js
+import { looped } from "../lib/keyframes.js";
+import { levelLegend, monthLabels, statsLabel, weekdayLabels } from "../lib/labels.js";
+import { mulberry32 } from "../lib/rng.js";
+import { planSnake } from "../lib/snake.js";
+import { freezeSvg } from "../lib/snapshot.js";
+import { THEMES } from "../lib/themes.js";
+
+// --------------------
+// SVG render: the snake crawls in from the edge, eats the year, crawls out;
+// the eaten days grow back in date order and the loop starts over
+// --------------------
+// Every body segment rides the same motion path (the head's route), begun one
+// step later per segment, so the whole snake costs one path in <defs> plus a
+// few attributes per segment. Segments past the starting length show up as
+// the snake grows into them.
+export function renderSvg(
+  { levels, W, H, monthStarts, totalYear, last7, last30, seed },
+  { theme = THEMES["github-dark"], cell = 12, gap = 2, width: intrinsicW, snapshot = false } = {}
+) {
+  const leftLabelW = 34;
+  const topLabelH = 22;
+  const pad = 16;
+  const hudH = 46;
+
+  const pitch = cell + gap;
+  const gridW = W * pitch - gap;
+  const gridH = H * pitch - gap;
+  const width = pad * 2 + leftLabelW + gridW;
+  const height = pad * 2 + topLabelH + gridH + hudH;
+  const outW = intrinsicW ?? width;
+  const outH = Math.round((height / width) * outW);
+  const gridX0 = pad + leftLabelW;
+  const gridY0 = pad + topLabelH;
+  const [sparkA, sparkB, sparkC] = theme.effects;
+
+  // Timing (seconds; the crawl is sped up when the year is busy)
+  const STEP = 0.08; // one cell
+  const MAX_RUN = 28;
+  const BITE = 0.2; // an eaten day flashing out
+  const SETTLE = 0.3; // snake gone, board empty
+  const REGROW = 1.2; // eaten days come back, first day to last
+  const REGROW_DAY = 0.25;
+  const HOLD = 1.2;
+
+  const { path, lengths, eatenAt, eaten } = planSnake(levels, { rng: mulberry32(seed) });
+  const ticks = path.length - 1;
+  const step = Math.min(STEP, MAX_RUN / Math.max(ticks, 1));
+  const runEnd = ticks * step;
+  const regrowAt = runEnd + SETTLE;
+  const total = regrowAt + REGROW + REGROW_DAY + HOLD;
+  const animate = looped(total);
+
+  // --- Board: contributed days flash and empty as they're eaten ---
+  let cells = "";
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      const color = theme.levels[levels[y][x]];
+      const rect = `x="${gridX0 + x * pitch}" y="${gridY0 + y * pitch}" width="${cell}" height="${cell}" rx="2" ry="2"`;
+      const tick = eatenAt[y][x];
+      if (tick === null) {
+        cells += `<rect ${rect} fill="${color}" />\n`;
+        continue;
+      }
+      const at = tick * step;
+      const back = regrowAt + (REGROW * (x * H + y)) / (W * H);
+      cells += `<rect ${rect} fill="${color}">
+    ${animate("fill", [[at, color], [at + 0.04, sparkA], [at + BITE, theme.levels[0]], [back, theme.levels[0]], [back + REGROW_DAY, color]])}
+  </rect>\n`;
+    }
+  }
+
+  // --- Snake: the head's route as a motion path, held at its end (off the board) ---
+  const center = ([x, y]) => `${gridX0 + x * pitch + cell / 2},${gridY0 + y * pitch + cell / 2}`;
+  const route = `M${path.map(center).join("L")}`;
+  const maxLength = Math.max(...lengths);
+  const runKey = Math.min(1, runEnd / total).toFixed(5);
+
+  let segments = "";
+  for (let i = maxLength - 1; i >= 0; i--) {
+    // Grown segments appear the tick the body first reaches them
+    const grown = lengths.findIndex((len) => len > i);
+    const show = grown > 0 ? animate("opacity", [[grown * step - 0.001, 0], [grown * step, 1]]) : "";
+    const head = i === 0;
+    const fill = head ? sparkC : sparkB;
+    const fade = head ? 1 : 1 - (0.55 * i) / maxLength;
+    segments += `<rect x="${-cell / 2}" y="${-cell / 2}" width="${cell}" height="${cell}" rx="3" ry="3"
+        fill="${fill}" fill-opacity="${fade.toFixed(2)}"${head ? ` filter="url(#softGlow)"` : ""}${grown > 0 ? ` opacity="0"` : ""}>
+    <animateMotion begin="${(i * step).toFixed(3)}s" dur="${total.toFixed(3)}s" repeatCount="indefinite"
+                   calcMode="linear" keyPoints="0;1;1" keyTimes="0;${runKey};1"><mpath href="#snakeRoute" /></animateMotion>
+    ${show}
+  </rect>\n`;
+  }
+
+  const legendY = gridY0 + gridH + 26;
+  const months = monthLabels({ monthStarts, gridX0, pitch, y: pad + 14, fill: theme.label });
+  const weekdays = weekdayLabels({ x: gridX0 - 6, gridY0, pitch, cell, fill: theme.label });
+  const stats = statsLabel({
+    x: gridX0,
+    y: legendY + 2,
+    fill: theme.text,
+    totalYear,
+    last7,
+    last30,
+    extra: `snake: ${eaten} days eaten • length ${maxLength}`,
+  });
+  const legend = levelLegend({
+    xRight: gridX0 + gridW,
+    y: legendY + 2,
+    cell,
+    levels: theme.levels,
+    stroke: theme.cellStroke,
+    fill: theme.label,
+  });
+
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${outW}" height="${outH}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <filter id="softGlow" x="-40%" y="-40%" width="180%" height="180%">
+      <feGaussianBlur stdDeviation="1.6" result="blur"/>
+      <feMerge>
+        <feMergeNode in="blur"/>
+        <feMergeNode in="SourceGraphic"/>
+      </feMerge>
+    </filter>
+
+    <linearGradient id="bgGrad" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${theme.background[0]}"/>
+      <stop offset="100%" stop-color="${theme.background[1]}"/>
+    </linearGradient>
+
+    <clipPath id="snakeClip"><rect x="${gridX0}" y="${gridY0}" width="${gridW}" height="${gridH}" /></clipPath>
+    <path id="snakeRoute" d="${route}" />
+  </defs>
+
+  <rect x="0" y="0" width="${width}" height="${height}" rx="12" fill="url(#bgGrad)" stroke="${theme.border}" />
+
+  ${months}
+  ${weekdays}
+  <g>${cells}</g>
+  <g clip-path="url(#snakeClip)">
+    ${segments}
+  </g>
+
+  ${stats}
+  ${legend}
+</svg>`;
+  // Still: the board grown back, snake gone
+  return snapshot ? freezeSvg(svg, total - HOLD) : svg;
+}
@@ -0,0 +1,355 @@
+// scripts/renderers/stars.js
+import { findConstellations } from "../lib/constellations.js";
+import { LABEL_FONT, statsLabel } from "../lib/labels.js";
+import { calendarLayout, LAYOUTS } from "../lib/layout.js";
+import { findMeteorTargets } from "../lib/meteors.js";
+import { clamp, mulberry32, shuffle } from "../lib/rng.js";
+import { freezeSvg } from "../lib/snapshot.js";
+import { THEMES } from "../lib/themes.js";
+
+// Star visual config per level (colors come from theme.stars.colors)
+const STAR_RADIUS  = [0, 1.6, 2.2, 3.0, 4.0];
+const STAR_OPACITY = [0, 0.55, 0.72, 0.88, 1.0];
+const STAR_FILTER  = ["", "", "url(#glow1)", "url(#glow2)", "url(#glow3)"];
+
+// sky:            stars appear one by one in random order; a meteor lands on
+//                 each of the busiest days and a shower on the longest streak
+// constellations: the sky, plus streaks and bright clusters joined into
+//                 labelled line figures that draw in once their stars are up
+export const MODES = ["sky", "constellations"];
+export { LAYOUTS };
+
+export function renderSvg(
+  { grid, levels, dates, W, H, monthStarts, totalYear, last7, last30, seed },
+  { theme = THEMES["github-dark"], cell = 12, gap = 2, width: INTRINSIC_W = 900, mode = "sky", layout = "grid", snapshot = false } = {}
+) {
+  const sky = theme.stars;
+  const figured = mode === "constellations";
+  // Constellation label rows above and below the grid (a radial board has no
+  // spare rows: its labels go next to their figures or not at all)
+  const bandH = figured && layout === "grid" ? 12 : 0;
+  const statsRow = layout === "grid" ? 0 : 18; // radial: stats under the legend
+  const pad = 16, hudH = 46 + bandH + statsRow;
+  const inset = layout === "grid" ? 0 : hudH / 2; // radial: room either side to stay square
+  const board = calendarLayout(layout, { W, H, cell, gap, x0: pad + inset, y0: pad, top: 22 + bandH });
+  const { cells: well } = board;
+  const width  = pad * 2 + inset * 2 + board.width;
+  const height = pad * 2 + board.height + hudH;
+  const INTRINSIC_H = Math.round((height / width) * INTRINSIC_W);
+
+  // Timing constants
+  const STAGGER    = 0.045;  // seconds between successive star appearances
+  const APPEAR_DUR = 0.55;   // twinkle-in duration
+  const POST_BUILD = 2.0;    // pause after sky is full
+  const FLASH_DUR  = 1.8;    // two-flash window
+  const RESET_FADE = 0.6;
+  const SEGMENT    = 0.12;   // constellation: one line segment drawing in
+  const MAX_DRAW   = 1.6;    // constellation: longest figure draw
+  const LABEL_FADE = 0.4;
+
+  const METEOR_DUR = 0.9;    // busiest-day meteor flight
+  const SHOWER_DUR = 0.5;    // shower meteor flight
+  const SHOWER_GAP = 0.14;   // between shower stars (less for long streaks)
+  const SHOWER_SPAN = 2.4;   // longest the whole shower may take
+  const IMPACT_DUR = 0.5;
+
+  // Shuffle non-zero cells
+  const rng = mulberry32(seed);
+  const cells = [];
+  for (let y = 0; y < H; y++)
+    for (let x = 0; x < W; x++)
+      if (grid[y][x] > 0) cells.push({ x, y });
+  shuffle(cells, rng);
+
+  // The longest streak comes up as one burst in date order, where its first
+  // star would have; meteor targets wait until a meteor has had time to fly in
+  const { strikes, shower } = findMeteorTargets({ grid, dates, W, H });
+  const showerAt = new Map((shower?.cells ?? []).map((c, i) => [String(c), i]));
+  const targeted = new Set([...strikes, ...(shower?.targets ?? [])].map(String));
+  const order = cells.map(({ x, y }, k) => ({ x, y, k, block: showerAt.get(`${x},${y}`) }));
+  const blockK = Math.min(...order.filter((c) => c.block !== undefined).map((c) => c.k));
+  for (const c of order) if (c.block !== undefined) c.k = blockK;
+  order.sort((a, b) => a.k - b.k || a.block - b.block);
+
+  // Build appear-time lookup
+  const showerGap = shower ? Math.min(SHOWER_GAP, SHOWER_SPAN / shower.cells.length) : 0;
+  const appearAt = Array.from({ length: H }, () => Array(W).fill(null));
+  let t = 0;
+  for (const { x, y, block } of order) {
+    if (targeted.has(`${x},${y}`)) t = Math.max(t, METEOR_DUR);
+    appearAt[y][x] = t;
+    t += block === undefined ? STAGGER : showerGap;
+  }
+
+  const buildEnd    = t + APPEAR_DUR;
+
+  // Constellations draw in once their last star has appeared
+  const pitch = cell + gap;
+  const centerOf = board.center;
+  const bands = bandH ? [well.y - 4, well.y + well.height + bandH - 1] : [];
+  const figures = figured
+    ? findConstellations(
+        { grid, levels, dates, W, H },
+        {
+          at: centerOf,
+          pitch,
+          bands,
+          spokes: layout !== "grid",
+          minX: pad,
+          maxX: layout === "grid" ? well.x + well.width : width - pad,
+          avoid: board.labelBoxes({ monthStarts }),
+        }
+      ).map((figure) => {
+        const drawAt = Math.max(...figure.cells.map(([x, y]) => appearAt[y][x])) + APPEAR_DUR;
+        const drawDur = Math.min(MAX_DRAW, figure.edges.length * SEGMENT);
+        return { ...figure, drawAt, drawEnd: drawAt + drawDur };
+      })
+    : [];
+  const drawEnd = Math.max(buildEnd, ...figures.map((f) => f.drawEnd + LABEL_FADE));
+
+  const finishStart = drawEnd + POST_BUILD;
+  const finishEnd   = finishStart + FLASH_DUR;
+  const cycleDur    = finishEnd + RESET_FADE;
+
+  const defs = `
+  <defs>
+    <radialGradient id="skyBg" cx="50%" cy="25%" r="75%">
+      <stop offset="0%"   stop-color="${sky.background[0]}"/>
+      <stop offset="100%" stop-color="${sky.background[1]}"/>
+    </radialGradient>
+    <filter id="glow1" x="-80%" y="-80%" width="260%" height="260%">
+      <feGaussianBlur stdDeviation="1.4" result="b"/>
+      <feMerge><feMergeNode in="b"/><feMergeNode in="SourceGraphic"/></feMerge>
+    </filter>
+    <filter id="glow2" x="-100%" y="-100%" width="300%" height="300%">
+      <feGaussianBlur stdDeviation="2.4" result="b"/>
+      <feMerge><feMergeNode in="b"/><feMergeNode in="SourceGraphic"/></feMerge>
+    </filter>
+    <filter id="glow3" x="-150%" y="-150%" width="400%" height="400%">
+      <feGaussianBlur stdDeviation="4.0" result="b"/>
+      <feMerge><feMergeNode in="b"/><feMergeNode in="SourceGraphic"/></feMerge>
+    </filter>
+  </defs>`;
+
+  // Month + weekday labels
+  const labels = board.labels({ monthStarts, fill: sky.label });
+
+  // Stars
+  let stars = "";
+  const tDisappear = finishEnd;
+
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      const lvl = levels[y][x];
+      const [cx, cy] = centerOf(x, y).map((v) => +v.toFixed(1));
+
+      if (lvl === 0) {
+        // Faint ambient dot for sky texture — always visible
+        stars += `<circle cx="${cx}" cy="${cy}" r="0.55" fill="${sky.colors[0]}" opacity="0.6"/>\n`;
+        continue;
+      }
+
+      const r      = STAR_RADIUS[lvl];
+      const color  = sky.colors[lvl];
+      const maxOp  = STAR_OPACITY[lvl];
+      const filter = STAR_FILTER[lvl];
+      const tA     = appearAt[y][x] ?? 0;
+
+      // keyTimes: 0 → tA(dark) → tA+flare → tA+settle → tDisappear(hold) → fade → 1(dark)
+      const eps = 0.0005;
+      const k0  = 0;
+      const k1  = clamp(tA / cycleDur, eps, 1);
+      const k2  = clamp((tA + APPEAR_DUR * 0.25) / cycleDur, k1 + eps, 1);
+      const k3  = clamp((tA + APPEAR_DUR) / cycleDur, k2 + eps, 1);
+      const k4  = clamp(tDisappear / cycleDur, k3 + eps, 1);
+      const k5  = clamp((tDisappear + RESET_FADE * 0.7) / cycleDur, k4 + eps, 1);
+
+      const flashOp = Math.min(maxOp * 1.5, 1).toFixed(3);
+      const opVals  = `0;0;${flashOp};${maxOp};${maxOp};0;0`;
+      const ktimes  = `${k0};${k1};${k2};${k3};${k4};${k5};1`;
+
+      const anim = `<animate attributeName="opacity" begin="0s"
+        dur="${cycleDur.toFixed(3)}s" repeatCount="indefinite"
+        values="${opVals}" keyTimes="${ktimes}" fill="remove"/>`;
+
+      stars += `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${color}" ${filter ? `filter="${filter}"` : ""} opacity="0">${anim}</circle>\n`;
+
+      // Cross spikes for level-4 stars
+      if (lvl === 4) {
+        const spike = r * 2.4;
+        const spikeAnim = `<animate attributeName="opacity" begin="0s"
+          dur="${cycleDur.toFixed(3)}s" repeatCount="indefinite"
+          values="0;0;0.7;0.35;0.35;0;0" keyTimes="${ktimes}" fill="remove"/>`;
+        stars += `<line x1="${cx}" y1="${(cy - spike).toFixed(1)}" x2="${cx}" y2="${(cy + spike).toFixed(1)}"
+          stroke="${color}" stroke-width="0.45" opacity="0">${spikeAnim}</line>\n`;
+        stars += `<line x1="${(cx - spike).toFixed(1)}" y1="${cy}" x2="${(cx + spike).toFixed(1)}" y2="${cy}"
+          stroke="${color}" stroke-width="0.45" opacity="0">${spikeAnim}</line>\n`;
+      }
+    }
+  }
+
+  // Constellations — each figure is one path drawn in along its pathLength,
+  // then its label fades in; both go out with the stars
+  let constellations = "";
+  for (const figure of figures) {
+    const pts = figure.cells.map(([x, y]) => centerOf(x, y).join(","));
+    let d = "";
+    let end = -1;
+    for (const [a, b] of figure.edges) {
+      d += `${a === end ? "" : `M${pts[a]}`}L${pts[b]}`;
+      end = b;
+    }
+
+    const eps = 0.0005;
+    const d0 = clamp(figure.drawAt / cycleDur, eps, 1);
+    const d1 = clamp(figure.drawEnd / cycleDur, d0 + eps, 1);
+    const d2 = clamp((figure.drawEnd + LABEL_FADE) / cycleDur, d1 + eps, 1);
+    const d3 = clamp(tDisappear / cycleDur, d2 + eps, 1);
+    const d4 = clamp((tDisappear + RESET_FADE * 0.7) / cycleDur, d3 + eps, 1);
+
+    constellations += `
+    <g>
+      <animate attributeName="opacity" begin="0s"
+        dur="${cycleDur.toFixed(3)}s" repeatCount="indefinite"
+        values="1;1;0;0" keyTimes="0;${d3};${d4};1" fill="remove"/>
+      <path d="${d}" pathLength="1" fill="none" stroke="${sky.colors[3]}" stroke-width="0.7"
+        stroke-linecap="round" stroke-linejoin="round" opacity="0.5" stroke-dasharray="1 1" stroke-dashoffset="1">
+        <animate attributeName="stroke-dashoffset" begin="0s"
+          dur="${cycleDur.toFixed(3)}s" repeatCount="indefinite"
+          values="1;1;0;0" keyTimes="0;${d0};${d1};1" fill="remove"/>
+      </path>
+      <text x="${figure.labelX.toFixed(1)}" y="${figure.labelY.toFixed(1)}" fill="${sky.text}"
+        font-family="${LABEL_FONT}" font-size="9" opacity="0">${figure.label}
+        <animate attributeName="opacity" begin="0s"
+          dur="${cycleDur.toFixed(3)}s" repeatCount="indefinite"
+          values="0;0;1;1" keyTimes="0;${d1};${d2};1" fill="remove"/>
+      </text>
+    </g>`;
+  }
+
+  // Meteors — each flies in along a straight line, lands on its target star
+  // the moment the star appears and leaves an impact ring. Busiest days get a
+  // big meteor from a random direction; the shower's all come from one point
+  // above the streak.
+  const cometRng = mulberry32((seed + 99991) >>> 0);
+  const meteor = ([x, y], [dx, dy], { flight, dur, head, tail, ring }) => {
+    const [ex, ey] = centerOf(x, y);
+    const len = Math.hypot(dx, dy);
+    const [ux, uy] = [dx / len, dy / len];
+    const [sx, sy] = [ex - ux * flight, ey - uy * flight];
+    const tStrike = appearAt[y][x];
+    const tStart = Math.max(0, tStrike - dur);
+
+    // keyTimes relative to cycleDur
+    const eps = 0.0005;
+    const k0 = clamp(tStart / cycleDur, eps, 0.999);
+    const k1 = clamp((tStart + 0.1) / cycleDur, k0 + eps, 0.999);
+    const k2 = clamp(tStrike / cycleDur, k1 + eps, 0.999);
+    const k3 = clamp((tStrike + 0.06) / cycleDur, k2 + eps, 0.999);
+    const r0 = clamp(tStrike / cycleDur, eps, 0.999);
+    const r1 = clamp((tStrike + 0.02) / cycleDur, r0 + eps, 0.999);
+    const r2 = clamp((tStrike + IMPACT_DUR) / cycleDur, r1 + eps, 0.999);
+
+    return `
+    <g opacity="0">
+      <line x1="${(-ux * tail).toFixed(1)}" y1="${(-uy * tail).toFixed(1)}" x2="0" y2="0"
+            stroke="${sky.comet}" stroke-width="1.1" stroke-linecap="round"
+            filter="url(#glow1)" opacity="0.55"/>
+      <circle cx="0" cy="0" r="${head}" fill="${sky.colors[4]}" filter="url(#glow2)"/>
+      <animate attributeName="opacity" begin="0s"
+        dur="${cycleDur.toFixed(3)}s" repeatCount="indefinite"
+        values="0;0;1;1;0;0"
+        keyTimes="0;${k0};${k1};${k2};${k3};1" fill="remove"/>
+      <animateTransform attributeName="transform" type="translate" begin="0s"
+        dur="${cycleDur.toFixed(3)}s" repeatCount="indefinite"
+        values="${sx.toFixed(1)},${sy.toFixed(1)};${sx.toFixed(1)},${sy.toFixed(1)};${ex.toFixed(1)},${ey.toFixed(1)};${ex.toFixed(1)},${ey.toFixed(1)}"
+        keyTimes="0;${k0};${k2};1" fill="remove"/>
+    </g>
+    <circle cx="${ex.toFixed(1)}" cy="${ey.toFixed(1)}" r="1" fill="none" stroke="${sky.comet}" stroke-width="0.8" opacity="0">
+      <animate attributeName="r" begin="0s"
+        dur="${cycleDur.toFixed(3)}s" repeatCount="indefinite"
+        values="1;1;${ring};${ring}" keyTimes="0;${r0};${r2};1" fill="remove"/>
+      <animate attributeName="opacity" begin="0s"
+        dur="${cycleDur.toFixed(3)}s" repeatCount="indefinite"
+        values="0;0;0.8;0;0" keyTimes="0;${r0};${r1};${r2};1" fill="remove"/>
+    </circle>`;
+  };
+
+  let meteors = "";
+  for (const target of strikes) {
+    // From above, 20–60° off vertical either way
+    const angle = ((20 + cometRng() * 40) * Math.PI) / 180 * (cometRng() < 0.5 ? -1 : 1);
+    meteors += meteor(target, [Math.sin(angle), Math.cos(angle)], {
+      flight: 150, dur: METEOR_DUR, head: 2.0, tail: 40, ring: 9,
+    });
+  }
+  if (shower) {
+    const xs = shower.cells.map(([x, y]) => centerOf(x, y)[0]);
+    const radiant = [(Math.min(...xs) + Math.max(...xs)) / 2 + 60, well.y - 160];
+    for (const target of shower.targets) {
+      const [ex, ey] = centerOf(...target);
+      meteors += meteor(target, [ex - radiant[0], ey - radiant[1]], {
+        flight: 90, dur: SHOWER_DUR, head: 1.3, tail: 22, ring: 5,
+      });
+    }
+  }
+
+  // Two-flash overlay after sky is full
+  const f0 = clamp(finishStart / cycleDur, 0, 1);
+  const f1 = clamp((finishStart + FLASH_DUR * 0.18) / cycleDur, 0, 1);
+  const f2 = clamp((finishStart + FLASH_DUR * 0.32) / cycleDur, 0, 1);
+  const f3 = clamp((finishStart + FLASH_DUR * 0.50) / cycleDur, 0, 1);
+  const f4 = clamp((finishStart + FLASH_DUR * 0.68) / cycleDur, 0, 1);
+  const f5 = clamp((finishStart + FLASH_DUR * 0.82) / cycleDur, 0, 1);
+  const f6 = clamp(finishEnd / cycleDur, 0, 1);
+
+  const flash = board.area({
+    rx: 6,
+    attrs: `fill="${sky.flash}" opacity="0"`,
+    children: `
+    <animate attributeName="opacity" begin="0s"
+      dur="${cycleDur.toFixed(3)}s" repeatCount="indefinite"
+      values="0;0;0.22;0;0.22;0;0;0"
+      keyTimes="0;${f0};${f1};${f2};${f3};${f4};${f6};1"
+      fill="remove"/>
+  `,
+  });
+
+  // HUD
+  const legendY = pad + board.height + bandH + 26;
+  const legendXRight = well.x + well.width;
+  const legendCircles = [1, 2, 3, 4].map((lvl, i) => {
+    const lx = legendXRight - (4 - i) * 22 + 8;
+    return `<circle cx="${lx}" cy="${legendY - 4}" r="${STAR_RADIUS[lvl]}"
+      fill="${sky.colors[lvl]}" opacity="${STAR_OPACITY[lvl]}" ${STAR_FILTER[lvl] ? `filter="${STAR_FILTER[lvl]}"` : ""}/>`;
+  }).join("\n");
+
+  const stats = statsLabel({
+    x: well.x, y: legendY + 2 + statsRow, fill: sky.text, totalYear, last7, last30,
+    extra: figured ? `constellations: ${figures.length}` : undefined,
+  });
+
+  const legend = `
+    <text x="${legendXRight - 4 * 22 - 4}" y="${legendY + 2}"
+      fill="${sky.label}" font-family="ui-sans-serif,system-ui" font-size="11" text-anchor="end">Dim</text>
+    ${legendCircles}
+    <text x="${legendXRight + 2}" y="${legendY + 2}"
+      fill="${sky.label}" font-family="ui-sans-serif,system-ui" font-size="11">Bright</text>`;
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg"
+     width="${INTRINSIC_W}" height="${INTRINSIC_H}"
+     viewBox="0 0 ${width} ${height}"
+     preserveAspectRatio="xMidYMid meet">
+  ${defs}
+  <rect x="0" y="0" width="${width}" height="${height}" fill="url(#skyBg)"/>
+  ${labels}
+  ${stars}
+  ${constellations}
+  ${meteors}
+  ${flash}
+  ${stats}
+  ${legend}
+</svg>`.trim();
+  // Still: the full sky (and constellations), before the flash
+  return snapshot ? freezeSvg(svg, finishStart) : svg;
+}
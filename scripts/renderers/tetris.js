@@ -0,0 +1,446 @@
+// scripts/renderers/tetris.js
+import { createDealer, LINE_CLEAR_POINTS, levelFor, SOFT_DROP_POINTS } from "../lib/game.js";
+import { gameHudWidth, renderGameHud } from "../lib/game-hud.js";
+import { gravityOrder, placementCells } from "../lib/gravity.js";
+import { levelLegend, monthLabels, statsLabel, weekdayLabels } from "../lib/labels.js";
+import { createRouter, findMoves } from "../lib/pathfinder.js";
+import { pieceColor, resolvePieceSet, SINGLE } from "../lib/piece-sets.js";
+import { mulberry32 } from "../lib/rng.js";
+import { freezeSvg } from "../lib/snapshot.js";
+import { THEMES } from "../lib/themes.js";
+import { DEFAULT_NODE_BUDGET, tileMask } from "../lib/tiler.js";
+
+export { PIECES, PIECE_ORDER } from "../lib/pieces.js";
+export { PIECE_SETS } from "../lib/piece-sets.js";
+
+// drop:      each tile falls onto the finished heatmap and fades out
+// simulate:  the well starts empty; pieces fall under gravity, stack, and
+//            completed rows flash and clear into the heatmap shades
+// game:      simulate, dealt by a seeded 7-bag, with a Next / Hold / score
+//            panel beside the well
+export const MODES = ["drop", "simulate", "game"];
+
+// Runs (fresh tilings) per loop; each is another 10 s of pieces and markup
+export const DEFAULT_RUNS = 10;
+
+// --------------------
+// SVG render: landscape heatmap + “pixel-perfect” tiling overlay
+// Pieces of `pieceSet` (tetrominoes, pentominoes, trominoes, or a custom set;
+// see lib/piece-sets.js) cover as much as possible; 1×1 fallback covers the
+// rest. nodeBudget / timeBudgetMs bound the tiler's search per run (see
+// lib/tiler.js); `runs` is how many runs make up the loop.
+// --------------------
+export function renderSvg(
+  { grid, levels, W, H, monthStarts, totalYear, last7, last30, seed },
+  {
+    theme = THEMES["github-dark"],
+    cell = 12,
+    gap = 2,
+    width: INTRINSIC_W = 900,
+    mode = "drop",
+    pieceSet = "tetrominoes",
+    nodeBudget = DEFAULT_NODE_BUDGET,
+    timeBudgetMs,
+    runs = DEFAULT_RUNS,
+    snapshot = false,
+  } = {}
+) {
+
+  const leftLabelW = 34;
+  const topLabelH = 22;
+  const pad = 16;
+  const hudH = 46;
+  const game = mode === "game";
+  const set = resolvePieceSet(pieceSet);
+  const panelW = game ? gameHudWidth(cell, { pieceSet: set }) + 18 : 0;
+
+  const wellW = W * (cell + gap) - gap;
+  const wellH = H * (cell + gap) - gap;
+
+  const width = pad * 2 + leftLabelW + wellW + panelW;
+  const height = pad * 2 + topLabelH + wellH + hudH;
+
+  const INTRINSIC_H = Math.round((height / width) * INTRINSIC_W);
+
+  const gridX0 = pad + leftLabelW;
+  const gridY0 = pad + topLabelH;
+
+  // --- Timing: `runs` runs loop ---
+  const N_RUNS = runs;
+  const stepDur = 0.18; // faster since tiling can create many placements
+  const moveDur = 0.03; // one shift or rotation input
+  const rowFall = 0.06; // one row of soft drop / gravity
+  const lingerDur = 0.25; // drop mode: landed piece stays before fading
+  const runDur = 10; // fixed run duration for stable looping
+  const totalDur = N_RUNS * runDur;
+
+  // Simulation timing (seconds; compressed to fit when a run gets crowded)
+  const landGap = 0.03; // a piece lands this long after what it rests on
+  const clearDelay = 0.1; // full row -> flash
+  const flashDur = 0.35;
+  const holdDur = 1.6; // settled board stays up before the next run
+
+  const defs = `
+  <defs>
+    <filter id="neonGlow" x="-50%" y="-50%" width="200%" height="200%">
+      <feGaussianBlur stdDeviation="1.7" result="blur"/>
+      <feMerge>
+        <feMergeNode in="blur"/>
+        <feMergeNode in="SourceGraphic"/>
+      </feMerge>
+    </filter>
+
+    <linearGradient id="bgGrad" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${theme.background[0]}"/>
+      <stop offset="100%" stop-color="${theme.background[1]}"/>
+    </linearGradient>
+
+    <animate id="clock" attributeName="opacity"
+             values="1;1" dur="${totalDur}s" repeatCount="indefinite" />
+  </defs>
+  `;
+
+  // --- Month + weekday labels ---
+  const months = monthLabels({ monthStarts, gridX0, pitch: cell + gap, y: pad + 14, fill: theme.label });
+  const weekdays = weekdayLabels({ x: pad + leftLabelW - 6, gridY0, pitch: cell + gap, cell, fill: theme.label });
+
+  // --- Heatmap truth layer (an empty well when simulating) ---
+  const simulate = mode !== "drop";
+  let heat = "";
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      const px = gridX0 + x * (cell + gap);
+      const py = gridY0 + y * (cell + gap);
+
+      const lvl = simulate ? 0 : levels[y][x];
+      const fill = theme.levels[lvl];
+
+      heat += `
+        <rect x="${px}" y="${py}" width="${cell}" height="${cell}" rx="3"
+              fill="${fill}" stroke="${theme.cellStroke}" stroke-width="1"${simulate ? ` opacity="0.35"` : ""} />
+      `;
+    }
+  }
+
+  // --- Piece motion: pathfinder inputs -> keyframes ---
+  const pitch = cell + gap;
+  const span = (t) => `${t.toFixed(3)}s;clock.repeatEvent+${t.toFixed(3)}s`;
+  const shapesOf = (piece) => (piece === SINGLE ? [[[0, 0]]] : set.shapes[piece]);
+
+  // Board-legal inputs from the spawn into an empty well, for drop mode. A
+  // piece with no route there (a calendar too narrow to turn it in) drops as
+  // 1×1 blocks instead, as gravityOrder splits pieces in simulate mode.
+  function dropRoutes(placement, board) {
+    const path = findMoves(placement, board, { pieceSet: set });
+    if (path) return [{ placement, path }];
+    return placementCells(placement).map(([ox, oy]) => {
+      const single = { piece: SINGLE, shape: [[0, 0]], ox, oy };
+      const moves = findMoves(single, board, { pieceSet: set });
+      if (!moves) throw new Error(`No legal route down to the block at ${ox},${oy}`);
+      return { placement: single, path: moves };
+    });
+  }
+
+  const moveTime = (move) => (move === "down" ? rowFall : moveDur);
+  const pathDuration = (path) => path.slice(1).reduce((t, s) => t + moveTime(s.move), 0);
+
+  // A falling piece (1×1 fallback drawn in `color`). The path collapses to
+  // keyframes where the move changes, so a long slide is one segment; each
+  // rotation state it visits is a subgroup shown while the piece is in it.
+  // `recolor(x, y)` may return { to, at, dur } to switch a landed cell's fill.
+  function renderFallingPiece({ piece, rot = 0, ox, oy, color }, path, { begin, motionDur, lifetime, fade, recolor }) {
+    const fillColor = color ?? pieceColor(set, piece, theme);
+
+    const frames = [];
+    let t = 0;
+    path.forEach((state, i) => {
+      if (i > 0) t += moveTime(state.move);
+      const next = path[i + 1];
+      const rotation = state.move === "cw" || state.move === "ccw";
+      if (i === 0 || !next || next.move !== state.move || rotation) frames.push({ ...state, t });
+    });
+    const total = t || 1;
+    const keyTimes = frames.map((f) => (f.t / total).toFixed(4)).join(";");
+
+    const translate = frames
+      .map((f) => `${((f.x - ox) * pitch).toFixed(2)} ${((f.y - oy) * pitch).toFixed(2)}`)
+      .join(";");
+
+    const rotations = [...new Set(frames.map((f) => f.rot))];
+    let blocks = "";
+    for (const r of rotations) {
+      let rects = "";
+      for (const [dx, dy] of shapesOf(piece)[r]) {
+        const x = ox + dx;
+        const y = oy + dy;
+        const change = r === rot ? recolor?.(x, y) : null;
+        const setFill = change
+          ? `<set attributeName="fill" to="${change.to}" begin="${span(change.at)}" dur="${change.dur.toFixed(3)}s" />`
+          : "";
+        rects += `
+          <rect x="${gridX0 + x * pitch}" y="${gridY0 + y * pitch}" width="${cell}" height="${cell}" rx="3"
+                fill="${fillColor}" stroke="${theme.cellStroke}" stroke-width="1"
+                filter="url(#neonGlow)" opacity="0.95">${setFill}</rect>`;
+      }
+
+      if (rotations.length === 1) {
+        blocks += rects;
+        continue;
+      }
+      blocks += `
+        <g opacity="${r === rot ? 1 : 0}">
+          <animate attributeName="opacity" calcMode="discrete"
+                   values="${frames.map((f) => (f.rot === r ? 1 : 0)).join(";")}" keyTimes="${keyTimes}"
+                   dur="${motionDur.toFixed(3)}s" begin="${span(begin)}" fill="freeze" />
+          ${rects}
+        </g>`;
+    }
+
+    const visibility = fade ? `values="0;1;1;0" keyTimes="0;0.05;0.95;1"` : `values="1;1"`;
+
+    return `
+      <g opacity="0">
+        <animate attributeName="opacity" ${visibility}
+                 dur="${lifetime.toFixed(3)}s" begin="${span(begin)}" fill="remove" />
+        <animateTransform attributeName="transform" type="translate"
+                          values="${translate}" keyTimes="${keyTimes}"
+                          dur="${motionDur.toFixed(3)}s" begin="${span(begin)}" fill="freeze" />
+        ${blocks}
+      </g>
+    `;
+  }
+
+  // --------------------
+  // Simulation run: gravity drops, locks and row clears
+  // --------------------
+  // Gravity alone can't leave an empty day below a filled one, and removing
+  // cleared rows would shift the picture, so empty days lock as solid blocks
+  // and a cleared row flashes and recolors its blocks to the heatmap shades
+  // instead of collapsing. The settled board is the heatmap, exactly.
+  // `router` (see lib/pathfinder.js) holds each piece's inputs, found while
+  // the drop order was built.
+  function renderSimulationRun(steps, baseT, router) {
+    const runEnd = baseT + runDur;
+    const paths = steps.map((step) => (step.kind === "piece" ? router.route(step.placement) : null));
+
+    // Schedule relative to the run start
+    const begins = [];
+    const lands = [];
+    let cursor = 0.2;
+    steps.forEach((step, i) => {
+      const restsOn = Math.max(0, ...step.deps.map((d) => lands[d]));
+      if (step.kind === "lock") {
+        begins.push(restsOn);
+        lands.push(restsOn);
+        return;
+      }
+      const fall = pathDuration(paths[i]);
+      const begin = Math.max(cursor, restsOn + landGap - fall);
+      begins.push(begin);
+      lands.push(begin + fall);
+      cursor = begin + stepDur;
+    });
+
+    // A row is full once the last block touching it has landed
+    const fullAt = new Array(H).fill(0);
+    const completedBy = new Array(H).fill(-1);
+    steps.forEach((step, i) => {
+      for (const [, y] of step.cells) {
+        if (completedBy[y] >= 0 && lands[i] < fullAt[y]) continue;
+        fullAt[y] = lands[i];
+        completedBy[y] = i;
+      }
+    });
+
+    const end = Math.max(0, ...lands) + clearDelay + flashDur;
+    const k = Math.min(1, (runDur - holdDur) / end);
+    const at = (t) => baseT + t * k;
+    const clearAt = fullAt.map((t) => at(t + clearDelay));
+
+    let out = "";
+    steps.forEach((step, i) => {
+      const begin = at(begins[i]);
+
+      if (step.kind === "lock") {
+        const [[x, y]] = step.cells;
+        out += `
+      <rect x="${gridX0 + x * pitch}" y="${gridY0 + y * pitch}" width="${cell}" height="${cell}" rx="3"
+            fill="${theme.levels[0]}" stroke="${theme.cellStroke}" stroke-width="1" opacity="0">
+        <animate attributeName="opacity" values="1;1" dur="${(runEnd - begin).toFixed(3)}s"
+                 begin="${span(begin)}" fill="remove" />
+      </rect>`;
+        return;
+      }
+
+      const { piece, ox, oy } = step.placement;
+      out += renderFallingPiece(
+        // 1×1 fallback matches the GH green intensity of its day
+        { ...step.placement, color: piece === SINGLE ? theme.levels[levels[oy][ox]] : undefined },
+        paths[i],
+        {
+          begin,
+          motionDur: pathDuration(paths[i]) * k,
+          lifetime: runEnd - begin,
+          recolor: (x, y) => {
+            const clear = clearAt[y] + flashDur / 2;
+            return { to: theme.levels[levels[y][x]], at: clear, dur: runEnd - clear };
+          },
+        }
+      );
+    });
+
+    // Row flashes (rows made only of empty days have nothing to clear)
+    const clears = [];
+    for (let y = 0; y < H; y++) {
+      if (!mask[y].some(Boolean)) continue;
+      clears.push({ y, at: clearAt[y], by: completedBy[y] });
+      out += `
+      <rect x="${gridX0 - 2}" y="${gridY0 + y * pitch - 1}" width="${wellW + 4}" height="${cell + 2}" rx="3"
+            fill="${theme.flash}" opacity="0">
+        <animate attributeName="opacity" values="0;0.85;0" dur="${flashDur}s"
+                 begin="${span(clearAt[y])}" fill="remove" />
+      </rect>`;
+    }
+
+    return { svg: out, paths, begins: begins.map(at), lands: lands.map(at), clears };
+  }
+
+  // --- Tiling mask: contributed days only, never empty cells ---
+  const mask = Array.from({ length: H }, (_, y) => Array.from({ length: W }, (_, x) => grid[y][x] > 0));
+
+  // --- Build the overlay timeline ---
+  let overlay = "";
+  let coverage = 1;
+  const hudRuns = [];
+  const scoring = [];
+  for (let r = 0; r < N_RUNS; r++) {
+    const runSeed = (seed + r * 10007) >>> 0;
+    const rng = mulberry32(runSeed);
+    const baseT = r * runDur;
+
+    const tiling = tileMask(mask, { levels, rng, nodeBudget, timeBudgetMs, balance: game, pieceSet: set });
+    const placements = tiling.placements;
+
+    if (simulate) {
+      const dealer = game ? createDealer(rng, { pieceSet: set }) : null;
+      // Only pieces with a legal route over the current stack may drop
+      const router = createRouter({ pieceSet: set });
+      const { steps } = gravityOrder(placements, mask, { rng, choose: dealer?.choose, reachable: router.reachable });
+      const pieceCells = steps
+        .filter((s) => s.kind === "piece" && s.placement.piece !== SINGLE)
+        .reduce((n, s) => n + s.cells.length, 0);
+      coverage = Math.min(coverage, tiling.total ? pieceCells / tiling.total : 1);
+
+      const run = renderSimulationRun(steps, baseT, router);
+      overlay += run.svg;
+      if (!game) continue;
+
+      // Game panel: queue / Hold per turn, soft drop and line clear scoring
+      const turns = [];
+      steps.forEach((step, i) => {
+        if (!step.turn) return;
+        turns.push({ at: run.begins[i], ...step.turn });
+        const drops = run.paths[i].filter((state) => state.move === "down").length;
+        scoring.push({ at: run.lands[i], points: drops * SOFT_DROP_POINTS, lines: 0 });
+      });
+      const byPiece = new Map();
+      for (const { at, by } of run.clears) byPiece.set(by, { at, lines: (byPiece.get(by)?.lines ?? 0) + 1 });
+      for (const { at, lines } of byPiece.values()) scoring.push({ at, points: 0, lines });
+
+      const last = Math.max(0, ...turns.map((t) => t.next));
+      hudRuns.push({ start: baseT, dealt: dealer.upcoming(0, last + 5), turns });
+      continue;
+    }
+    const emptyWell = Array.from({ length: H }, () => new Array(W).fill(false));
+    const drops = placements.flatMap((pl) => dropRoutes(pl, emptyWell));
+    const pieceCells = drops.filter((d) => d.placement.piece !== SINGLE).reduce((n, d) => n + d.placement.shape.length, 0);
+    coverage = Math.min(coverage, tiling.total ? pieceCells / tiling.total : 1);
+
+    // Spread animations across the run duration, leaving room for the last
+    // piece's moves to finish inside the run
+    const localStep = drops.length > 0 ? Math.min(stepDur, (runDur - 2) / drops.length) : stepDur;
+
+    for (let i = 0; i < drops.length; i++) {
+      const { placement: pl, path } = drops[i];
+      const motionDur = pathDuration(path);
+
+      overlay += renderFallingPiece(
+        // 1×1 fallback matches the GH green intensity of its day
+        { ...pl, color: pl.piece === SINGLE ? theme.levels[levels[pl.oy][pl.ox]] : undefined },
+        path,
+        { begin: baseT + i * localStep, motionDur, lifetime: motionDur + lingerDur, fade: true }
+      );
+    }
+  }
+
+  // --- Game panel (score accumulates over the whole loop) ---
+  let panel = null;
+  if (game) {
+    let score = 0;
+    let lines = 0;
+    const counters = scoring
+      .sort((a, b) => a.at - b.at)
+      .map((e) => {
+        score += e.points + LINE_CLEAR_POINTS[Math.min(4, e.lines)] * levelFor(lines);
+        lines += e.lines;
+        return { at: e.at, score, lines, level: levelFor(lines) };
+      });
+    panel = renderGameHud({
+      x: gridX0 + wellW + 18,
+      y: pad,
+      cell,
+      theme,
+      runDur,
+      totalDur,
+      runs: hudRuns,
+      counters,
+      pieceSet: set,
+    });
+  }
+
+  // --- Legend + stats (GitHub-like) ---
+  const legendY = gridY0 + wellH + 26;
+  const legendXRight = gridX0 + wellW;
+
+  // Worst run across the loop, so the HUD never overstates a frame
+  const stats = statsLabel({
+    x: gridX0,
+    y: legendY + 2,
+    fill: theme.text,
+    totalYear,
+    last7,
+    last30,
+    extra: `${set.name}: ${(coverage * 100).toFixed(1)}%`,
+  });
+
+  const legend = levelLegend({
+    xRight: legendXRight,
+    y: legendY + 2,
+    cell,
+    levels: theme.levels,
+    stroke: theme.cellStroke,
+    fill: theme.label,
+  });
+
+  const svg = `
+<svg xmlns="http://www.w3.org/2000/svg"
+     width="${INTRINSIC_W}" height="${INTRINSIC_H}"
+     viewBox="0 0 ${width} ${height}"
+     preserveAspectRatio="xMidYMid meet">
+  ${defs}
+  <rect x="0" y="0" width="${width}" height="${height}" fill="url(#bgGrad)"/>
+
+  ${months}
+  ${weekdays}
+
+  ${heat}
+  ${overlay}
+
+  ${stats}
+  ${legend}
+  ${game ? `<defs>${panel.defs}</defs>${panel.svg}` : ""}
+</svg>
+`.trim();
+  // Still: the end of the first run (drop: the heatmap; simulate / game: the settled board)
+  return snapshot ? freezeSvg(svg, runDur - 0.01) : svg;
+}
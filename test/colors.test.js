@@ -0,0 +1,55 @@
+// test/colors.test.js
+//
+// One CSS color parser serves the theme checks, the rasterizer and the SMIL
+// timeline, so a color that passes validation also paints and tweens.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { isColor, parseColor } from "../scripts/lib/colors.js";
+import { createRasterizer } from "../scripts/lib/rasterize.js";
+
+const near = (actual, expected) =>
+  assert.ok(actual.every((v, i) => Math.abs(v - expected[i]) < 0.01), `${actual} is not ${expected}`);
+
+test("every notation reads as rgba", () => {
+  near(parseColor("#39d353"), [57, 211, 83, 1]);
+  near(parseColor("#0e4429cc"), [14, 68, 41, 0.8]);
+  near(parseColor("#fff"), [255, 255, 255, 1]);
+  near(parseColor("RebeccaPurple"), [102, 51, 153, 1]);
+  near(parseColor("peachpuff"), [255, 218, 185, 1]);
+  near(parseColor("transparent"), [0, 0, 0, 0]);
+  near(parseColor("rgb(10, 20, 30)"), [10, 20, 30, 1]);
+  near(parseColor("rgba(100%, 0%, 50%, .25)"), [255, 0, 127.5, 0.25]);
+  near(parseColor("hsl(120deg 100% 25%)"), [0, 127.5, 0, 1]);
+  near(parseColor("hsla(240, 100%, 50%, 0.5)"), [0, 0, 255, 0.5]);
+});
+
+test("a percent alpha is a fraction, not a channel", () => {
+  near(parseColor("rgb(10 20 30 / 50%)"), [10, 20, 30, 0.5]);
+  near(parseColor("hsl(0 0% 100% / 40%)"), [255, 255, 255, 0.4]);
+});
+
+test("isColor and parseColor agree", () => {
+  for (const value of ["#39d353", "teal", "rgb(1 2 3 / 4%)", "hsla(0, 0%, 100%, .5)"]) assert.ok(isColor(value), value);
+  for (const value of ['red" onload="alert(1)', "url(#x)", "#12345", "rgb(1 2)", "rgb(1, 2 3)", "hsl(10% 2% 3%)", "none", "", 12]) {
+    assert.equal(parseColor(value), null, String(value));
+    assert.ok(!isColor(value), String(value));
+  }
+});
+
+test("fills tween between colors in any notation", () => {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4" viewBox="0 0 4 4">
+    <rect width="4" height="4" fill="red">
+      <animate attributeName="fill" values="red;rgb(0 0 255)" dur="2s" fill="freeze"/>
+    </rect>
+    <rect y="2" width="4" height="2" fill="hsl(120 100% 50%)">
+      <animate attributeName="fill" values="hsl(120 100% 50%);rgba(0, 255, 0, 0)" dur="2s" fill="freeze"/>
+    </rect>
+  </svg>`;
+  const raster = createRasterizer(svg);
+  const pixel = (rgba, x, y) => [...rgba.slice((y * raster.width + x) * 4, (y * raster.width + x) * 4 + 4)];
+  const halfway = raster.frame(1);
+  near(pixel(halfway, 0, 0), [128, 0, 128, 255]);
+  // The lower rect is half see-through green over that purple
+  near(pixel(halfway, 0, 3), [64, 128, 64, 255]);
+});
@@ -0,0 +1,76 @@
+// test/constellations.test.js
+//
+// Constellation labels stay readable on every layout: none overlaps another
+// label or the month and weekday labels the layout draws itself, and the
+// radial layouts find room for as many figures as the grid does.
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { findConstellations } from "../scripts/lib/constellations.js";
+import { buildHeatmap } from "../scripts/lib/heatmap.js";
+import { calendarLayout, LAYOUTS } from "../scripts/lib/layout.js";
+import { FIXTURES, loadFixture } from "./helpers.js";
+
+const overlap = (a, b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+
+// Figures and their label boxes on `layout`, set up the way the stars style does
+function labelled(heatmap, layout) {
+  const bandH = layout === "grid" ? 12 : 0;
+  const board = calendarLayout(layout, { W: heatmap.W, H: heatmap.H, cell: 12, gap: 2, top: 22 + bandH });
+  const { cells: well } = board;
+  const taken = board.labelBoxes(heatmap);
+  const figures = findConstellations(heatmap, {
+    at: board.center,
+    pitch: 14,
+    bands: bandH ? [well.y - 4, well.y + well.height + bandH - 1] : [],
+    spokes: layout !== "grid",
+    maxX: layout === "grid" ? well.x + well.width : board.width,
+    avoid: taken,
+  });
+  const boxes = figures.map((f) => ({ x: f.labelX, y: f.labelY - 9, w: f.label.length * 5.2, h: 9, label: f.label }));
+  return { figures, boxes, taken };
+}
+
+for (const fixture of FIXTURES) {
+  describe(`fixture ${fixture}`, () => {
+    const heatmap = buildHeatmap(loadFixture(fixture));
+    const onGrid = labelled(heatmap, "grid").figures.length;
+
+    for (const layout of LAYOUTS) {
+      test(`${layout}: labels keep clear of each other and the layout's labels`, () => {
+        const { figures, boxes, taken } = labelled(heatmap, layout);
+        boxes.forEach((box, i) => {
+          for (const other of [...taken, ...boxes.slice(0, i)]) {
+            assert.ok(!overlap(box, other), `"${box.label}" overlaps a label at ${other.x.toFixed(1)},${other.y.toFixed(1)}`);
+          }
+        });
+        assert.ok(figures.length >= onGrid, `${figures.length} figures kept, ${onGrid} on the grid`);
+      });
+    }
+  });
+}
+
+test("week-long streaks keep their labels on radial layouts", () => {
+  const heatmap = buildHeatmap(loadFixture("sample"));
+  const streaks = labelled(heatmap, "grid").figures.filter((f) => f.kind === "streak").map((f) => f.label);
+  assert.ok(streaks.length > 0);
+  for (const layout of ["ring", "spiral"]) {
+    const kept = labelled(heatmap, layout).figures.map((f) => f.label);
+    for (const label of new Set(streaks)) {
+      const count = (labels) => labels.filter((l) => l === label).length;
+      assert.ok(count(kept) >= count(streaks), `${layout} drops a ${label}`);
+    }
+  }
+});
+
+test("spiral month labels are boxed where they are drawn", () => {
+  const heatmap = buildHeatmap(loadFixture("sample"));
+  const board = calendarLayout("spiral", { W: heatmap.W, H: heatmap.H, cell: 12, gap: 2 });
+  const drawn = [...board.labels({ monthStarts: heatmap.monthStarts, fill: "#fff" }).matchAll(/x="([\d.]+)" y="([\d.]+)"/g)];
+  const boxes = board.labelBoxes(heatmap);
+  assert.equal(boxes.length, drawn.length);
+  drawn.forEach(([, x, y], i) => {
+    const { x: bx, y: by, w, h } = boxes[i];
+    assert.ok(Math.abs(bx + w / 2 - x) < 0.1 && Math.abs(by + h / 2 - y) < 0.1, `label ${i} is boxed away from ${x},${y}`);
+  });
+});
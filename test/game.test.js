@@ -0,0 +1,75 @@
+// test/game.test.js
+//
+// The game mode's dealer: the piece stream is a 7-bag (one of each piece per
+// bag) except for the bags a mercy deal from outside had to break, which it
+// lists in `offBag`.
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { createDealer, sevenBag } from "../scripts/lib/game.js";
+import { gravityOrder } from "../scripts/lib/gravity.js";
+import { buildHeatmap } from "../scripts/lib/heatmap.js";
+import { createRouter } from "../scripts/lib/pathfinder.js";
+import { PIECE_SETS, resolvePieceSet } from "../scripts/lib/piece-sets.js";
+import { mulberry32 } from "../scripts/lib/rng.js";
+import { tileMask } from "../scripts/lib/tiler.js";
+import { FIXTURES, loadFixture } from "./helpers.js";
+
+const sorted = (pieces) => [...pieces].sort().join(" ");
+
+// Deals a whole game over `mask` and checks every bag of the stream
+function checkBags(mask, levels, pieceSet, seed) {
+  const set = resolvePieceSet(pieceSet);
+  const rng = mulberry32(seed);
+  const { placements } = tileMask(mask, { levels, rng, balance: true, pieceSet: set });
+  const dealer = createDealer(rng, { pieceSet: set });
+  gravityOrder(placements, mask, { rng, choose: dealer.choose, reachable: createRouter({ pieceSet: set }).reachable });
+
+  const n = set.order.length;
+  const { dealt, offBag } = dealer;
+  for (let start = 0; start + n <= dealt.length; start += n) {
+    const bag = dealt.slice(start, start + n);
+    const broken = offBag.filter((i) => i >= start && i < start + n);
+    if (!broken.length) {
+      assert.equal(sorted(bag), sorted(set.order), `bag at ${start}`);
+      continue;
+    }
+    // The pieces nobody replaced are still one of each
+    const kept = bag.filter((_, k) => !broken.includes(start + k));
+    assert.equal(new Set(kept).size, kept.length, `bag at ${start} repeats a piece it was dealt`);
+  }
+  return { offBag: offBag.length, dealt: dealt.length };
+}
+
+test("sevenBag deals every piece once per bag", () => {
+  const bag = sevenBag(mulberry32(3));
+  for (let b = 0; b < 20; b++) {
+    const seven = Array.from({ length: 7 }, () => bag.next().value);
+    assert.equal(sorted(seven), sorted(resolvePieceSet().order));
+  }
+});
+
+describe("mercy deals keep to the bag", () => {
+  for (const fixture of FIXTURES) {
+    test(`fixture ${fixture}`, () => {
+      const { grid, levels } = buildHeatmap(loadFixture(fixture));
+      const mask = grid.map((row) => row.map((count) => count > 0));
+      for (const pieceSet of Object.keys(PIECE_SETS)) checkBags(mask, levels, pieceSet, 11);
+    });
+  }
+
+  test("random calendars break few bags", () => {
+    let off = 0;
+    let dealt = 0;
+    for (let seed = 0; seed < 20; seed++) {
+      const rng = mulberry32(seed);
+      const density = 0.3 + rng() * 0.7;
+      const mask = Array.from({ length: 7 }, () => Array.from({ length: 53 }, () => rng() < density));
+      const levels = mask.map((row) => row.map((on) => (on ? 2 : 0)));
+      const counts = checkBags(mask, levels, "tetrominoes", seed);
+      off += counts.offBag;
+      dealt += counts.dealt;
+    }
+    assert.ok(off / dealt < 0.2, `${off} of ${dealt} deals came from outside their bag`);
+  });
+});
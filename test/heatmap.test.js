@@ -0,0 +1,36 @@
+// test/heatmap.test.js
+//
+// The grid every renderer draws from: days land on their weekday's row, and
+// the totals add up.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { buildHeatmap } from "../scripts/lib/heatmap.js";
+import { loadFixture } from "./helpers.js";
+
+test("a short first week fills its weekday rows, not the top ones", () => {
+  const weeks = loadFixture("partial-week");
+  const { dates, W, H } = buildHeatmap(weeks);
+  assert.deepEqual(
+    dates.map((row) => row[0]),
+    [null, null, null, "2025-01-01", "2025-01-02", "2025-01-03", "2025-01-04"]
+  );
+  for (let x = 0; x < W; x++) {
+    for (let y = 0; y < H; y++) {
+      if (dates[y][x]) assert.equal(new Date(`${dates[y][x]}T00:00:00Z`).getUTCDay(), y, dates[y][x]);
+    }
+  }
+});
+
+test("totals and levels follow the days", () => {
+  const weeks = loadFixture("sample");
+  const { grid, totalYear } = buildHeatmap(weeks);
+  const days = weeks.flatMap((week) => week.contributionDays); // 53 weeks, all drawn
+  assert.equal(totalYear, days.reduce((n, d) => n + d.contributionCount, 0));
+  assert.equal(grid.flat().reduce((n, c) => n + c, 0), totalYear);
+
+  assert.deepEqual(buildHeatmap(loadFixture("empty")).levels.flat(), new Array(53 * 7).fill(0));
+  const max = buildHeatmap(loadFixture("max"));
+  max.dates.forEach((row, y) => row.forEach((date, x) => assert.equal(max.levels[y][x], date ? 4 : 0, `day ${x},${y}`)));
+  assert.equal(buildHeatmap(loadFixture("single-day")).levels.flat().filter(Boolean).length, 1);
+});
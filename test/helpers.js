@@ -0,0 +1,55 @@
+// test/helpers.js
+//
+// Shared by the test files: the fixture calendars, every style × mode the
+// renderers offer, and a well-formedness check stricter than what
+// parseSvg (scripts/lib/svg-tree.js) needs to read the markup.
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { normalizeWeeks } from "../scripts/lib/data-source.js";
+import { parseSvg } from "../scripts/lib/svg-tree.js";
+import { STYLES } from "../scripts/renderers/index.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// fixtures/weeks.<name>.json: a real-looking year, nothing at all, one lone
+// day, every day at the top level, and a calendar year starting on a Wednesday
+export const FIXTURES = ["sample", "empty", "single-day", "max", "partial-week"];
+
+export function loadFixture(name) {
+  return normalizeWeeks(JSON.parse(fs.readFileSync(path.join(ROOT, "fixtures", `weeks.${name}.json`), "utf-8")));
+}
+
+// [{ style, mode }] for every style, once per mode where it has them
+export const CASES = Object.entries(STYLES).flatMap(([style, renderer]) =>
+  (renderer.MODES ?? [undefined]).map((mode) => ({ style, mode }))
+);
+
+export const caseName = ({ style, mode }) => (mode ? `${style}/${mode}` : style);
+
+// Throws (via assert) unless `svg` is markup a browser takes as it is: one
+// <svg> root, no repeated attributes or ids, escaped text, every #reference
+// pointing at an id, and no NaN / undefined leaking out of a template
+export function assertWellFormed(svg) {
+  const { root, ids } = parseSvg(svg);
+  assert.equal(root.attrs.xmlns, "http://www.w3.org/2000/svg");
+  assert.doesNotMatch(svg, /^(<<<<<<<|=======|>>>>>>>)/m, "merge markers");
+  assert.doesNotMatch(svg, /&(?!#\d+;|#x[0-9a-f]+;|\w+;)/i, "unescaped &");
+  assert.doesNotMatch(svg, /NaN|undefined|Infinity/, "a non-number in the markup");
+
+  for (const [, tag, attrList] of svg.matchAll(/<([\w:-]+)((?:\s+[\w:-]+\s*=\s*"[^"]*")*)\s*\/?>/g)) {
+    const names = [...attrList.matchAll(/([\w:-]+)\s*=/g)].map(([, name]) => name);
+    assert.equal(new Set(names).size, names.length, `<${tag}> repeats an attribute: ${names.join(" ")}`);
+  }
+
+  const seen = new Set();
+  for (const [, id] of svg.matchAll(/\sid="([^"]*)"/g)) {
+    assert.ok(!seen.has(id), `id "${id}" used twice`);
+    seen.add(id);
+  }
+  for (const [, id] of svg.matchAll(/(?:href="#|url\(#)([^")]+)/g)) {
+    assert.ok(ids.has(id), `#${id} points at nothing`);
+  }
+}
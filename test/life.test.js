@@ -0,0 +1,43 @@
+// test/life.test.js
+//
+// --generations is bounded: a run of 1 to MAX_GENERATIONS goes ahead, anything
+// else is refused up front, by the library and by the CLI.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { spawnSync } from "child_process";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { lifeGenerations, MAX_GENERATIONS } from "../scripts/lib/life.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const glider = [
+  [0, 1, 0, 0, 0],
+  [0, 0, 1, 0, 0],
+  [1, 1, 1, 0, 0],
+  [0, 0, 0, 0, 0],
+  [0, 0, 0, 0, 0],
+];
+
+test("runs anywhere from one generation to the cap", () => {
+  assert.equal(lifeGenerations(glider, { generations: 1 }).length, 2);
+  assert.equal(lifeGenerations(glider, { generations: MAX_GENERATIONS, edges: "wrap" }).length, MAX_GENERATIONS + 1);
+});
+
+test("refuses counts outside 1 to the cap", () => {
+  for (const generations of [0, -1, 2.5, MAX_GENERATIONS + 1, Infinity]) {
+    assert.throws(() => lifeGenerations(glider, { generations }), /Generations must be a whole number from 1/);
+  }
+});
+
+test("the CLI reports an out-of-range --generations and exits 1", () => {
+  for (const value of ["0", String(MAX_GENERATIONS + 1), "100000000"]) {
+    const run = spawnSync(
+      process.execPath,
+      ["scripts/contrib.js", "--style", "life", "--generations", value, "--input", "fixtures/weeks.sample.json", "--out", "-"],
+      { cwd: ROOT, encoding: "utf-8", timeout: 30000 }
+    );
+    assert.equal(run.status, 1, value);
+    assert.match(run.stderr, new RegExp(`--generations must be a whole number from 1 to ${MAX_GENERATIONS} \\(got "${value}"\\)`));
+  }
+});
@@ -0,0 +1,89 @@
+// test/mines.test.js
+//
+// The minesweeper solver plays fair: it only flags mines and opens cells the
+// numbers prove, its guesses come from what a player can see (so they can
+// lose), a lost game ends on the mine it hit, and a won one clears the board.
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { buildHeatmap } from "../scripts/lib/heatmap.js";
+import { mineBoard, solveBoard } from "../scripts/lib/mines.js";
+import { mulberry32 } from "../scripts/lib/rng.js";
+import { FIXTURES, loadFixture } from "./helpers.js";
+
+// Replays `moves` game by game, checking each click against the key
+function checkMoves(board, { moves, guesses, losses, won }, maxGames) {
+  const { mines, inPlay } = board;
+  const safeCount = inPlay.flat().filter(Boolean).length - mines.flat().filter(Boolean).length;
+  const mineCount = mines.flat().filter(Boolean).length;
+  let opened = new Set();
+  let flagged = new Set();
+  let booms = 0;
+  let guessed = 0;
+  for (const move of moves) {
+    const key = `${move.x},${move.y}`;
+    if (move.kind === "boom") {
+      assert.ok(mines[move.y][move.x], `boom on the safe cell ${key}`);
+      booms++;
+      guessed++;
+      opened = new Set();
+      flagged = new Set();
+    } else if (move.kind === "flag") {
+      assert.ok(mines[move.y][move.x], `flag on the safe cell ${key}`);
+      assert.ok(!flagged.has(key), `${key} flagged twice`);
+      flagged.add(key);
+    } else {
+      if (move.guess && opened.size) guessed++;
+      for (const c of move.cells) {
+        assert.ok(!mines[c.y][c.x], `opened the mine at ${c.x},${c.y}`);
+        assert.ok(!opened.has(`${c.x},${c.y}`), `${c.x},${c.y} opened twice`);
+        opened.add(`${c.x},${c.y}`);
+      }
+    }
+  }
+  assert.equal(booms, losses);
+  assert.equal(guessed, guesses);
+  if (won) {
+    assert.equal(opened.size, safeCount);
+    assert.equal(flagged.size, mineCount);
+  } else {
+    assert.equal(losses, maxGames);
+  }
+}
+
+describe("fixtures", () => {
+  for (const fixture of FIXTURES) {
+    test(`fixture ${fixture}`, () => {
+      const { grid, dates } = buildHeatmap(loadFixture(fixture));
+      const board = mineBoard(grid, dates);
+      for (let seed = 0; seed < 5; seed++) {
+        const result = solveBoard(board, { rng: mulberry32(seed), maxGames: 3 });
+        checkMoves(board, result, 3);
+        assert.deepEqual(solveBoard(board, { rng: mulberry32(seed), maxGames: 3 }), result);
+      }
+    });
+  }
+});
+
+test("a coin-flip guess loses about half the time", () => {
+  // . 1 1 . — after the first click, the mine next to it is either side
+  const board = mineBoard([[0, 1, 1, 0]], [["a", "b", "c", "d"]]);
+  let lost = 0;
+  for (let seed = 0; seed < 40; seed++) {
+    const result = solveBoard(board, { rng: mulberry32(seed), maxGames: 1 });
+    checkMoves(board, result, 1);
+    assert.equal(result.guesses, 1);
+    lost += result.losses;
+  }
+  assert.ok(lost > 5 && lost < 35, `lost ${lost} of 40 coin flips`);
+});
+
+test("deducible boards are won without guessing", () => {
+  // Mines down one edge: the opening's border numbers give all of them away
+  const grid = Array.from({ length: 7 }, () => [0, 3, 3, 3, 3, 3]);
+  const dates = grid.map((row) => row.map(() => "d"));
+  const board = mineBoard(grid, dates);
+  const result = solveBoard(board, { rng: mulberry32(1) });
+  checkMoves(board, result, 5);
+  assert.deepEqual([result.won, result.guesses, result.losses], [true, 0, 0]);
+});
@@ -0,0 +1,105 @@
+// test/pathfinder.test.js
+//
+// Every move a tetris piece animates is a legal input: replayed from the spawn
+// over the board as it stood, each step is what that input does and the piece
+// ends on its target.
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { createDealer } from "../scripts/lib/game.js";
+import { gravityOrder, placementCells } from "../scripts/lib/gravity.js";
+import { buildHeatmap } from "../scripts/lib/heatmap.js";
+import { applyMove, createRouter, findMoves, spawnState } from "../scripts/lib/pathfinder.js";
+import { PIECE_SETS, resolvePieceSet, SINGLE } from "../scripts/lib/piece-sets.js";
+import { mulberry32 } from "../scripts/lib/rng.js";
+import { tileMask } from "../scripts/lib/tiler.js";
+import { FIXTURES, loadFixture } from "./helpers.js";
+
+const cellsOf = (piece, set, { x, y, rot }) =>
+  (piece === SINGLE ? [[0, 0]] : set.shapes[piece][rot])
+    .map(([dx, dy]) => `${x + dx},${y + dy}`)
+    .sort()
+    .join(" ");
+
+function assertLegal(path, placement, board, set) {
+  const { piece } = placement;
+  const W = board[0].length;
+  const spawns = [0, 1, 2, 3].flatMap((rot) => [0, 1, 2, 3].map((lift) => spawnState(piece, W, { lift, rot, pieceSet: set })));
+  assert.ok(
+    spawns.some((s) => s && s.x === path[0].x && s.y === path[0].y && s.rot === path[0].rot),
+    `${piece} starts away from its spawn`
+  );
+  for (let i = 1; i < path.length; i++) {
+    const { move, ...state } = path[i];
+    assert.deepEqual(applyMove(path[i - 1], move, piece, board, { pieceSet: set }), state, `${piece} input ${i}: ${move}`);
+  }
+  const end = path[path.length - 1];
+  const target = placementCells(placement)
+    .map(([x, y]) => `${x},${y}`)
+    .sort()
+    .join(" ");
+  assert.equal(cellsOf(piece, set, end), target, `${piece} ends off its target`);
+}
+
+// Simulate / game drop order, checking each route over the board it was played on
+function checkRun(heatmap, pieceSet, seed, { game = false } = {}) {
+  const set = resolvePieceSet(pieceSet);
+  const rng = mulberry32(seed);
+  const mask = heatmap.grid.map((row) => row.map((count) => count > 0));
+  const { placements } = tileMask(mask, { levels: heatmap.levels, rng, balance: game, pieceSet: set });
+
+  // Drop mode: into an empty well, as 1×1 blocks when the well is too narrow
+  const emptyWell = mask.map((row) => row.map(() => false));
+  for (const placement of placements) {
+    const path = findMoves(placement, emptyWell, { pieceSet: set });
+    if (path) {
+      assertLegal(path, placement, emptyWell, set);
+      continue;
+    }
+    assert.ok(mask[0].length < 5, `${placement.piece} has no route into an empty well ${mask[0].length} wide`);
+    for (const [ox, oy] of placementCells(placement)) {
+      const single = { piece: SINGLE, shape: [[0, 0]], ox, oy };
+      assertLegal(findMoves(single, emptyWell, { pieceSet: set }), single, emptyWell, set);
+    }
+  }
+
+  const router = createRouter({ pieceSet: set });
+  const dealer = game ? createDealer(rng, { pieceSet: set }) : null;
+  const { steps } = gravityOrder(placements, mask, { rng, choose: dealer?.choose, reachable: router.reachable });
+  const board = mask.map((row) => row.map(() => false));
+  for (const step of steps) {
+    if (step.kind === "piece") assertLegal(router.route(step.placement), step.placement, board, set);
+    for (const [x, y] of step.cells) board[y][x] = true;
+  }
+}
+
+// Random calendars of every density, in the shape buildHeatmap returns
+function randomHeatmap(seed, W = 53) {
+  const rng = mulberry32(seed);
+  const density = rng();
+  const grid = Array.from({ length: 7 }, () => Array.from({ length: W }, () => (rng() < density ? 1 + Math.floor(rng() * 20) : 0)));
+  return { grid, levels: grid.map((row) => row.map((count) => Math.min(4, Math.ceil(count / 5)))) };
+}
+
+describe("routes are legal inputs", () => {
+  for (const fixture of FIXTURES) {
+    test(`fixture ${fixture}`, () => {
+      const heatmap = buildHeatmap(loadFixture(fixture));
+      for (const pieceSet of Object.keys(PIECE_SETS)) checkRun(heatmap, pieceSet, 1, { game: true });
+    });
+  }
+
+  test("random calendars", () => {
+    for (let seed = 0; seed < 12; seed++) {
+      for (const pieceSet of Object.keys(PIECE_SETS)) checkRun(randomHeatmap(seed), pieceSet, seed, { game: seed % 2 === 0 });
+    }
+  });
+
+  test("calendars one to three weeks wide", () => {
+    for (let seed = 0; seed < 12; seed++) {
+      for (const pieceSet of Object.keys(PIECE_SETS)) {
+        checkRun(randomHeatmap(seed, 1 + (seed % 3)), pieceSet, seed, { game: seed % 2 === 0 });
+      }
+    }
+  });
+});
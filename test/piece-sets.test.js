@@ -0,0 +1,39 @@
+// test/piece-sets.test.js
+//
+// Custom piece sets come from files and their colors and name end up in the
+// SVG, so both are checked before anything is drawn.
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { test } from "node:test";
+
+import { readPieceSetFile, resolvePieceSet } from "../scripts/lib/piece-sets.js";
+
+const spec = (color, name = "dominoes") => ({ name, pieces: { D: { shape: ["##"], color } } });
+
+test("custom pieces take CSS colors", () => {
+  for (const color of ["#f0a", "rgb(255, 0, 170)", "hsl(320deg 100% 50%)", "hotpink"]) {
+    assert.equal(resolvePieceSet(spec(color)).colors.D, color);
+  }
+  assert.deepEqual(resolvePieceSet(spec(undefined)).colors, {});
+});
+
+test("colors or names that could inject markup are refused", () => {
+  for (const color of ['red" onload="alert(1)', "}</style><script>", "url(#x)", 7]) {
+    assert.throws(() => resolvePieceSet(spec(color)), /D\.color must be a color/);
+  }
+  assert.throws(() => resolvePieceSet(spec("#fff", "</text><script>")), /name must be plain text/);
+});
+
+test("a file can't pass itself off as an already-built set", () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "pieces-")), "set.json");
+  try {
+    fs.writeFileSync(file, JSON.stringify({ name: "x", shapes: { D: [[[0, 0]]] }, colors: { D: '"/><script>' } }));
+    assert.throws(() => readPieceSetFile(file), /must be a set spec/);
+    fs.writeFileSync(file, JSON.stringify(spec("#0f0")));
+    assert.equal(readPieceSetFile(file).colors.D, "#0f0");
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true });
+  }
+});
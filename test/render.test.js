@@ -0,0 +1,94 @@
+// test/render.test.js
+//
+// Every style × mode on every fixture calendar: the SVG is well formed, and
+// the same input and seed give byte-identical output, in this process and
+// against the digests recorded in golden.json. After a deliberate change to
+// the pictures, rewrite those with
+//
+//   UPDATE_GOLDEN=1 npm test
+import assert from "node:assert/strict";
+import { createHash } from "crypto";
+import fs from "fs";
+import { after, describe, test } from "node:test";
+
+import { renderContributionSvg } from "../scripts/lib/render.js";
+import { STYLES } from "../scripts/renderers/index.js";
+import { assertWellFormed, caseName, CASES, FIXTURES, loadFixture } from "./helpers.js";
+
+const GOLDEN = new URL("./golden.json", import.meta.url);
+const update = Boolean(process.env.UPDATE_GOLDEN);
+const golden = fs.existsSync(GOLDEN) ? JSON.parse(fs.readFileSync(GOLDEN, "utf-8")) : {};
+
+const SEED = 20240601;
+const sha256 = (text) => createHash("sha256").update(text).digest("hex");
+
+for (const fixture of FIXTURES) {
+  describe(`fixture ${fixture}`, () => {
+    const weeks = loadFixture(fixture);
+
+    for (const c of CASES) {
+      test(caseName(c), () => {
+        const { svg } = renderContributionSvg(weeks, { ...c, seed: SEED });
+        assertWellFormed(svg);
+
+        const again = renderContributionSvg(weeks, { ...c, seed: SEED }).svg;
+        assert.ok(again === svg, "a second render with the same seed came out different");
+
+        const key = `${fixture}:${caseName(c)}`;
+        if (update) golden[key] = sha256(svg);
+        else assert.equal(sha256(svg), golden[key], `${key} no longer matches golden.json (UPDATE_GOLDEN=1 if intended)`);
+      });
+    }
+  });
+}
+
+describe("output variants", () => {
+  const weeks = loadFixture("sample");
+
+  for (const c of CASES) {
+    test(`${caseName(c)}: auto theme, CSS animation, optimized`, () => {
+      const { svg } = renderContributionSvg(weeks, { ...c, theme: "auto", animation: "css", optimize: true });
+      assertWellFormed(svg);
+      assert.doesNotMatch(svg, /<(animate|set|animateTransform|animateMotion)\b/);
+    });
+
+    test(`${caseName(c)}: optimizing keeps every timing attribute as written`, () => {
+      const timings = (svg) =>
+        [...svg.matchAll(/\s(begin|dur|keyTimes)="([^"]*)"/g)].map(([, name, value]) => `${name}=${value.replace(/\s+/g, " ").trim()}`).sort();
+      const { svg: plain } = renderContributionSvg(weeks, c);
+      const { svg: small } = renderContributionSvg(weeks, { ...c, optimize: true });
+      assert.deepEqual(timings(small), timings(plain));
+    });
+
+    test(`${caseName(c)}: snapshot`, () => {
+      const { svg } = renderContributionSvg(weeks, { ...c, snapshot: true });
+      assertWellFormed(svg);
+      assert.doesNotMatch(svg, /<(animate|set|animateTransform|animateMotion)\b/);
+    });
+  }
+});
+
+describe("radial layouts", () => {
+  const calendars = { sample: loadFixture("sample"), "no weeks at all": [] };
+  const radial = CASES.filter(({ style }) => STYLES[style].LAYOUTS);
+
+  for (const [name, weeks] of Object.entries(calendars)) {
+    for (const c of radial) {
+      for (const layout of ["ring", "spiral"]) {
+        test(`${name}, ${caseName(c)} on a ${layout}: a square badge`, () => {
+          const { svg } = renderContributionSvg(weeks, { ...c, layout, seed: SEED });
+          assertWellFormed(svg);
+          assert.doesNotMatch(svg, /\s(?:c?x\d?|c?y\d?|width|height|r)="-?\d+\.\d{3,}"/, "an unrounded coordinate");
+          const [, , w, h] = svg.match(/viewBox="([^"]*)"/)[1].split(" ").map(Number);
+          assert.equal(w, h);
+        });
+      }
+    }
+  }
+});
+
+after(() => {
+  if (!update) return;
+  const sorted = Object.fromEntries(Object.entries(golden).sort(([a], [b]) => (a < b ? -1 : 1)));
+  fs.writeFileSync(GOLDEN, `${JSON.stringify(sorted, null, 2)}\n`, "utf-8");
+});
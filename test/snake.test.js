@@ -0,0 +1,66 @@
+// test/snake.test.js
+//
+// The snake always finishes: on any calendar it eats every contributed day,
+// never runs into itself, and crawls off the board again.
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { buildHeatmap } from "../scripts/lib/heatmap.js";
+import { mulberry32 } from "../scripts/lib/rng.js";
+import { boardCycle, planSnake } from "../scripts/lib/snake.js";
+import { FIXTURES, loadFixture } from "./helpers.js";
+
+function checkRun(levels, seed) {
+  const W = levels[0].length;
+  const { path, lengths, eatenAt, eaten } = planSnake(levels, { rng: mulberry32(seed) });
+  const onBoard = ([x]) => x >= 0 && x < W;
+
+  levels.forEach((row, y) =>
+    row.forEach((level, x) => assert.equal(eatenAt[y][x] !== null, level > 0, `day ${x},${y} (level ${level})`))
+  );
+  assert.equal(eaten, levels.flat().filter((level) => level > 0).length);
+
+  for (let t = 1; t < path.length; t++) {
+    const [[ax, ay], [bx, by]] = [path[t - 1], path[t]];
+    assert.equal(Math.abs(ax - bx) + Math.abs(ay - by), 1, `tick ${t} jumps`);
+    const body = path.slice(Math.max(0, t + 1 - lengths[t]), t + 1).filter(onBoard).map(String);
+    assert.equal(new Set(body).size, body.length, `tick ${t}: the snake runs into itself`);
+  }
+  const tail = path.slice(-lengths[lengths.length - 1]);
+  assert.ok(!tail.some(onBoard), "the snake never left the board");
+}
+
+test("boardCycle visits every cell once, each step to a neighbour", () => {
+  for (let W = 1; W <= 9; W++) {
+    for (const H of [1, 2, 3, 7]) {
+      const { cells, slot } = boardCycle(W, H);
+      const line = W === 1 || H === 1;
+      assert.equal(cells.length, !line && (W * H) % 2 ? W * H - 1 : W * H, `${W}×${H}`);
+      assert.equal(new Set(cells.map(String)).size, cells.length, `${W}×${H} repeats a cell`);
+      assert.ok(slot.every((s) => s >= 0), `${W}×${H} leaves a cell without a slot`);
+      const steps = line ? cells.length - 1 : cells.length;
+      for (let i = 0; i < steps; i++) {
+        const [[ax, ay], [bx, by]] = [cells[i], cells[(i + 1) % cells.length]];
+        assert.equal(Math.abs(ax - bx) + Math.abs(ay - by), 1, `${W}×${H} step ${i}`);
+      }
+    }
+  }
+});
+
+describe("the snake eats every day and leaves", () => {
+  for (const fixture of FIXTURES) {
+    test(`fixture ${fixture}`, () => checkRun(buildHeatmap(loadFixture(fixture)).levels, 1));
+  }
+
+  test("random calendars", () => {
+    for (let seed = 0; seed < 150; seed++) {
+      const rng = mulberry32(seed);
+      const W = 1 + Math.floor(rng() * 53);
+      const density = rng();
+      const levels = Array.from({ length: 7 }, () =>
+        Array.from({ length: W }, () => (rng() < density ? 1 + Math.floor(rng() * 4) : 0))
+      );
+      checkRun(levels, seed);
+    }
+  });
+});
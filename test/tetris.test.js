@@ -0,0 +1,76 @@
+// test/tetris.test.js
+//
+// The tetris board a run settles into is the heatmap: frozen at the end of a
+// run, the topmost block on every day has that day's level color.
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { buildHeatmap } from "../scripts/lib/heatmap.js";
+import { parseSvg } from "../scripts/lib/svg-tree.js";
+import { PIECE_SETS } from "../scripts/lib/piece-sets.js";
+import { resolveTheme } from "../scripts/lib/themes.js";
+import { MODES, renderSvg } from "../scripts/renderers/tetris.js";
+import { assertWellFormed, FIXTURES, loadFixture } from "./helpers.js";
+
+const theme = resolveTheme("github-dark");
+const cell = 12;
+
+// Fill of the last cell-sized rect drawn at each spot, "x,y" -> fill, with
+// the translations of the groups around it applied
+function topFills(svg) {
+  const fills = new Map();
+  const visit = (node, dx, dy) => {
+    const [tx = 0, ty = 0] = /^translate\(([^)]*)\)$/.exec(node.attrs.transform ?? "translate(0 0)")[1]
+      .split(/[\s,]+/)
+      .map(Number);
+    const [x, y] = [dx + tx, dy + ty];
+    if (node.tag === "rect" && Number(node.attrs.width) === cell && Number(node.attrs.height) === cell) {
+      fills.set(`${Math.round(x + Number(node.attrs.x))},${Math.round(y + Number(node.attrs.y))}`, node.attrs.fill);
+    }
+    node.children.forEach((child) => visit(child, x, y));
+  };
+  visit(parseSvg(svg).root, 0, 0);
+  return fills;
+}
+
+// One run is enough: the still is the end of the first
+function assertSettles(heatmap, options) {
+  const still = renderSvg(heatmap, { ...options, theme, cell, runs: 1, snapshot: true });
+  const fills = topFills(still);
+  const [origin] = fills.keys(); // the truth layer comes first, top-left cell
+  const [x0, y0] = origin.split(",").map(Number);
+  for (let y = 0; y < heatmap.H; y++) {
+    for (let x = 0; x < heatmap.W; x++) {
+      const at = `${x0 + x * (cell + 2)},${y0 + y * (cell + 2)}`;
+      assert.equal(fills.get(at), theme.levels[heatmap.levels[y][x]], `day ${x},${y}`);
+    }
+  }
+}
+
+for (const fixture of FIXTURES) {
+  describe(`fixture ${fixture}`, () => {
+    const heatmap = buildHeatmap(loadFixture(fixture));
+
+    for (const mode of MODES) {
+      test(`${mode}: the final frame is the heatmap`, () => assertSettles(heatmap, { mode }));
+    }
+  });
+}
+
+// A calendar a few weeks long is narrower than most pieces lying flat
+describe("narrow calendars", () => {
+  const weeks = loadFixture("sample");
+  for (const W of [1, 2, 3]) {
+    for (const mode of MODES) {
+      test(`${W} week${W > 1 ? "s" : ""}, ${mode}: every piece set renders and settles`, () => {
+        for (const start of [0, 10, 20, 30]) {
+          const heatmap = buildHeatmap(weeks.slice(start, start + W));
+          for (const pieceSet of Object.keys(PIECE_SETS)) {
+            assertWellFormed(renderSvg(heatmap, { mode, theme, pieceSet, runs: 1 }));
+            assertSettles(heatmap, { mode, pieceSet });
+          }
+        }
+      });
+    }
+  }
+});
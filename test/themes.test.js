@@ -0,0 +1,31 @@
+// test/themes.test.js
+//
+// Theme files are user input that ends up inside the SVG: colors are checked
+// against a color grammar, so nothing else can reach the markup.
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { resolveTheme, THEMES } from "../scripts/lib/themes.js";
+
+test("built-in themes pass their own validation", () => {
+  for (const name of Object.keys(THEMES)) resolveTheme({ extends: name });
+});
+
+test("CSS colors are accepted in every notation", () => {
+  const theme = resolveTheme({
+    border: "rebeccapurple",
+    label: "rgb(10, 20, 30)",
+    text: "rgba(10 20 30 / 50%)",
+    flash: "hsl(120deg 50% 50%)",
+    levels: ["#000", "#0e4429cc", "teal", "hsla(0, 0%, 100%, .5)", "#39D353"],
+  });
+  assert.equal(theme.border, "rebeccapurple");
+});
+
+test("anything that could break out of an attribute or stylesheet is refused", () => {
+  for (const value of ['red" onload="alert(1)', "}</style><script>alert(1)</script>", "url(#x)", "#12345", "", 12]) {
+    assert.throws(() => resolveTheme({ border: value }), /border must be a color/);
+    assert.throws(() => resolveTheme({ levels: ["#000", "#111", "#222", "#333", value] }), /levels must be/);
+    assert.throws(() => resolveTheme({ stars: { comet: value } }), /stars\.comet must be a color/);
+  }
+});
@@ -0,0 +1,63 @@
+// test/tiler.test.js
+//
+// The tiling under every tetris mode: whatever the piece set and calendar,
+// each contributed day is covered exactly once and no empty day ever is.
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { gravityOrder, placementCells } from "../scripts/lib/gravity.js";
+import { buildHeatmap } from "../scripts/lib/heatmap.js";
+import { PIECE_SETS, SINGLE } from "../scripts/lib/piece-sets.js";
+import { mulberry32 } from "../scripts/lib/rng.js";
+import { tileMask } from "../scripts/lib/tiler.js";
+import { FIXTURES, loadFixture } from "./helpers.js";
+
+for (const fixture of FIXTURES) {
+  describe(`fixture ${fixture}`, () => {
+    const { grid, levels, H, W } = buildHeatmap(loadFixture(fixture));
+    const mask = grid.map((row) => row.map((count) => count > 0));
+    const contributed = mask.flat().filter(Boolean).length;
+
+    for (const pieceSet of Object.keys(PIECE_SETS)) {
+      test(`${pieceSet} cover every contributed day once and no empty day`, () => {
+        const tiling = tileMask(mask, { levels, rng: mulberry32(7), pieceSet });
+        const covered = Array.from({ length: H }, () => new Array(W).fill(false));
+        for (const placement of tiling.placements) {
+          for (const [x, y] of placementCells(placement)) {
+            assert.ok(x >= 0 && x < W && y >= 0 && y < H, `${placement.piece} reaches off the board at ${x},${y}`);
+            assert.ok(mask[y][x], `${placement.piece} covers the empty day at ${x},${y}`);
+            assert.ok(!covered[y][x], `${x},${y} is covered twice`);
+            covered[y][x] = true;
+          }
+        }
+        assert.deepEqual(covered, mask);
+        assert.equal(tiling.total, contributed);
+
+        const singles = tiling.placements.filter((p) => p.piece === SINGLE).length;
+        assert.equal(tiling.pieceCells, contributed - singles);
+      });
+    }
+
+    test("gravity drops every tiled cell exactly once", () => {
+      const { placements } = tileMask(mask, { levels, rng: mulberry32(7) });
+      const { steps } = gravityOrder(placements, mask, { rng: mulberry32(7) });
+      const dropped = steps.flatMap((step) => step.cells.map(([x, y]) => `${x},${y}`));
+      assert.equal(new Set(dropped).size, dropped.length);
+      assert.equal(dropped.length, H * W); // pieces, plus empty days locked as blocks
+      steps.forEach((step, i) => step.deps.forEach((d) => assert.ok(d < i, "a step rests on one dropped after it")));
+    });
+
+    test("pieces without a route drop as 1×1 blocks, and blocks without one throw", () => {
+      const { placements } = tileMask(mask, { levels, rng: mulberry32(7) });
+      const blocksOnly = (placement) => placement.piece === SINGLE;
+      const { steps } = gravityOrder(placements, mask, { rng: mulberry32(7), reachable: blocksOnly });
+      const pieces = steps.filter((step) => step.kind === "piece");
+      assert.equal(pieces.length, contributed);
+      assert.ok(pieces.every((step) => step.placement.piece === SINGLE));
+
+      if (contributed) {
+        assert.throws(() => gravityOrder(placements, mask, { reachable: () => false }), /No legal route/);
+      }
+    });
+  });
+}